@@ -1,9 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { Camera, MapPin, Bell, AlertTriangle, Award, Menu, Bug, Axe, ThermometerSun, Users, Leaf, Heart, MessageCircle, BookOpen, Shield, Share2, Crosshair } from 'lucide-react';
+import { Camera, MapPin, Bell, AlertTriangle, Award, Menu, Bug, Axe, ThermometerSun, Users, Leaf, Heart, MessageCircle, BookOpen, Shield, Share2, Crosshair, UploadCloud, Download, ClipboardList } from 'lucide-react';
 import logo from '../logo-GreenSentinel-without-backgroung.png';
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents, useMap } from 'react-leaflet';
+import { MapContainer, Marker, Popup, useMap } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
+import PendingUploads from './offline/PendingUploads';
+import OfflineRegions from './offline/OfflineRegions';
+import OfflineTileLayer from './map/OfflineTileLayer';
+import ReportForm from './alert/ReportForm';
+import MyReports from './reports/MyReports';
+import { getQueueStatus, subscribeToQueue } from '../services/offline/queueManager';
+import { submitReport } from '../services/api/reportService';
 
 // Fix for default marker icon
 delete L.Icon.Default.prototype._getIconUrl;
@@ -42,15 +49,6 @@ function LocationMarker({ onLocationFound }) {
   return null;
 }
 
-function MapClickHandler({ onMapClick }) {
-  useMapEvents({
-    click: (e) => {
-      onMapClick(e);
-    },
-  });
-  return null;
-}
-
 function LocationButton({ currentLocation }) {
   const map = useMap();
   
@@ -64,14 +62,10 @@ function LocationButton({ currentLocation }) {
   );
 }
 
-function MapContent({ currentLocation, markers, handleMapClick, handleLocationFound, handleQuickReport, showQuickReport, setShowQuickReport, reportTypes }) {
+function MapContent({ currentLocation, markers, handleLocationFound, handleQuickReport, showQuickReport, setShowQuickReport, reportTypes }) {
   return (
     <>
-      <TileLayer
-        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-      />
-      <MapClickHandler onMapClick={handleMapClick} />
+      <OfflineTileLayer />
       <LocationMarker onLocationFound={handleLocationFound} />
       
       {/* Current location marker */}
@@ -142,18 +136,25 @@ function MapContent({ currentLocation, markers, handleMapClick, handleLocationFo
 
 const GreenSentinel = () => {
   const [activeTab, setActiveTab] = useState('home');
-  const [reportType, setReportType] = useState(null);
   const [mapCenter] = useState([31.7917, -7.0926]);
   const [zoom] = useState(6);
   const [markers, setMarkers] = useState([]);
   const [userPoints, setUserPoints] = useState(350);
   const [level, setLevel] = useState(5);
-  const [reportDescription, setReportDescription] = useState('');
-  const [reportSeverity, setReportSeverity] = useState('medium');
-  const [reportArea, setReportArea] = useState('small');
-  const [selectedLocation, setSelectedLocation] = useState(null);
   const [currentLocation, setCurrentLocation] = useState(null);
   const [showQuickReport, setShowQuickReport] = useState(true);
+  const [pendingUploads, setPendingUploads] = useState(0);
+
+  // Keep the pending uploads badge in sync with the offline queue
+  useEffect(() => {
+    const updatePendingUploads = async () => {
+      const status = await getQueueStatus();
+      setPendingUploads(status.pending + status.failed);
+    };
+
+    updatePendingUploads();
+    return subscribeToQueue(updatePendingUploads);
+  }, []);
 
   const reportTypes = [
     { id: 'fire', icon: AlertTriangle, label: 'Fire', color: 'bg-red-500', points: 50, verificationTime: 2 },
@@ -176,9 +177,6 @@ const GreenSentinel = () => {
     const selectedReport = reportTypes.find(t => t.id === reportType);
     if (!selectedReport) return;
 
-    // Start verification process
-    alert(`Thank you for your report! It will be verified within ${selectedReport.verificationTime} hours. You will receive ${points} points after verification.`);
-    
     // Simulate verification process (in real app, this would be handled by a backend)
     setTimeout(() => {
       const newPoints = userPoints + points;
@@ -216,42 +214,32 @@ const GreenSentinel = () => {
     };
 
     setMarkers([...markers, newMarker]);
+    alert(`Thank you for your report! It will be verified within ${selectedReportType.verificationTime} hours. You will receive ${selectedReportType.points} points after verification.`);
     addPoints(selectedReportType.points, type);
   };
 
-  const handleReport = () => {
-    if (!reportType || !reportDescription || !selectedLocation) {
-      alert('Please fill in all required fields');
-      return;
+  // Send a report from the wizard; its success screen thanks the user
+  const handleReportSubmit = async (reportData, options) => {
+    const result = await submitReport(reportData, options);
+
+    if (reportData.location) {
+      setMarkers(prev => [...prev, {
+        position: [reportData.location.lat, reportData.location.lng],
+        type: reportData.type,
+        description: reportData.description,
+        severity: reportData.severity,
+        area: reportData.area,
+        date: reportData.timestamp,
+        status: 'pending'
+      }]);
     }
 
-    const selectedReportType = reportTypes.find(t => t.id === reportType);
-    const newMarker = {
-      position: [selectedLocation.lat, selectedLocation.lng],
-      type: reportType,
-      description: reportDescription,
-      severity: reportSeverity,
-      area: reportArea,
-      date: new Date().toISOString(),
-      status: 'pending'
-    };
-
-    setMarkers([...markers, newMarker]);
-    addPoints(selectedReportType.points, reportType);
-    
-    // Reset form
-    setReportType(null);
-    setReportDescription('');
-    setReportSeverity('medium');
-    setReportArea('small');
-    setSelectedLocation(null);
-    setActiveTab('map');
-  };
-
-  const handleMapClick = (e) => {
-    if (activeTab === 'report') {
-      setSelectedLocation(e.latlng);
+    const selectedReportType = reportTypes.find(t => t.id === reportData.type);
+    if (selectedReportType) {
+      addPoints(selectedReportType.points, reportData.type);
     }
+
+    return result;
   };
 
   const renderMap = () => (
@@ -264,7 +252,6 @@ const GreenSentinel = () => {
         <MapContent
           currentLocation={currentLocation}
           markers={markers}
-          handleMapClick={handleMapClick}
           handleLocationFound={handleLocationFound}
           handleQuickReport={handleQuickReport}
           showQuickReport={showQuickReport}
@@ -347,107 +334,6 @@ const GreenSentinel = () => {
     </div>
   );
 
-  const renderReport = () => (
-    <div className="p-4 space-y-4 max-w-md mx-auto">
-      <h2 className="text-xl font-bold">Report Issue</h2>
-      
-      {/* Issue Type Selection */}
-      <div className="grid grid-cols-3 gap-3">
-        {reportTypes.map(type => (
-          <button
-            key={type.id}
-            onClick={() => setReportType(type.id)}
-            className={`${type.color} ${reportType === type.id ? 'ring-2 ring-offset-2' : ''} 
-              text-white p-4 rounded-xl flex flex-col items-center`}
-          >
-            <type.icon size={24} />
-            <span className="text-xs mt-2">{type.label}</span>
-            <span className="text-xs mt-1">+{type.points}pts</span>
-          </button>
-        ))}
-      </div>
-
-      {reportType && (
-        <>
-          {/* Photo Upload */}
-          <div className="border-2 border-dashed border-gray-300 rounded-xl p-6 text-center">
-            <Camera size={32} className="mx-auto text-gray-400 mb-2" />
-            <p className="text-sm text-gray-600">Add Photos (Optional)</p>
-          </div>
-
-          {/* Description */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Description
-            </label>
-            <textarea
-              value={reportDescription}
-              onChange={(e) => setReportDescription(e.target.value)}
-              className="w-full p-3 border rounded-xl h-24"
-              placeholder="Describe what you observe..."
-            />
-          </div>
-
-          {/* Severity and Area */}
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Severity
-              </label>
-              <select
-                value={reportSeverity}
-                onChange={(e) => setReportSeverity(e.target.value)}
-                className="w-full p-3 border rounded-xl"
-              >
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-                <option value="critical">Critical</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Area
-              </label>
-              <select
-                value={reportArea}
-                onChange={(e) => setReportArea(e.target.value)}
-                className="w-full p-3 border rounded-xl"
-              >
-                <option value="small">Small</option>
-                <option value="medium">Medium</option>
-                <option value="large">Large</option>
-              </select>
-            </div>
-          </div>
-
-          {/* Location */}
-          <div className={`bg-gray-50 p-4 rounded-xl flex items-center justify-between ${selectedLocation ? 'bg-emerald-50' : ''}`}>
-            <div className="flex items-center gap-3">
-              <MapPin size={24} className={selectedLocation ? 'text-emerald-500' : 'text-gray-400'} />
-              <div>
-                <p className="font-medium">Location</p>
-                <p className="text-sm text-gray-600">
-                  {selectedLocation 
-                    ? `${selectedLocation.lat.toFixed(6)}, ${selectedLocation.lng.toFixed(6)}`
-                    : 'Click on the map to set location'}
-                </p>
-              </div>
-            </div>
-          </div>
-
-          {/* Submit Button */}
-          <button
-            onClick={handleReport}
-            className="w-full bg-emerald-500 text-white py-4 rounded-xl font-medium"
-          >
-            Submit Report
-          </button>
-        </>
-      )}
-    </div>
-  );
-
   return (
     <div className="h-screen w-full max-w-md mx-auto bg-gray-50 flex flex-col">
       {/* Header */}
@@ -461,6 +347,30 @@ const GreenSentinel = () => {
             </div>
           </div>
           <div className="flex items-center gap-4">
+            <button
+              onClick={() => setActiveTab('myReports')}
+              aria-label="My reports"
+            >
+              <ClipboardList size={24} />
+            </button>
+            <button
+              onClick={() => setActiveTab('offlineMaps')}
+              aria-label="Offline maps"
+            >
+              <Download size={24} />
+            </button>
+            <button
+              onClick={() => setActiveTab('uploads')}
+              className="relative"
+              aria-label="Pending uploads"
+            >
+              <UploadCloud size={24} />
+              {pendingUploads > 0 && (
+                <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs font-bold rounded-full min-w-[18px] h-[18px] px-1 flex items-center justify-center">
+                  {pendingUploads}
+                </span>
+              )}
+            </button>
             <Bell size={24} />
             <div className="w-8 h-8 rounded-full bg-white/20 flex items-center justify-center">
               <span className="text-sm font-medium">{level}</span>
@@ -473,7 +383,12 @@ const GreenSentinel = () => {
       <main className="flex-1 overflow-y-auto">
         {activeTab === 'home' && renderHome()}
         {activeTab === 'map' && renderMap()}
-        {activeTab === 'report' && renderReport()}
+        {activeTab === 'report' && (
+          <ReportForm onSubmit={handleReportSubmit} currentLocation={currentLocation} />
+        )}
+        {activeTab === 'uploads' && <PendingUploads />}
+        {activeTab === 'myReports' && <MyReports />}
+        {activeTab === 'offlineMaps' && <OfflineRegions />}
       </main>
 
       {/* Bottom Navigation */}
@@ -51,7 +51,7 @@ const reportTypeSuggestions = {
   ]
 };
 
-const IncidentDetails = ({ initialValues, onSubmit, onBack, reportType }) => {
+const IncidentDetails = ({ initialValues, onSubmit, onBack, onChange, reportType, submitDisabled }) => {
   const [details, setDetails] = useState({
     description: initialValues?.description || '',
     severity: initialValues?.severity || 'medium',
@@ -59,21 +59,30 @@ const IncidentDetails = ({ initialValues, onSubmit, onBack, reportType }) => {
     additionalNotes: initialValues?.additionalNotes || ''
   });
   
+  // Report every edit, so the parent can save the draft as it is typed
+  const updateDetails = (changes) => {
+    const next = { ...details, ...changes };
+    setDetails(next);
+    if (onChange) {
+      onChange(next);
+    }
+  };
+  
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setDetails(prev => ({ ...prev, [name]: value }));
+    updateDetails({ [name]: value });
   };
   
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (submitDisabled) return;
     onSubmit(details);
   };
   
   const addSuggestion = (suggestion) => {
-    setDetails(prev => ({ 
-      ...prev, 
-      description: prev.description ? `${prev.description}. ${suggestion}` : suggestion 
-    }));
+    updateDetails({ 
+      description: details.description ? `${details.description}. ${suggestion}` : suggestion 
+    });
   };
   
   // Get icon and color for the current report type
@@ -172,9 +181,9 @@ const IncidentDetails = ({ initialValues, onSubmit, onBack, reportType }) => {
               required
               className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
             >
-              <option value="small">Small (< 100m²)</option>
+              <option value="small">Small (&lt; 100m²)</option>
               <option value="medium">Medium (100-1000m²)</option>
-              <option value="large">Large (> 1000m²)</option>
+              <option value="large">Large (&gt; 1000m²)</option>
             </select>
           </div>
         </div>
@@ -196,7 +205,8 @@ const IncidentDetails = ({ initialValues, onSubmit, onBack, reportType }) => {
         {/* Submit Button */}
         <button
           type="submit"
-          className="w-full bg-emerald-500 text-white py-4 rounded-xl font-medium flex items-center justify-center"
+          disabled={submitDisabled}
+          className="w-full bg-emerald-500 text-white py-4 rounded-xl font-medium flex items-center justify-center disabled:opacity-60"
         >
           <Check size={20} className="mr-2" />
           Submit Report
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, useMapEvents, useMap } from 'react-leaflet';
-import { MapPin, ArrowLeft, Check, Crosshair } from 'lucide-react';
+import { MapContainer, Marker, useMapEvents, useMap } from 'react-leaflet';
+import { MapPin, ArrowLeft, Check, Crosshair, Image as ImageIcon } from 'lucide-react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { getOfflineMap } from '../../services/location/offlineMap';
+import { getOfflineMap, isImportedRegion } from '../../services/location/offlineMap';
+import OfflineTileLayer from '../map/OfflineTileLayer';
 
 // Custom location marker icon
 const locationIcon = new L.Icon({
@@ -25,6 +26,16 @@ const selectedIcon = new L.Icon({
   shadowSize: [41, 41]
 });
 
+// Photo location marker icon
+const photoIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+  shadowSize: [41, 41]
+});
+
 // Map click handler component
 function MapClickHandler({ onMapClick }) {
   useMapEvents({
@@ -36,7 +47,7 @@ function MapClickHandler({ onMapClick }) {
 }
 
 // Current location locator component
-function LocationMarker({ onLocationFound }) {
+function LocationMarker({ onLocationFound, flyToLocation = true }) {
   const map = useMap();
 
   useEffect(() => {
@@ -46,14 +57,16 @@ function LocationMarker({ onLocationFound }) {
     
     const handleLocationFound = (e) => {
       onLocationFound(e.latlng);
-      map.flyTo(e.latlng, map.getZoom());
+      if (flyToLocation) {
+        map.flyTo(e.latlng, map.getZoom());
+      }
     };
 
     map.on('locationfound', handleLocationFound);
     return () => {
       map.off('locationfound', handleLocationFound);
     };
-  }, [map, onLocationFound]);
+  }, [map, onLocationFound, flyToLocation]);
 
   return null;
 }
@@ -83,22 +96,22 @@ function RecenterButton({ location, label }) {
 }
 
 // Main LocationPicker component
-const LocationPicker = ({ currentLocation, onLocationSelect, onBack }) => {
+const LocationPicker = ({ currentLocation, suggestedLocation, onLocationSelect, onBack }) => {
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [mapReady, setMapReady] = useState(false);
   const [defaultCenter] = useState([31.7917, -7.0926]); // Default to Morocco
   const [zoom] = useState(6);
   const [offlineMode, setOfflineMode] = useState(false);
-  const [offlineMapTiles, setOfflineMapTiles] = useState(null);
+  const [mapPacks, setMapPacks] = useState([]);
 
-  // Load offline map tiles if available
+  // Show the offline indicator when a downloaded region is available
   useEffect(() => {
     const loadOfflineMap = async () => {
       try {
         const offline = await getOfflineMap();
         if (offline.available) {
-          setOfflineMapTiles(offline.tiles);
           setOfflineMode(true);
+          setMapPacks(offline.regions.filter(isImportedRegion));
         }
       } catch (error) {
         console.error("Failed to load offline maps:", error);
@@ -108,6 +121,9 @@ const LocationPicker = ({ currentLocation, onLocationSelect, onBack }) => {
     loadOfflineMap();
   }, []);
 
+  // Where the photo was taken matters more than where the user is now
+  const initialCenter = suggestedLocation || currentLocation;
+
   const handleMapClick = (latlng) => {
     setSelectedLocation(latlng);
   };
@@ -141,28 +157,23 @@ const LocationPicker = ({ currentLocation, onLocationSelect, onBack }) => {
       {/* Map Container */}
       <div className="flex-1 relative">
         <MapContainer 
-          center={currentLocation ? [currentLocation.lat, currentLocation.lng] : defaultCenter} 
-          zoom={currentLocation ? 15 : zoom} 
+          center={initialCenter ? [initialCenter.lat, initialCenter.lng] : defaultCenter} 
+          zoom={initialCenter ? 15 : zoom} 
           style={{ height: '100%', width: '100%' }}
         >
-          {/* Use offline map tiles if available, otherwise use OpenStreetMap */}
-          {offlineMode && offlineMapTiles ? (
-            <TileLayer
-              url={offlineMapTiles.url}
-              attribution={offlineMapTiles.attribution}
-            />
-          ) : (
-            <TileLayer
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-            />
-          )}
+          {/* Serves downloaded tiles first, then OpenStreetMap */}
+          <OfflineTileLayer />
+
+          {/* Imported map packs, drawn over their coverage */}
+          {mapPacks.map(pack => (
+            <OfflineTileLayer key={pack.id} pack={pack} />
+          ))}
 
           {/* Map click handler */}
           <MapClickHandler onMapClick={handleMapClick} />
           
           {/* Current location detector */}
-          <LocationMarker onLocationFound={handleLocationFound} />
+          <LocationMarker onLocationFound={handleLocationFound} flyToLocation={!suggestedLocation} />
           
           {/* Show current location marker */}
           {currentLocation && (
@@ -172,6 +183,14 @@ const LocationPicker = ({ currentLocation, onLocationSelect, onBack }) => {
             />
           )}
           
+          {/* Show where the photo was taken */}
+          {suggestedLocation && (
+            <Marker 
+              position={[suggestedLocation.lat, suggestedLocation.lng]} 
+              icon={photoIcon}
+            />
+          )}
+          
           {/* Show selected location marker */}
           {selectedLocation && (
             <Marker 
@@ -213,6 +232,16 @@ const LocationPicker = ({ currentLocation, onLocationSelect, onBack }) => {
                 Tap anywhere on the map to select a precise location
               </p>
             )}
+
+            {suggestedLocation && (
+              <button
+                onClick={() => setSelectedLocation(suggestedLocation)}
+                className="w-full mb-2 py-2 rounded-xl flex items-center justify-center text-sm font-medium bg-emerald-50 text-emerald-700"
+              >
+                <ImageIcon size={18} className="mr-2" />
+                Use Photo Location ({suggestedLocation.lat.toFixed(5)}, {suggestedLocation.lng.toFixed(5)})
+              </button>
+            )}
             
             <button
               onClick={handleSubmit}
@@ -0,0 +1,34 @@
+import React from 'react';
+
+/**
+ * Thumbnail of a captured photo or clip
+ *
+ * Clips show their poster frame. When capturing the poster failed, the
+ * browser draws the clip's first frame instead.
+ */
+const MediaThumbnail = ({ photo, alt, className, onClick }) => {
+  if (photo.type === 'video' && !(photo.poster && photo.poster.url)) {
+    return (
+      <video
+        src={photo.url}
+        muted
+        playsInline
+        preload="metadata"
+        aria-label={alt}
+        onClick={onClick}
+        className={`${className} bg-black`}
+      />
+    );
+  }
+
+  return (
+    <img
+      src={photo.type === 'video' ? photo.poster.url : photo.url}
+      alt={alt}
+      onClick={onClick}
+      className={className}
+    />
+  );
+};
+
+export default MediaThumbnail;
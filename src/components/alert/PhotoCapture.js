@@ -1,34 +1,110 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Camera, X, ArrowLeft, Check, Fire } from 'lucide-react';
-import { analyzeImage } from '../../services/media/imageAnalyzer';
+import {
+  Camera, X, ArrowLeft, Check, Flame, ImagePlus, ShieldCheck, Wand2, Copy, Video, Square, Play
+} from 'lucide-react';
+import {
+  analyzeImage,
+  extractImageMetadata,
+  enhanceFireVisibility,
+  hashImage,
+  findNearDuplicates
+} from '../../services/media/imageAnalyzer';
+import {
+  CLIP_MIN_SECONDS,
+  CLIP_MAX_SECONDS,
+  isVideoRecordingSupported,
+  startClipRecording,
+  captureVideoFrame
+} from '../../services/media/videoRecorder';
+import MediaThumbnail from './MediaThumbnail';
+
+// Describe captured media, e.g. "2 photos and 1 clip"
+const describeMedia = (items) => {
+  const clips = items.filter(item => item.type === 'video').length;
+  const photos = items.length - clips;
+  const parts = [];
+  if (photos > 0 || clips === 0) parts.push(`${photos} photo${photos !== 1 ? 's' : ''}`);
+  if (clips > 0) parts.push(`${clips} clip${clips !== 1 ? 's' : ''}`);
+  return parts.join(' and ');
+};
+
+// Release the object URLs of a captured item and of its attached versions
+const revokeMediaUrls = (item) => {
+  [item, item.poster, item.enhanced].forEach((media) => {
+    if (media && media.url) {
+      URL.revokeObjectURL(media.url);
+    }
+  });
+};
+
+// Format a number of seconds as m:ss
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
 
 const PhotoCapture = ({ onCapture, onSkip }) => {
   const [capturedPhotos, setCapturedPhotos] = useState([]);
   const [isCapturing, setIsCapturing] = useState(false);
   const [cameraError, setCameraError] = useState(null);
-  const [fireDetected, setFireDetected] = useState(false);
+  const [detection, setDetection] = useState(null);
   const [analyzing, setAnalyzing] = useState(false);
+  // Photo metadata the user agrees to upload; everything else is stripped
+  const [keepMetadata, setKeepMetadata] = useState({ time: false, location: false });
+  const [previewIndex, setPreviewIndex] = useState(null);
+  const [showEnhanced, setShowEnhanced] = useState(true);
+  const [enhancing, setEnhancing] = useState(false);
+  const [enhanceError, setEnhanceError] = useState(null);
+  // 'photo' grabs still frames, 'video' records short clips
+  const [mode, setMode] = useState('photo');
+  const [recording, setRecording] = useState(false);
+  const [recordSeconds, setRecordSeconds] = useState(0);
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
+  const recordingRef = useRef(null);
+  // Captured items are released on unmount unless they were handed over
+  const capturedPhotosRef = useRef(capturedPhotos);
+  const handedOverRef = useRef(false);
+  capturedPhotosRef.current = capturedPhotos;
 
   useEffect(() => {
     return () => {
-      // Cleanup: stop camera stream when component unmounts
+      // Cleanup: stop recording and camera stream when component unmounts
+      if (recordingRef.current) {
+        recordingRef.current.stop();
+      }
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => track.stop());
       }
+      if (!handedOverRef.current) {
+        capturedPhotosRef.current.forEach(revokeMediaUrls);
+      }
     };
   }, []);
 
+  // The video element only exists once the camera view is shown
+  useEffect(() => {
+    if (isCapturing && videoRef.current && streamRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+    }
+  }, [isCapturing]);
+
   const startCamera = async () => {
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { facingMode: 'environment' }, 
-        audio: false 
-      });
+      let stream;
+      try {
+        // Clips record sound too, e.g. a chainsaw running
+        stream = await navigator.mediaDevices.getUserMedia({ 
+          video: { facingMode: 'environment' }, 
+          audio: mode === 'video'
+        });
+      } catch (err) {
+        if (mode !== 'video') throw err;
+        // Microphone refused: record clips without sound
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+          audio: false
+        });
+      }
       
-      videoRef.current.srcObject = stream;
       streamRef.current = stream;
       setIsCapturing(true);
       setCameraError(null);
@@ -48,6 +124,40 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
     setIsCapturing(false);
   };
 
+  // Analyze a photo for fire/smoke, hash it to spot duplicates and add it
+  // to the captured photos. Clips are analyzed through their poster frame,
+  // if one could be captured.
+  const addPhoto = async (photo) => {
+    const imageBlob = photo.type === 'video' ? photo.poster && photo.poster.blob : photo.blob;
+    if (!imageBlob) {
+      setCapturedPhotos(prev => [...prev, photo]);
+      return;
+    }
+
+    setAnalyzing(true);
+    try {
+      photo.hash = await hashImage(imageBlob);
+    } catch (error) {
+      console.error("Error hashing image:", error);
+    }
+
+    try {
+      photo.analysis = await analyzeImage(imageBlob);
+      if (photo.analysis.fireDetected || photo.analysis.smokeDetected) {
+        setDetection(prev => ({
+          fire: photo.analysis.fireDetected || Boolean(prev && prev.fire),
+          smoke: photo.analysis.smokeDetected || Boolean(prev && prev.smoke)
+        }));
+      }
+    } catch (error) {
+      console.error("Error analyzing image:", error);
+    } finally {
+      setAnalyzing(false);
+    }
+
+    setCapturedPhotos(prev => [...prev, photo]);
+  };
+
   const capturePhoto = async () => {
     if (!videoRef.current || !canvasRef.current) return;
 
@@ -67,39 +177,144 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
       const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
       const photoURL = URL.createObjectURL(blob);
       
-      // Add to captured photos
-      setCapturedPhotos([...capturedPhotos, { 
+      await addPhoto({
         url: photoURL, 
         blob: blob, 
         timestamp: new Date().toISOString() 
-      }]);
+      });
+      
+      // Stop camera after capture
+      stopCamera();
+    } catch (err) {
+      console.error("Error capturing photo:", err);
+    }
+  };
+
+  const startRecording = async () => {
+    if (!streamRef.current) return;
 
-      // Analyze the image for fire/smoke detection
-      setAnalyzing(true);
+    const timestamp = new Date().toISOString();
+
+    try {
+      // Throws when the browser cannot record any of the clip formats
+      const clip = startClipRecording(streamRef.current, { onTick: setRecordSeconds });
+      recordingRef.current = clip;
+      setRecordSeconds(0);
+      setRecording(true);
+
+      const { blob, mimeType, durationMs } = await clip.result;
+      // The clip is kept without a poster if grabbing the frame fails
+      let posterBlob = null;
       try {
-        const analysis = await analyzeImage(blob);
-        if (analysis.fireDetected || analysis.smokeDetected) {
-          setFireDetected(true);
-        }
+        posterBlob = await captureVideoFrame(videoRef.current);
       } catch (error) {
-        console.error("Error analyzing image:", error);
-      } finally {
-        setAnalyzing(false);
+        console.error("Error capturing clip poster:", error);
       }
-      
-      // Stop camera after capture
       stopCamera();
+
+      await addPhoto({
+        type: 'video',
+        url: URL.createObjectURL(blob),
+        blob,
+        mimeType,
+        durationMs,
+        poster: posterBlob ? { url: URL.createObjectURL(posterBlob), blob: posterBlob } : null,
+        timestamp
+      });
     } catch (err) {
-      console.error("Error capturing photo:", err);
+      console.error("Error recording clip:", err);
+      setCameraError(`Recording error: ${err.message}`);
+      stopCamera();
+    } finally {
+      recordingRef.current = null;
+      setRecording(false);
+    }
+  };
+
+  const stopRecording = () => {
+    if (recordingRef.current) {
+      recordingRef.current.stop();
+    }
+  };
+
+  const switchMode = (nextMode) => {
+    // The camera is reopened with or without the microphone
+    stopCamera();
+    setMode(nextMode);
+  };
+
+  // Photos from the gallery carry the time and place recorded in their EXIF
+  // data. They are only uploaded if the user opts in; the place is still
+  // offered as a suggestion on the location step.
+  const handleGalleryPick = async (e) => {
+    const files = Array.from(e.target.files || []);
+    // Allow picking the same photo again
+    e.target.value = '';
+
+    for (const file of files) {
+      let metadata = null;
+      try {
+        metadata = await extractImageMetadata(file);
+      } catch (error) {
+        console.error("Error reading photo metadata:", error);
+      }
+
+      await addPhoto({
+        url: URL.createObjectURL(file),
+        blob: file,
+        timestamp: new Date().toISOString(),
+        location: metadata ? metadata.location : null,
+        exif: metadata ? { capturedAt: metadata.capturedAt, location: metadata.location } : null,
+        source: 'gallery'
+      });
     }
   };
 
   const removePhoto = (index) => {
+    revokeMediaUrls(capturedPhotos[index]);
     setCapturedPhotos(capturedPhotos.filter((_, i) => i !== index));
+    setPreviewIndex(null);
   };
 
+  // Add or remove an enhanced copy of a photo. Both versions are uploaded,
+  // the original being kept as evidence.
+  const toggleEnhancement = async (photo) => {
+    setEnhanceError(null);
+
+    if (photo.enhanced) {
+      URL.revokeObjectURL(photo.enhanced.url);
+      setCapturedPhotos(prev => prev.map(p => (p === photo ? { ...p, enhanced: null } : p)));
+      return;
+    }
+
+    setEnhancing(true);
+    try {
+      const blob = await enhanceFireVisibility(photo.blob);
+      const enhanced = { url: URL.createObjectURL(blob), blob };
+      setCapturedPhotos(prev => prev.map(p => (p === photo ? { ...p, enhanced } : p)));
+      setShowEnhanced(true);
+    } catch (error) {
+      console.error("Error enhancing photo:", error);
+      setEnhanceError('Could not enhance this photo.');
+    } finally {
+      setEnhancing(false);
+    }
+  };
+
+  const previewPhoto = previewIndex !== null ? capturedPhotos[previewIndex] : null;
+
+  // Photos that look the same as an earlier one
+  const duplicates = findNearDuplicates(capturedPhotos.map(photo => photo.hash || null));
+  const isDuplicate = (index) => duplicates.some(duplicate => duplicate.index === index);
+
   const handleSubmit = () => {
-    onCapture(capturedPhotos);
+    handedOverRef.current = true;
+    onCapture(capturedPhotos.map(photo => ({ ...photo, keepMetadata })));
+  };
+
+  const photoMetadata = {
+    time: capturedPhotos.some(photo => photo.exif && photo.exif.capturedAt),
+    location: capturedPhotos.some(photo => photo.exif && photo.exif.location)
   };
 
   return (
@@ -115,11 +330,15 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
         </button>
       </div>
 
-      {fireDetected && (
+      {detection && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl flex items-center mb-4">
-          <Fire size={24} className="text-red-500 mr-2" />
+          <Flame size={24} className="text-red-500 mr-2" />
           <div>
-            <p className="font-bold">Fire detected in image!</p>
+            <p className="font-bold">
+              {detection.fire && detection.smoke
+                ? 'Fire and smoke detected in image!'
+                : detection.fire ? 'Fire detected in image!' : 'Smoke detected in image!'}
+            </p>
             <p className="text-sm">This incident will be prioritized for verification.</p>
           </div>
         </div>
@@ -132,6 +351,28 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
         </div>
       )}
 
+      {/* Photo / clip mode */}
+      {isVideoRecordingSupported() && (
+        <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+          <button
+            onClick={() => switchMode('photo')}
+            disabled={recording}
+            className={`flex-1 flex items-center justify-center py-1 rounded ${mode === 'photo' ? 'bg-white shadow' : 'text-gray-500'}`}
+          >
+            <Camera size={16} className="mr-1" />
+            Photo
+          </button>
+          <button
+            onClick={() => switchMode('video')}
+            disabled={recording}
+            className={`flex-1 flex items-center justify-center py-1 rounded ${mode === 'video' ? 'bg-white shadow' : 'text-gray-500'}`}
+          >
+            <Video size={16} className="mr-1" />
+            Video clip
+          </button>
+        </div>
+      )}
+
       <div className="relative">
         {isCapturing ? (
           <div className="relative">
@@ -139,20 +380,46 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
               ref={videoRef} 
               autoPlay 
               playsInline
+              muted
               className="w-full h-64 object-cover rounded-xl bg-black"
             />
-            <button 
-              onClick={capturePhoto}
-              className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-white rounded-full p-4 shadow-lg"
-            >
-              <Camera size={24} className="text-emerald-500" />
-            </button>
-            <button 
-              onClick={stopCamera}
-              className="absolute top-4 right-4 bg-black/50 rounded-full p-2 text-white"
-            >
-              <X size={20} />
-            </button>
+            {mode === 'photo' ? (
+              <button 
+                onClick={capturePhoto}
+                className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-white rounded-full p-4 shadow-lg"
+              >
+                <Camera size={24} className="text-emerald-500" />
+              </button>
+            ) : recording ? (
+              <>
+                <div className="absolute top-4 left-4 bg-black/60 text-white text-sm px-2 py-1 rounded flex items-center">
+                  <span className="w-2 h-2 bg-red-500 rounded-full mr-2 animate-pulse" />
+                  {formatSeconds(recordSeconds)} / {formatSeconds(CLIP_MAX_SECONDS)}
+                </div>
+                <button
+                  onClick={stopRecording}
+                  disabled={recordSeconds < CLIP_MIN_SECONDS}
+                  className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-white rounded-full p-4 shadow-lg disabled:opacity-50"
+                >
+                  <Square size={24} className="text-red-500" />
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={startRecording}
+                className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-white rounded-full p-4 shadow-lg"
+              >
+                <Video size={24} className="text-red-500" />
+              </button>
+            )}
+            {!recording && (
+              <button 
+                onClick={stopCamera}
+                className="absolute top-4 right-4 bg-black/50 rounded-full p-2 text-white"
+              >
+                <X size={20} />
+              </button>
+            )}
           </div>
         ) : (
           <div className="border-2 border-dashed border-gray-300 rounded-xl p-6 text-center h-64 flex flex-col items-center justify-center">
@@ -164,7 +431,11 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
             ) : (
               <>
                 <Camera size={32} className="text-gray-400 mb-2" />
-                <p className="text-sm text-gray-600 mb-4">Take a photo of the incident</p>
+                <p className="text-sm text-gray-600 mb-4">
+                  {mode === 'photo'
+                    ? 'Take a photo of the incident'
+                    : `Record a ${CLIP_MIN_SECONDS}-${CLIP_MAX_SECONDS} second clip of the incident`}
+                </p>
                 <button 
                   onClick={startCamera}
                   className="bg-emerald-500 text-white px-4 py-2 rounded-lg flex items-center"
@@ -172,6 +443,17 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
                   <Camera size={18} className="mr-2" />
                   Start Camera
                 </button>
+                <label className="mt-2 text-emerald-600 px-4 py-2 rounded-lg flex items-center cursor-pointer">
+                  <ImagePlus size={18} className="mr-2" />
+                  Choose from Gallery
+                  <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    onChange={handleGalleryPick}
+                    className="hidden"
+                  />
+                </label>
               </>
             )}
           </div>
@@ -184,15 +466,35 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
       {/* Photo Gallery */}
       {capturedPhotos.length > 0 && (
         <>
-          <h3 className="font-medium mt-4">Captured Photos ({capturedPhotos.length})</h3>
+          <h3 className="font-medium mt-4">Captured Media ({capturedPhotos.length})</h3>
+          <p className="text-xs text-gray-500">Tap a photo or clip to preview it.</p>
           <div className="grid grid-cols-3 gap-2">
             {capturedPhotos.map((photo, index) => (
               <div key={index} className="relative">
-                <img 
-                  src={photo.url} 
-                  alt={`Captured ${index}`} 
-                  className="w-full h-24 object-cover rounded-lg"
+                <MediaThumbnail
+                  photo={photo}
+                  alt={`Captured ${index}`}
+                  onClick={() => setPreviewIndex(index)}
+                  className={`w-full h-24 object-cover rounded-lg cursor-pointer ${
+                    previewIndex === index ? 'ring-2 ring-emerald-500' : ''
+                  }`}
                 />
+                {photo.type === 'video' && (
+                  <span className="absolute bottom-1 left-1 bg-black/50 rounded px-1 text-white text-xs flex items-center pointer-events-none">
+                    <Play size={10} className="mr-1" />
+                    {formatSeconds(Math.round(photo.durationMs / 1000))}
+                  </span>
+                )}
+                {photo.enhanced && (
+                  <span className="absolute bottom-1 left-1 bg-black/50 rounded-full p-1 text-white">
+                    <Wand2 size={12} />
+                  </span>
+                )}
+                {isDuplicate(index) && (
+                  <span className="absolute bottom-1 right-1 bg-yellow-400 rounded-full p-1 text-yellow-900">
+                    <Copy size={12} />
+                  </span>
+                )}
                 <button 
                   onClick={() => removePhoto(index)}
                   className="absolute top-1 right-1 bg-black/50 rounded-full p-1 text-white"
@@ -205,6 +507,131 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
         </>
       )}
 
+      {/* Near-duplicate warning */}
+      {duplicates.length > 0 && (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded-xl">
+          <div className="flex items-center font-medium">
+            <Copy size={18} className="mr-2" />
+            Possible duplicate photos
+          </div>
+          {duplicates.map(({ index, duplicateOf }) => (
+            <p key={index} className="text-sm mt-1">
+              Photo {index + 1} looks the same as photo {duplicateOf + 1}.
+            </p>
+          ))}
+          <p className="text-xs mt-1">Remove duplicates to save data, unless they show different details.</p>
+        </div>
+      )}
+
+      {/* Photo preview with before/after enhancement */}
+      {previewPhoto && (
+        <div className="border border-gray-200 rounded-xl p-3 space-y-3">
+          <div className="relative">
+            {previewPhoto.type === 'video' ? (
+              <video
+                src={previewPhoto.url}
+                poster={previewPhoto.poster ? previewPhoto.poster.url : undefined}
+                controls
+                playsInline
+                className="w-full h-64 object-contain rounded-lg bg-black"
+              />
+            ) : (
+              <img
+                src={showEnhanced && previewPhoto.enhanced ? previewPhoto.enhanced.url : previewPhoto.url}
+                alt="Preview"
+                className="w-full h-64 object-contain rounded-lg bg-black"
+              />
+            )}
+            {previewPhoto.enhanced && (
+              <span className="absolute top-2 left-2 bg-black/60 text-white text-xs px-2 py-1 rounded">
+                {showEnhanced ? 'After' : 'Before'}
+              </span>
+            )}
+            <button
+              onClick={() => setPreviewIndex(null)}
+              className="absolute top-2 right-2 bg-black/50 rounded-full p-1 text-white"
+            >
+              <X size={16} />
+            </button>
+          </div>
+
+          {previewPhoto.type !== 'video' && (
+            <>
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => toggleEnhancement(previewPhoto)}
+                  disabled={enhancing}
+                  className="flex items-center text-sm text-emerald-600 disabled:text-gray-400"
+                >
+                  <Wand2 size={16} className="mr-1" />
+                  {enhancing
+                    ? 'Enhancing...'
+                    : previewPhoto.enhanced ? 'Remove enhancement' : 'Enhance fire visibility'}
+                </button>
+                {previewPhoto.enhanced && (
+                  <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+                    <button
+                      onClick={() => setShowEnhanced(false)}
+                      className={`px-3 py-1 rounded ${!showEnhanced ? 'bg-white shadow' : 'text-gray-500'}`}
+                    >
+                      Before
+                    </button>
+                    <button
+                      onClick={() => setShowEnhanced(true)}
+                      className={`px-3 py-1 rounded ${showEnhanced ? 'bg-white shadow' : 'text-gray-500'}`}
+                    >
+                      After
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {previewPhoto.enhanced && (
+                <p className="text-xs text-gray-500">
+                  Both versions are uploaded. The original is kept as evidence.
+                </p>
+              )}
+            </>
+          )}
+          {enhanceError && <p className="text-xs text-red-600">{enhanceError}</p>}
+        </div>
+      )}
+
+      {/* Metadata consent */}
+      {(photoMetadata.time || photoMetadata.location) && (
+        <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-2">
+          <div className="flex items-center font-medium">
+            <ShieldCheck size={18} className="text-emerald-500 mr-2" />
+            Photo details to share
+          </div>
+          <p className="text-xs text-gray-500">
+            Camera details, owner name and thumbnails are always removed before upload.
+          </p>
+          {photoMetadata.time && (
+            <label className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={keepMetadata.time}
+                onChange={(e) => setKeepMetadata(prev => ({ ...prev, time: e.target.checked }))}
+                className="mr-2"
+              />
+              Time the photo was taken
+            </label>
+          )}
+          {photoMetadata.location && (
+            <label className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={keepMetadata.location}
+                onChange={(e) => setKeepMetadata(prev => ({ ...prev, location: e.target.checked }))}
+                className="mr-2"
+              />
+              GPS position recorded in the photo
+            </label>
+          )}
+        </div>
+      )}
+
       {/* Continue Button */}
       <div className="pt-4">
         <button
@@ -217,7 +644,7 @@ const PhotoCapture = ({ onCapture, onSkip }) => {
           }`}
         >
           <Check size={20} className="mr-2" />
-          Continue with {capturedPhotos.length} photo{capturedPhotos.length !== 1 ? 's' : ''}
+          Continue with {describeMedia(capturedPhotos)}
         </button>
       </div>
     </div>
@@ -1,9 +1,13 @@
-import React, { useState } from 'react';
-import { AlertTriangle, Axe, Bug, ThermometerSun, Shield, Leaf, Camera, MapPin } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { AlertTriangle, Axe, Bug, ThermometerSun, Shield, Leaf, FileClock, Trash2 } from 'lucide-react';
 import PhotoCapture from './PhotoCapture';
 import LocationPicker from './LocationPicker';
 import IncidentDetails from './IncidentDetails';
+import VoiceNote, { SOUND_ANALYSIS_TYPES } from './VoiceNote';
+import MediaThumbnail from './MediaThumbnail';
 import SuccessAnimation from './SuccessAnimation';
+import { generateIdempotencyKey } from '../../services/api/apiClient';
+import { saveDraft, getDrafts, loadDraft, deleteDraft } from '../../services/offline/reportDrafts';
 
 const reportTypes = [
   { id: 'fire', icon: AlertTriangle, label: 'Fire', color: 'bg-red-500', points: 50, verificationTime: 2 },
@@ -14,30 +18,154 @@ const reportTypes = [
   { id: 'waste', icon: Leaf, label: 'Waste Dumping', color: 'bg-emerald-500', points: 35, verificationTime: 2 }
 ];
 
+// Typing in the details step is saved once the user pauses
+const DETAILS_SAVE_DELAY = 1000;
+
 const ReportForm = ({ onSubmit, currentLocation }) => {
   const [step, setStep] = useState(1);
   const [reportType, setReportType] = useState(null);
   const [photos, setPhotos] = useState([]);
+  const [voiceNote, setVoiceNote] = useState(null);
+  const [analyzingVoiceNote, setAnalyzingVoiceNote] = useState(false);
   const [location, setLocation] = useState(currentLocation || null);
   const [incidentDetails, setIncidentDetails] = useState({
     description: '',
     severity: 'medium',
     area: 'small'
   });
-  const [submitted, setSubmitted] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState([]);
+  const [queued, setQueued] = useState(false);
+  // Identifies this report across submit attempts so retries are not duplicated
+  const [idempotencyKey, setIdempotencyKey] = useState(generateIdempotencyKey);
+  // Unfinished reports saved on the device
+  const [drafts, setDrafts] = useState([]);
+  // Latest version of this report's draft, and the pending save
+  const draftRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  // Key of the last report sent, whose draft must not come back
+  const sentKeyRef = useRef(null);
+
+  useEffect(() => {
+    getDrafts().then(setDrafts);
+  }, []);
+
+  // Save the pending changes when leaving the Report tab
+  useEffect(() => {
+    const draft = draftRef;
+    const saveTimer = saveTimerRef;
+    return () => {
+      if (saveTimer.current && draft.current) {
+        clearTimeout(saveTimer.current);
+        saveDraft(draft.current).catch(error => console.error('Error saving report draft:', error));
+      }
+    };
+  }, []);
+
+  // Merge changes into the draft and save it, right away when a step
+  // completes or after a pause while typing
+  const updateDraft = (changes, delay = 0) => {
+    // A late change from a step rendered before the report was sent
+    if (idempotencyKey === sentKeyRef.current) return;
+
+    draftRef.current = {
+      ...(draftRef.current || {
+        id: idempotencyKey,
+        step,
+        reportType,
+        photos,
+        location,
+        incidentDetails,
+        voiceNote,
+        createdAt: new Date().toISOString()
+      }),
+      ...changes
+    };
+
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => {
+      saveTimerRef.current = null;
+      saveDraft(draftRef.current).catch(error => console.error('Error saving report draft:', error));
+    }, delay);
+  };
+
+  const forgetDraft = () => {
+    sentKeyRef.current = idempotencyKey;
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = null;
+    draftRef.current = null;
+    deleteDraft(idempotencyKey);
+  };
+
+  const handleTypeSelect = (type) => {
+    setReportType(type);
+    setStep(2); // Move to photo capture
+    updateDraft({ reportType: type, step: 2 });
+  };
 
   const handlePhotoCapture = (newPhotos) => {
-    setPhotos([...photos, ...newPhotos]);
+    const nextPhotos = [...photos, ...newPhotos];
+    setPhotos(nextPhotos);
     setStep(3); // Move to location selection after photo
+    updateDraft({ photos: nextPhotos, step: 3 });
+  };
+
+  const handlePhotoSkip = () => {
+    setStep(3);
+    updateDraft({ step: 3 });
   };
 
   const handleLocationSelect = (selectedLocation) => {
     setLocation(selectedLocation);
     setStep(4); // Move to details after location
+    updateDraft({ location: selectedLocation, step: 4 });
+  };
+
+  const handleDetailsChange = (details) => {
+    setIncidentDetails(details);
+    updateDraft({ incidentDetails: details }, DETAILS_SAVE_DELAY);
+  };
+
+  const handleVoiceNoteChange = (note) => {
+    setVoiceNote(note);
+    updateDraft({ voiceNote: note });
   };
 
-  const handleDetailsSubmit = (details) => {
+  const resumeDraft = async (draftId) => {
+    const draft = await loadDraft(draftId);
+    if (!draft) {
+      setDrafts(await getDrafts());
+      return;
+    }
+
+    draftRef.current = draft;
+    setIdempotencyKey(draft.id);
+    setReportType(draft.reportType);
+    setPhotos(draft.photos);
+    setLocation(draft.location || currentLocation || null);
+    setIncidentDetails(draft.incidentDetails);
+    setVoiceNote(draft.voiceNote);
+    setStep(draft.step);
+  };
+
+  const discardDraft = async (draftId) => {
+    await deleteDraft(draftId);
+    setDrafts(prev => prev.filter(draft => draft.id !== draftId));
+  };
+
+  const handleUploadProgress = ({ index, progress }) => {
+    setUploadProgress(prev => {
+      const next = [...prev];
+      next[index] = progress;
+      return next;
+    });
+  };
+
+  const handleDetailsSubmit = async (details) => {
     setIncidentDetails(details);
+    // Kept until the report is sent, in case submitting fails
+    updateDraft({ incidentDetails: details });
     
     // Prepare the complete report data
     const reportData = {
@@ -45,42 +173,152 @@ const ReportForm = ({ onSubmit, currentLocation }) => {
       photos: photos,
       location: location,
       ...details,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      idempotencyKey
     };
+    if (voiceNote) {
+      reportData.voiceNote = {
+        blob: voiceNote.blob,
+        mimeType: voiceNote.mimeType,
+        durationMs: voiceNote.durationMs,
+        // Sound flags only mean something for logging and poaching reports
+        analysis: SOUND_ANALYSIS_TYPES.includes(reportType) ? voiceNote.analysis : null
+      };
+    }
     
-    // Submit the report
-    onSubmit(reportData);
-    setSubmitted(true);
-    setStep(5); // Move to success screen
+    // Submit the report, tracking per-photo upload progress
+    setUploadProgress(photos.map(() => 0));
+    setSubmitError(null);
+    setSubmitting(true);
+    try {
+      const result = await onSubmit(reportData, { onProgress: handleUploadProgress });
+      // The report was saved on the device to be sent once back online
+      setQueued(Boolean(result && result.offline));
+      // Sent or waiting in the offline queue: the draft is no longer needed
+      forgetDraft();
+      setStep(5); // Move to success screen
+    } catch (error) {
+      console.error('Error submitting report:', error);
+      setSubmitError(error.message || 'Failed to submit report. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
   };
 
   const resetForm = () => {
     setStep(1);
     setReportType(null);
     setPhotos([]);
+    setVoiceNote(null);
     setLocation(currentLocation || null);
     setIncidentDetails({
       description: '',
       severity: 'medium',
       area: 'small'
     });
-    setSubmitted(false);
+    setSubmitError(null);
+    setUploadProgress([]);
+    setQueued(false);
+    setIdempotencyKey(generateIdempotencyKey());
+    draftRef.current = null;
+    getDrafts().then(setDrafts);
   };
 
+  // Upload progress screen
+  if (submitting) {
+    return (
+      <div className="p-4 space-y-4 max-w-md mx-auto">
+        <h2 className="text-xl font-bold">Sending Report</h2>
+        {photos.length > 0 ? (
+          <div className="space-y-3">
+            {photos.map((photo, index) => (
+              <div key={index} className="flex items-center gap-3">
+                <MediaThumbnail
+                  photo={photo}
+                  alt={`Upload ${index + 1}`}
+                  className="w-12 h-12 object-cover rounded-lg"
+                />
+                <div className="flex-1">
+                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                    <span>{photo.type === 'video' ? 'Clip' : 'Photo'} {index + 1}</span>
+                    <span>{Math.round((uploadProgress[index] || 0) * 100)}%</span>
+                  </div>
+                  <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-emerald-500 transition-all"
+                      style={{ width: `${(uploadProgress[index] || 0) * 100}%` }}
+                    />
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="flex flex-col items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-emerald-500 mb-4"></div>
+            <p className="text-gray-600">Submitting report...</p>
+          </div>
+        )}
+      </div>
+    );
+  }
+
   // Type selection screen
   if (step === 1) {
     return (
       <div className="p-4 space-y-4 max-w-md mx-auto">
         <h2 className="text-xl font-bold">Report Issue</h2>
+
+        {/* Reports interrupted before they were sent */}
+        {drafts.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-3 space-y-2">
+            <h3 className="font-medium flex items-center text-yellow-800">
+              <FileClock size={18} className="mr-2" />
+              Unfinished {drafts.length === 1 ? 'report' : 'reports'}
+            </h3>
+            {drafts.map(draft => {
+              const type = reportTypes.find(t => t.id === draft.reportType);
+              const mediaCount = draft.photos.length + (draft.voiceNote ? 1 : 0);
+              return (
+                <div key={draft.id} className="bg-white rounded-lg p-2 flex items-center gap-3">
+                  {type && (
+                    <div className={`${type.color} text-white p-2 rounded-lg`}>
+                      <type.icon size={16} />
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium truncate">
+                      {(draft.incidentDetails && draft.incidentDetails.description) || (type ? type.label : 'Report')}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Saved {new Date(draft.updatedAt).toLocaleString()}
+                      {mediaCount > 0 && ` · ${mediaCount} attachment${mediaCount === 1 ? '' : 's'}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => resumeDraft(draft.id)}
+                    className="text-sm text-emerald-600 font-medium"
+                  >
+                    Resume
+                  </button>
+                  <button
+                    onClick={() => discardDraft(draft.id)}
+                    className="p-1 text-gray-400"
+                    aria-label="Discard draft"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
         
         <div className="grid grid-cols-3 gap-3">
           {reportTypes.map(type => (
             <button
               key={type.id}
-              onClick={() => {
-                setReportType(type.id);
-                setStep(2); // Move to photo capture
-              }}
+              onClick={() => handleTypeSelect(type.id)}
               className={`${type.color} text-white p-4 rounded-xl flex flex-col items-center`}
             >
               <type.icon size={24} />
@@ -95,13 +333,17 @@ const ReportForm = ({ onSubmit, currentLocation }) => {
 
   // Photo capture screen
   if (step === 2) {
-    return <PhotoCapture onCapture={handlePhotoCapture} onSkip={() => setStep(3)} />;
+    return <PhotoCapture onCapture={handlePhotoCapture} onSkip={handlePhotoSkip} />;
   }
 
   // Location selection screen
   if (step === 3) {
+    // Gallery photos may record where they were taken
+    const photoWithLocation = photos.find(photo => photo.location);
+
     return <LocationPicker 
       currentLocation={currentLocation} 
+      suggestedLocation={photoWithLocation ? photoWithLocation.location : null}
       onLocationSelect={handleLocationSelect} 
       onBack={() => setStep(2)} 
     />;
@@ -109,17 +351,36 @@ const ReportForm = ({ onSubmit, currentLocation }) => {
 
   // Incident details screen
   if (step === 4) {
-    return <IncidentDetails 
-      initialValues={incidentDetails} 
-      onSubmit={handleDetailsSubmit} 
-      onBack={() => setStep(3)} 
-      reportType={reportType} 
-    />;
+    return (
+      <>
+        {submitError && (
+          <div className="mx-4 mt-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl">
+            <p>{submitError}</p>
+          </div>
+        )}
+        <div className="px-4 pt-4 max-w-md mx-auto">
+          <VoiceNote
+            reportType={reportType}
+            value={voiceNote}
+            onChange={handleVoiceNoteChange}
+            onAnalyzingChange={setAnalyzingVoiceNote}
+          />
+        </div>
+        <IncidentDetails 
+          initialValues={incidentDetails} 
+          onSubmit={handleDetailsSubmit} 
+          onBack={() => setStep(3)} 
+          onChange={handleDetailsChange}
+          reportType={reportType} 
+          submitDisabled={analyzingVoiceNote}
+        />
+      </>
+    );
   }
 
   // Success screen
   if (step === 5) {
-    return <SuccessAnimation onClose={resetForm} reportType={reportType} />;
+    return <SuccessAnimation onClose={resetForm} reportType={reportType} queued={queued} />;
   }
 
   // Default fallback
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { CheckCircle, Shield, Home } from 'lucide-react';
+import { CheckCircle, Shield, Home, UploadCloud } from 'lucide-react';
 
-const SuccessAnimation = ({ onClose, reportType }) => {
+const SuccessAnimation = ({ onClose, reportType, queued = false }) => {
   const [showAnimation, setShowAnimation] = useState(true);
   const [points, setPoints] = useState(0);
   const [message, setMessage] = useState('');
@@ -55,9 +55,19 @@ const SuccessAnimation = ({ onClose, reportType }) => {
             <Shield size={56} className="text-emerald-500" />
           </div>
           <h2 className="text-2xl font-bold text-gray-800 mb-2">Thank You Guardian!</h2>
-          <p className="text-gray-600 mb-4">
-            Your report has been submitted successfully.
-          </p>
+          {queued ? (
+            <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 p-3 rounded-xl mb-4 flex items-start text-left">
+              <UploadCloud size={20} className="mr-2 flex-shrink-0" />
+              <p className="text-sm">
+                You are offline. Your report is saved on this device and will be sent
+                automatically once you are back online. Check Pending Uploads to follow it.
+              </p>
+            </div>
+          ) : (
+            <p className="text-gray-600 mb-4">
+              Your report has been submitted successfully.
+            </p>
+          )}
           <p className="text-emerald-600 font-medium mb-6">
             {message}
           </p>
@@ -92,7 +102,7 @@ const SuccessAnimation = ({ onClose, reportType }) => {
           </div>
         </div>
         <h2 className="text-2xl font-bold text-gray-800 mb-2">
-          Report Submitted!
+          {queued ? 'Report Saved!' : 'Report Submitted!'}
         </h2>
         <p className="text-gray-600">
           Thank you for contributing to forest protection
@@ -0,0 +1,213 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Mic, Square, Trash2, AudioLines } from 'lucide-react';
+import {
+  isVoiceRecordingSupported,
+  startVoiceRecording,
+  analyzeSound,
+  VOICE_NOTE_MAX_SECONDS
+} from '../../services/media/voiceRecorder';
+
+// Report types whose voice notes are checked for chainsaw and gunshot sounds
+export const SOUND_ANALYSIS_TYPES = ['logging', 'hunting'];
+
+// Format a number of seconds as m:ss
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+const VoiceNote = ({ reportType, value, onChange, onAnalyzingChange }) => {
+  const [recording, setRecording] = useState(false);
+  const [recordSeconds, setRecordSeconds] = useState(0);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [error, setError] = useState(null);
+  const streamRef = useRef(null);
+  const recordingRef = useRef(null);
+  // Cleared when leaving the step, e.g. when the report is submitted
+  const mountedRef = useRef(true);
+
+  const analyzesSound = SOUND_ANALYSIS_TYPES.includes(reportType);
+
+  // Release the microphone when leaving the step mid-recording
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      if (recordingRef.current) {
+        recordingRef.current.stop();
+      }
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, []);
+
+  // The report must not be sent before its sound flags are known
+  const setAnalysisRunning = (running) => {
+    setAnalyzing(running);
+    if (onAnalyzingChange) {
+      onAnalyzingChange(running);
+    }
+  };
+
+  const releaseMicrophone = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  };
+
+  const startRecording = async () => {
+    setError(null);
+    try {
+      streamRef.current = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+    } catch (err) {
+      console.error("Error accessing microphone:", err);
+      setError(`Microphone access error: ${err.message}`);
+      return;
+    }
+
+    try {
+      // Throws when the browser cannot record any of the audio formats
+      const note = startVoiceRecording(streamRef.current, { onTick: setRecordSeconds });
+      recordingRef.current = note;
+      setRecordSeconds(0);
+      setRecording(true);
+
+      const { blob, mimeType, durationMs } = await note.result;
+      releaseMicrophone();
+      if (!mountedRef.current) return;
+
+      recordingRef.current = null;
+      setRecording(false);
+
+      const voiceNote = { url: URL.createObjectURL(blob), blob, mimeType, durationMs, analysis: null };
+      onChange(voiceNote);
+
+      if (analyzesSound) {
+        setAnalysisRunning(true);
+        try {
+          const analysis = await analyzeSound(blob);
+          // Too late once the step was left: the report may already be sent
+          if (mountedRef.current) {
+            onChange({ ...voiceNote, analysis });
+          }
+        } catch (err) {
+          // The note is still attached, only without the flags
+          setError('Could not check the recording for chainsaw or gunshot sounds.');
+        } finally {
+          setAnalysisRunning(false);
+        }
+      }
+    } catch (err) {
+      console.error("Error recording voice note:", err);
+      setError(`Recording error: ${err.message}`);
+      releaseMicrophone();
+      recordingRef.current = null;
+      setRecording(false);
+    }
+  };
+
+  const stopRecording = () => {
+    if (recordingRef.current) {
+      recordingRef.current.stop();
+    }
+  };
+
+  const removeNote = () => {
+    if (value) {
+      URL.revokeObjectURL(value.url);
+    }
+    setError(null);
+    onChange(null);
+  };
+
+  if (!isVoiceRecordingSupported()) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-xl p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium flex items-center">
+          <Mic size={18} className="mr-2 text-gray-500" />
+          Voice note
+        </h3>
+        <span className="text-xs text-gray-500">Optional, up to {VOICE_NOTE_MAX_SECONDS}s</span>
+      </div>
+
+      {analyzesSound && !value && !recording && (
+        <p className="text-xs text-gray-500">
+          Record the sounds around you. Chainsaws and gunshots are detected on your device.
+        </p>
+      )}
+
+      {recording ? (
+        <div className="flex items-center justify-between">
+          <span className="flex items-center text-red-500 text-sm font-medium">
+            <span className="w-2 h-2 bg-red-500 rounded-full mr-2 animate-pulse" />
+            {formatSeconds(recordSeconds)} / {formatSeconds(VOICE_NOTE_MAX_SECONDS)}
+          </span>
+          <button
+            type="button"
+            onClick={stopRecording}
+            className="flex items-center px-3 py-1 rounded-lg bg-white border border-gray-300 text-sm"
+          >
+            <Square size={14} className="mr-1 text-red-500" />
+            Stop
+          </button>
+        </div>
+      ) : value ? (
+        <div className="flex items-center gap-2">
+          <audio src={value.url} controls className="flex-1 h-10" />
+          <button
+            type="button"
+            onClick={removeNote}
+            disabled={analyzing}
+            className="p-2 text-gray-500"
+            aria-label="Delete voice note"
+          >
+            <Trash2 size={18} />
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={startRecording}
+          className="w-full py-2 rounded-lg border border-gray-300 bg-white flex items-center justify-center text-sm"
+        >
+          <Mic size={16} className="mr-2 text-red-500" />
+          Record voice note
+        </button>
+      )}
+
+      {analyzing && (
+        <p className="text-xs text-gray-500 flex items-center">
+          <AudioLines size={14} className="mr-1 animate-pulse" />
+          Listening for chainsaws and gunshots...
+        </p>
+      )}
+
+      {value && value.analysis && (
+        <div className="flex flex-wrap gap-2 text-xs">
+          {value.analysis.chainsawDetected && (
+            <span className="bg-orange-100 text-orange-700 px-2 py-1 rounded-full">
+              Chainsaw sound detected
+            </span>
+          )}
+          {value.analysis.gunshotDetected && (
+            <span className="bg-red-100 text-red-700 px-2 py-1 rounded-full">
+              Gunshot sound detected
+            </span>
+          )}
+          {!value.analysis.chainsawDetected && !value.analysis.gunshotDetected && (
+            <span className="bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+              No chainsaw or gunshot heard
+            </span>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-xs text-yellow-700">{error}</p>}
+    </div>
+  );
+};
+
+export default VoiceNote;
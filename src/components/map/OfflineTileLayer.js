@@ -0,0 +1,116 @@
+import { createElementObject, createTileLayerComponent, updateGridLayer, withPane } from '@react-leaflet/core';
+import L from 'leaflet';
+import {
+  TILE_ATTRIBUTION,
+  TILE_URL_TEMPLATE,
+  getCachedTile,
+  getPackTile,
+  getTileUrl,
+  storeTile
+} from '../../services/location/offlineMap';
+
+// Shown in place of tiles that are neither stored nor reachable
+const PLACEHOLDER_TILE = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">' +
+  '<rect width="256" height="256" fill="#f3f4f6"/>' +
+  '<path d="M0 0H256V256" fill="none" stroke="#e5e7eb" stroke-width="2"/>' +
+  '<text x="128" y="132" font-family="sans-serif" font-size="13" fill="#9ca3af" text-anchor="middle">Not available offline</text>' +
+  '</svg>'
+)}`;
+
+/**
+ * Load a tile image, preferring the local tile store
+ * @param {Object} coords - Tile coordinates {z, x, y}
+ * @returns {Promise<Blob|null>} Tile image, or null if unavailable
+ */
+const loadTile = async ({ z, x, y }) => {
+  const cached = await getCachedTile(z, x, y);
+  if (cached) return cached;
+
+  if (!navigator.onLine) return null;
+
+  try {
+    const response = await fetch(getTileUrl(z, x, y));
+    if (!response.ok) return null;
+
+    const blob = await response.blob();
+    // Write through so the area stays visible offline
+    storeTile(z, x, y, blob);
+    return blob;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Leaflet tile layer reading tiles from Cache Storage before the network,
+// or only from an imported map pack when the pack option is set
+const CacheFirstTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const { pack } = this.options;
+    const tile = document.createElement('img');
+    tile.alt = '';
+    tile.setAttribute('role', 'presentation');
+
+    const loading = pack ? getPackTile(pack, coords.z, coords.x, coords.y) : loadTile(coords);
+
+    loading.then((blob) => {
+      if (!blob && pack) {
+        // Let the layer below show through gaps in the pack
+        tile.style.visibility = 'hidden';
+        done(null, tile);
+        return;
+      }
+      if (!blob) {
+        tile.onload = () => done(null, tile);
+        tile.src = PLACEHOLDER_TILE;
+        return;
+      }
+
+      const objectUrl = URL.createObjectURL(blob);
+      tile.onload = () => {
+        URL.revokeObjectURL(objectUrl);
+        done(null, tile);
+      };
+      tile.onerror = () => {
+        URL.revokeObjectURL(objectUrl);
+        done(new Error('Tile image could not be decoded'), tile);
+      };
+      tile.src = objectUrl;
+    });
+
+    return tile;
+  }
+});
+
+/**
+ * Offline-aware replacement for react-leaflet's TileLayer
+ *
+ * Serves tiles from the offline tile store when present and from the network
+ * otherwise, storing network tiles as they are shown. Tiles missing while
+ * offline are drawn as a placeholder.
+ *
+ * With a `pack` prop (an imported region), renders that map pack instead,
+ * within its coverage and with its attribution. Place it above a plain
+ * OfflineTileLayer so the basemap shows outside the pack.
+ */
+const OfflineTileLayer = createTileLayerComponent(
+  function createOfflineTileLayer({ pack, attribution = TILE_ATTRIBUTION, ...options }, context) {
+    const packOptions = pack ? {
+      pack,
+      attribution: pack.attribution || attribution,
+      bounds: [[pack.coverage.south, pack.coverage.west], [pack.coverage.north, pack.coverage.east]],
+      minZoom: pack.minZoom,
+      // Scale up the most detailed tiles when zooming in further
+      maxNativeZoom: pack.maxZoom
+    } : { attribution };
+
+    // Tiles always come from the source the offline store is keyed by
+    const layer = new CacheFirstTileLayer(TILE_URL_TEMPLATE, withPane({ ...options, ...packOptions }, context));
+    return createElementObject(layer, context);
+  },
+  function updateOfflineTileLayer(layer, props, prevProps) {
+    updateGridLayer(layer, props, prevProps);
+  }
+);
+
+export default OfflineTileLayer;
@@ -0,0 +1,467 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { MapContainer, Rectangle, useMap, useMapEvents } from 'react-leaflet';
+import { Map as MapIcon, Download, RefreshCw, Trash2, HardDrive, Play, X, FileUp } from 'lucide-react';
+import 'leaflet/dist/leaflet.css';
+import OfflineTileLayer from '../map/OfflineTileLayer';
+import {
+  AVERAGE_TILE_BYTES,
+  MAX_TILES_PER_DOWNLOAD,
+  MAX_BROWSED_TILES,
+  REGION_DOWNLOADS_ENABLED,
+  getOfflineRegions,
+  getStorageEstimate,
+  downloadOfflineMapTiles,
+  resumeOfflineMapDownload,
+  refreshOfflineRegion,
+  deleteOfflineRegion,
+  importOfflineMapPack,
+  isImportedRegion,
+  estimateTileCount,
+  getBrowsedTilesUsage,
+  clearBrowsedTiles
+} from '../../services/location/offlineMap';
+import { MAX_MBTILES_BYTES } from '../../services/location/tilePackReader';
+
+const DEFAULT_CENTER = [31.7917, -7.0926]; // Morocco
+const ZOOM_LEVELS = [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17];
+
+// Progress key of a running pack import
+const IMPORT_ID = 'import';
+
+// Display names of map pack formats
+const packFormats = {
+  mbtiles: 'MBTiles',
+  pmtiles: 'PMTiles'
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size
+ */
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Convert region coverage to Leaflet bounds
+ * @param {Object} coverage - Region bounds (north, south, east, west)
+ * @returns {Array} Leaflet bounds
+ */
+const toLatLngBounds = (coverage) => [
+  [coverage.south, coverage.west],
+  [coverage.north, coverage.east]
+];
+
+// Reports the visible area of the map as region bounds
+function VisibleBoundsTracker({ onChange }) {
+  const map = useMap();
+
+  const report = useCallback(() => {
+    const bounds = map.getBounds();
+    onChange({
+      north: bounds.getNorth(),
+      south: bounds.getSouth(),
+      east: bounds.getEast(),
+      west: bounds.getWest()
+    });
+  }, [map, onChange]);
+
+  useMapEvents({ moveend: report });
+  useEffect(report, [report]);
+
+  return null;
+}
+
+// Small static map showing the bounding box of a region
+function RegionPreview({ coverage }) {
+  const bounds = toLatLngBounds(coverage);
+
+  return (
+    <MapContainer
+      bounds={bounds}
+      zoomControl={false}
+      attributionControl={false}
+      dragging={false}
+      scrollWheelZoom={false}
+      doubleClickZoom={false}
+      touchZoom={false}
+      keyboard={false}
+      style={{ height: '8rem', width: '100%' }}
+      className="rounded-lg"
+    >
+      <OfflineTileLayer />
+      <Rectangle bounds={bounds} pathOptions={{ color: '#10b981', weight: 2 }} />
+    </MapContainer>
+  );
+}
+
+/**
+ * OfflineRegions component
+ *
+ * Lets users download named map regions for offline use and manage them:
+ * see their coverage, size on disk and expiry, refresh or delete them. New
+ * downloads are checked against the storage quota before they start. Map
+ * packs (MBTiles, PMTiles) handed out by partners can be imported from disk.
+ * Tiles kept from browsing the map online are listed apart and can be cleared.
+ */
+const OfflineRegions = () => {
+  const [regions, setRegions] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [browsedTiles, setBrowsedTiles] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [visibleBounds, setVisibleBounds] = useState(null);
+  const [minZoom, setMinZoom] = useState(10);
+  const [maxZoom, setMaxZoom] = useState(15);
+  const [download, setDownload] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const loadRegions = useCallback(async () => {
+    try {
+      const [offlineRegions, estimate, browsed] = await Promise.all([
+        getOfflineRegions(),
+        getStorageEstimate(),
+        getBrowsedTilesUsage()
+      ]);
+      setRegions(offlineRegions);
+      setStorage(estimate);
+      setBrowsedTiles(browsed);
+    } catch (err) {
+      console.error('Error loading offline regions:', err);
+      setError('Failed to load offline maps.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRegions();
+    // Stop a running download when leaving the screen; it can be resumed
+    return () => abortControllerRef.current && abortControllerRef.current.abort();
+  }, [loadRegions]);
+
+  const tileCount = visibleBounds && minZoom <= maxZoom
+    ? estimateTileCount(visibleBounds, minZoom, maxZoom)
+    : 0;
+  const estimatedBytes = tileCount * AVERAGE_TILE_BYTES;
+  const tooLarge = tileCount > MAX_TILES_PER_DOWNLOAD;
+  const notEnoughStorage = storage !== null && estimatedBytes > storage.available;
+
+  /**
+   * Run a download and keep its progress on screen
+   * @param {string|null} regionId - Region being downloaded, null for a new one
+   * @param {Function} start - Starts the download: (options) => Promise
+   */
+  const runDownload = async (regionId, start) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setError(null);
+    setDownload({ regionId, done: 0, total: 0 });
+
+    const result = await start({
+      signal: controller.signal,
+      onProgress: progress => setDownload({ regionId, ...progress })
+    });
+
+    abortControllerRef.current = null;
+    setDownload(null);
+
+    if (result.error) {
+      setError(result.error);
+    } else if (result.failedTiles > 0) {
+      setError(`${result.failedTiles} tiles could not be downloaded. Resume the download to try again.`);
+    }
+    if (!regionId && !result.error) {
+      setName('');
+    }
+    loadRegions();
+  };
+
+  const handleDownload = () => {
+    runDownload(null, options => downloadOfflineMapTiles(visibleBounds, minZoom, maxZoom, {
+      ...options,
+      name: name.trim()
+    }));
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    // Allow choosing the same file again
+    e.target.value = '';
+    if (!file) return;
+
+    runDownload(IMPORT_ID, options => importOfflineMapPack(file, options));
+  };
+
+  const handleResume = (regionId) => {
+    runDownload(regionId, options => resumeOfflineMapDownload(regionId, options));
+  };
+
+  const handleRefresh = (regionId) => {
+    runDownload(regionId, options => refreshOfflineRegion(regionId, options));
+  };
+
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
+  const handleDelete = async (region) => {
+    if (!window.confirm(`Delete "${region.name}"? Its map will no longer be available offline.`)) return;
+    const deleted = await deleteOfflineRegion(region.id);
+    if (!deleted) {
+      setError('Failed to delete the region. Please try again.');
+    }
+    loadRegions();
+  };
+
+  const handleClearBrowsedTiles = async () => {
+    if (!window.confirm('Clear the map tiles kept from browsing? Downloaded regions are not affected.')) return;
+    const cleared = await clearBrowsedTiles();
+    if (!cleared) {
+      setError('Failed to clear the browsed tiles. Please try again.');
+    }
+    loadRegions();
+  };
+
+  const renderProgress = () => {
+    const percent = download.total ? Math.round((download.done / download.total) * 100) : 0;
+
+    return (
+      <div className="mt-3">
+        <div className="flex justify-between text-xs text-gray-600 mb-1">
+          <span>{download.done} / {download.total || '…'} tiles</span>
+          <span>{percent}%</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div className="bg-emerald-500 h-2 rounded-full" style={{ width: `${percent}%` }}></div>
+        </div>
+        <button
+          onClick={handleCancel}
+          className="w-full mt-2 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm flex items-center justify-center"
+        >
+          <X size={16} className="mr-1" />
+          Cancel
+        </button>
+      </div>
+    );
+  };
+
+  const renderStatus = (region) => {
+    if (isImportedRegion(region)) {
+      return <span className="text-xs text-gray-500">{packFormats[region.source]} pack</span>;
+    }
+    if (region.status === 'downloading' || region.status === 'paused') {
+      return <span className="text-xs text-yellow-700">Incomplete</span>;
+    }
+    if (region.expired) {
+      return <span className="text-xs text-red-600">Expired</span>;
+    }
+    return (
+      <span className="text-xs text-gray-500">
+        Expires {new Date(region.expiresAt).toLocaleDateString()}
+      </span>
+    );
+  };
+
+  return (
+    <div className="p-4 space-y-4 max-w-md mx-auto">
+      <h2 className="text-xl font-bold">Offline Maps</h2>
+
+      {storage && (
+        <div className="bg-white p-4 rounded-xl shadow-sm">
+          <div className="flex items-center text-sm text-gray-700 mb-2">
+            <HardDrive size={16} className="mr-2 text-emerald-500" />
+            {formatBytes(storage.usage)} used of {formatBytes(storage.quota)}
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-emerald-500 h-2 rounded-full"
+              style={{ width: `${storage.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl">
+          {error}
+        </div>
+      )}
+
+      {/* New region */}
+      {!REGION_DOWNLOADS_ENABLED ? (
+        <div className="bg-white p-4 rounded-xl shadow-sm">
+          <h3 className="font-bold">Download a new region</h3>
+          <p className="text-xs text-gray-500 mt-1">
+            Region downloads are not available: the map server in use does not allow them. Import a map pack instead.
+          </p>
+        </div>
+      ) : (
+        <div className="bg-white p-4 rounded-xl shadow-sm space-y-3">
+          <h3 className="font-bold">Download a new region</h3>
+          <p className="text-xs text-gray-500">Move the map to the area you need. The visible area will be downloaded.</p>
+          <MapContainer center={DEFAULT_CENTER} zoom={8} style={{ height: '12rem', width: '100%' }} className="rounded-lg">
+            <OfflineTileLayer />
+            <VisibleBoundsTracker onChange={setVisibleBounds} />
+          </MapContainer>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+            placeholder="Region name (e.g., Ifrane district)"
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-600">
+              From zoom
+              <select
+                value={minZoom}
+                onChange={(e) => setMinZoom(Number(e.target.value))}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm mt-1"
+              >
+                {ZOOM_LEVELS.map(z => <option key={z} value={z}>{z}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-gray-600">
+              To zoom
+              <select
+                value={maxZoom}
+                onChange={(e) => setMaxZoom(Number(e.target.value))}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm mt-1"
+              >
+                {ZOOM_LEVELS.map(z => <option key={z} value={z}>{z}</option>)}
+              </select>
+            </label>
+          </div>
+          <p className={`text-xs ${tooLarge || notEnoughStorage ? 'text-red-600' : 'text-gray-600'}`}>
+            {tileCount} tiles, about {formatBytes(estimatedBytes)}
+            {tooLarge && ` (maximum ${MAX_TILES_PER_DOWNLOAD} tiles)`}
+            {!tooLarge && notEnoughStorage && ` (only ${formatBytes(storage.available)} available)`}
+          </p>
+
+          {download && download.regionId === null ? renderProgress() : (
+            <button
+              onClick={handleDownload}
+              disabled={!name.trim() || !tileCount || tooLarge || notEnoughStorage || Boolean(download)}
+              className="w-full bg-emerald-500 text-white py-2 rounded-lg text-sm flex items-center justify-center disabled:bg-gray-300"
+            >
+              <Download size={16} className="mr-1" />
+              Download
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Map pack import */}
+      <div className="bg-white p-4 rounded-xl shadow-sm space-y-3">
+        <h3 className="font-bold">Import a map pack</h3>
+        <p className="text-xs text-gray-500">Load an .mbtiles (up to {MAX_MBTILES_BYTES / (1024 * 1024)} MB) or .pmtiles file, e.g. from a USB stick.</p>
+        {download && download.regionId === IMPORT_ID ? renderProgress() : (
+          <label
+            className={`w-full py-2 rounded-lg text-sm flex items-center justify-center ${
+              download ? 'bg-gray-300 text-white' : 'bg-emerald-500 text-white cursor-pointer'
+            }`}
+          >
+            <FileUp size={16} className="mr-1" />
+            Choose file
+            <input
+              type="file"
+              accept=".mbtiles,.pmtiles"
+              onChange={handleImport}
+              disabled={Boolean(download)}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+
+      {/* Downloaded regions */}
+      {loading ? (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-emerald-500"></div>
+        </div>
+      ) : regions.length === 0 ? (
+        <div className="text-center p-8 bg-white rounded-xl">
+          <MapIcon size={32} className="mx-auto text-emerald-500 mb-2" />
+          <p className="text-gray-600">No offline maps yet.</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {regions.map(region => (
+            <div key={region.id} className="bg-white p-4 rounded-xl shadow-sm">
+              <RegionPreview coverage={region.coverage} />
+              <div className="flex items-start justify-between mt-3">
+                <div>
+                  <p className="font-medium">{region.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {region.tileCount} tiles · {formatBytes(region.bytes || 0)} · zoom {region.minZoom}–{region.maxZoom}
+                  </p>
+                </div>
+                {renderStatus(region)}
+              </div>
+
+              {download && download.regionId === region.id ? renderProgress() : (
+                <div className="flex gap-2 mt-3">
+                  {isImportedRegion(region) || !REGION_DOWNLOADS_ENABLED ? null : region.status === 'complete' ? (
+                    <button
+                      onClick={() => handleRefresh(region.id)}
+                      disabled={Boolean(download)}
+                      className="flex-1 bg-emerald-500 text-white py-2 rounded-lg text-sm flex items-center justify-center disabled:bg-gray-300"
+                    >
+                      <RefreshCw size={16} className="mr-1" />
+                      Refresh
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleResume(region.id)}
+                      disabled={Boolean(download)}
+                      className="flex-1 bg-emerald-500 text-white py-2 rounded-lg text-sm flex items-center justify-center disabled:bg-gray-300"
+                    >
+                      <Play size={16} className="mr-1" />
+                      Resume
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDelete(region)}
+                    disabled={Boolean(download)}
+                    className="bg-red-50 text-red-600 px-3 py-2 rounded-lg text-sm flex items-center disabled:opacity-50"
+                  >
+                    <Trash2 size={16} className="mr-1" />
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Tiles kept from browsing */}
+      {browsedTiles && browsedTiles.tileCount > 0 && (
+        <div className="bg-white p-4 rounded-xl shadow-sm flex items-start justify-between">
+          <div>
+            <p className="font-medium">Browsed map areas</p>
+            <p className="text-xs text-gray-500">
+              {browsedTiles.tileCount} tiles · {formatBytes(browsedTiles.bytes)} · oldest dropped after {MAX_BROWSED_TILES} tiles
+            </p>
+          </div>
+          <button
+            onClick={handleClearBrowsedTiles}
+            disabled={Boolean(download)}
+            className="bg-red-50 text-red-600 px-3 py-2 rounded-lg text-sm flex items-center disabled:opacity-50"
+          >
+            <Trash2 size={16} className="mr-1" />
+            Clear
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineRegions;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { UploadCloud, RefreshCw, Trash2, Pencil, CheckCircle, XCircle, Clock, X, Check } from 'lucide-react';
+import {
+  getQueue,
+  getQueueStatus,
+  subscribeToQueue,
+  retryQueueItem,
+  discardQueueItem,
+  updateQueueItem
+} from '../../services/offline/queueManager';
+
+// Human readable labels of queued operations
+const operationLabels = {
+  'reports/create': 'New report',
+  'reports/update': 'Report update',
+  'reports/delete': 'Report withdrawal',
+  'events/register': 'Event registration',
+  'environment/subscribeAlerts': 'Alert subscription',
+  'environment/unsubscribeAlerts': 'Alert unsubscription',
+  'environment/reportCondition': 'Condition report'
+};
+
+// Operations whose report fields can be edited before sending
+const editableOperations = ['reports/create', 'reports/update'];
+
+/**
+ * Get a display label for a queue item
+ * @param {Object} item - Queue item
+ * @returns {string} Label
+ */
+const getItemLabel = (item) => {
+  const label = operationLabels[`${item.resource}/${item.operation}`] || `${item.resource}/${item.operation}`;
+  if (item.resource === 'reports' && item.data && item.data.type) {
+    return `${label}: ${item.data.type}`;
+  }
+  return label;
+};
+
+/**
+ * Inline editor for the text fields of a queued report
+ */
+const QueuedReportEditor = ({ item, onSave, onCancel }) => {
+  const [fields, setFields] = useState({
+    description: item.data.description || '',
+    severity: item.data.severity || 'medium',
+    area: item.data.area || 'small',
+    additionalNotes: item.data.additionalNotes || ''
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFields(prev => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <div className="mt-3 space-y-2">
+      <textarea
+        name="description"
+        value={fields.description}
+        onChange={handleChange}
+        className="w-full p-2 border border-gray-300 rounded-lg text-sm h-20"
+        placeholder="Description"
+      />
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          name="severity"
+          value={fields.severity}
+          onChange={handleChange}
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+          <option value="critical">Critical</option>
+        </select>
+        <select
+          name="area"
+          value={fields.area}
+          onChange={handleChange}
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="small">Small</option>
+          <option value="medium">Medium</option>
+          <option value="large">Large</option>
+        </select>
+      </div>
+      <textarea
+        name="additionalNotes"
+        value={fields.additionalNotes}
+        onChange={handleChange}
+        className="w-full p-2 border border-gray-300 rounded-lg text-sm h-16"
+        placeholder="Additional notes"
+      />
+      <div className="flex gap-2">
+        <button
+          onClick={() => onSave(fields)}
+          className="flex-1 bg-emerald-500 text-white py-2 rounded-lg text-sm flex items-center justify-center"
+        >
+          <Check size={16} className="mr-1" />
+          Save
+        </button>
+        <button
+          onClick={onCancel}
+          className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm flex items-center justify-center"
+        >
+          <X size={16} className="mr-1" />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * PendingUploads component
+ *
+ * Lists the operations waiting in the offline queue so users can check
+ * whether their reports have left the device, and retry, discard or edit
+ * them before they are sent.
+ */
+const PendingUploads = () => {
+  const [items, setItems] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    const [queue, queueStatus] = await Promise.all([getQueue(), getQueueStatus()]);
+    // Most recent first
+    setItems([...queue].reverse());
+    setStatus(queueStatus);
+    setLoading(false);
+  }, []);
+
+  // Load the queue and follow its changes
+  useEffect(() => {
+    loadQueue();
+    return subscribeToQueue(loadQueue);
+  }, [loadQueue]);
+
+  const handleRetry = async (id) => {
+    setError(null);
+    try {
+      const result = await retryQueueItem(id);
+      if (result.skipped) {
+        setError('Cannot send right now. Make sure you are logged in and online.');
+      }
+    } catch (err) {
+      console.error('Error retrying queued operation:', err);
+      setError('Failed to retry. Please try again.');
+    }
+  };
+
+  const handleDiscard = async (id) => {
+    if (!window.confirm('Discard this item? It will never be sent.')) return;
+    try {
+      await discardQueueItem(id);
+    } catch (err) {
+      console.error('Error discarding queued operation:', err);
+      setError('Failed to discard. Please try again.');
+    }
+  };
+
+  const handleSaveEdit = async (id, fields) => {
+    try {
+      await updateQueueItem(id, fields);
+      setEditingId(null);
+    } catch (err) {
+      console.error('Error editing queued operation:', err);
+      setError(err.message);
+    }
+  };
+
+  const renderStatus = (item) => {
+    if (item.status === 'completed') {
+      return (
+        <span className="flex items-center text-xs text-emerald-600">
+          <CheckCircle size={14} className="mr-1" />
+          Sent
+        </span>
+      );
+    }
+    if (item.status === 'failed') {
+      return (
+        <span className="flex items-center text-xs text-red-600">
+          <XCircle size={14} className="mr-1" />
+          Failed
+        </span>
+      );
+    }
+    return (
+      <span className="flex items-center text-xs text-yellow-700">
+        <Clock size={14} className="mr-1" />
+        Waiting
+      </span>
+    );
+  };
+
+  return (
+    <div className="p-4 space-y-4 max-w-md mx-auto">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold">Pending Uploads</h2>
+        {status && status.isProcessing && (
+          <span className="flex items-center text-sm text-emerald-600">
+            <RefreshCw size={16} className="mr-1 animate-spin" />
+            Sending...
+          </span>
+        )}
+      </div>
+
+      {status && (
+        <div className="bg-white p-4 rounded-xl shadow-sm grid grid-cols-3 text-center">
+          <div>
+            <p className="text-xl font-bold text-yellow-600">{status.pending}</p>
+            <p className="text-xs text-gray-500">Waiting</p>
+          </div>
+          <div>
+            <p className="text-xl font-bold text-red-600">{status.failed}</p>
+            <p className="text-xs text-gray-500">Failed</p>
+          </div>
+          <div>
+            <p className="text-xl font-bold text-emerald-600">{status.completed}</p>
+            <p className="text-xs text-gray-500">Sent</p>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading && (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-emerald-500"></div>
+        </div>
+      )}
+
+      {!loading && items.length === 0 && (
+        <div className="text-center p-8 bg-white rounded-xl">
+          <UploadCloud size={32} className="mx-auto text-emerald-500 mb-2" />
+          <p className="text-gray-600">Everything has been sent.</p>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {items.map(item => {
+          const photoCount = item.data && item.data.photos ? item.data.photos.length : 0;
+          const canEdit = item.status !== 'completed'
+            && editableOperations.includes(`${item.resource}/${item.operation}`);
+
+          return (
+            <div key={item.id} className="bg-white p-4 rounded-xl shadow-sm">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="font-medium capitalize">{getItemLabel(item)}</p>
+                  <p className="text-xs text-gray-500">
+                    Queued {new Date(item.timestamp).toLocaleString()}
+                  </p>
+                </div>
+                {renderStatus(item)}
+              </div>
+
+              <div className="text-xs text-gray-600 mt-2 space-y-1">
+                {photoCount > 0 && (
+                  <p>{photoCount} photo{photoCount !== 1 ? 's' : ''}</p>
+                )}
+                <p>Attempts: {item.attempts}</p>
+                {item.status === 'pending' && item.attempts > 0 && item.nextAttemptAt && (
+                  <p>Next attempt: {new Date(item.nextAttemptAt).toLocaleTimeString()}</p>
+                )}
+                {item.lastError && item.status !== 'completed' && (
+                  <p className="text-red-600">Last error: {item.lastError}</p>
+                )}
+              </div>
+
+              {editingId === item.id ? (
+                <QueuedReportEditor
+                  item={item}
+                  onSave={(fields) => handleSaveEdit(item.id, fields)}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : item.status !== 'completed' && (
+                <div className="flex gap-2 mt-3">
+                  <button
+                    onClick={() => handleRetry(item.id)}
+                    className="flex-1 bg-emerald-500 text-white py-2 rounded-lg text-sm flex items-center justify-center"
+                  >
+                    <RefreshCw size={16} className="mr-1" />
+                    Retry now
+                  </button>
+                  {canEdit && (
+                    <button
+                      onClick={() => setEditingId(item.id)}
+                      className="bg-gray-100 text-gray-700 px-3 py-2 rounded-lg text-sm flex items-center"
+                    >
+                      <Pencil size={16} className="mr-1" />
+                      Edit
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDiscard(item.id)}
+                    className="bg-red-50 text-red-600 px-3 py-2 rounded-lg text-sm flex items-center"
+                  >
+                    <Trash2 size={16} className="mr-1" />
+                    Discard
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PendingUploads;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import { getUserReports } from '../../services/api/reportService';
+import ReportDetails, { ReportStatusBadge } from './ReportDetails';
+
+// Reports per page
+const PAGE_SIZE = 10;
+
+// Filters accepted by getUserReports
+const statusFilters = [
+  { id: '', label: 'All statuses' },
+  { id: 'pending', label: 'Pending' },
+  { id: 'verified', label: 'Verified' },
+  { id: 'rejected', label: 'Rejected' }
+];
+
+const typeFilters = [
+  { id: '', label: 'All types' },
+  { id: 'fire', label: 'Fire' },
+  { id: 'logging', label: 'Illegal Logging' },
+  { id: 'disease', label: 'Tree Disease' },
+  { id: 'pollution', label: 'Pollution' },
+  { id: 'hunting', label: 'Illegal Hunting' },
+  { id: 'waste', label: 'Waste Dumping' }
+];
+
+/**
+ * MyReports component
+ *
+ * History of the reports the user sent, with their review status, so
+ * reporters can see whether anyone looked at them. Opens the details of a
+ * report with its review timeline.
+ */
+const MyReports = () => {
+  const [reports, setReports] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(null);
+  const [status, setStatus] = useState('');
+  const [type, setType] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [selectedReportId, setSelectedReportId] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReports = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const options = { page, limit: PAGE_SIZE };
+        if (status) options.status = status;
+        if (type) options.type = type;
+
+        const response = await getUserReports(options);
+        if (cancelled) return;
+
+        setReports(response.reports || []);
+        setTotalPages(response.totalPages || null);
+      } catch (err) {
+        if (!cancelled) setError('Could not load your reports. Check your connection and try again.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadReports();
+    return () => {
+      cancelled = true;
+    };
+  }, [page, status, type, reloadCount]);
+
+  // A new filter starts again from the first page
+  const handleStatusChange = (e) => {
+    setStatus(e.target.value);
+    setPage(1);
+  };
+
+  const handleTypeChange = (e) => {
+    setType(e.target.value);
+    setPage(1);
+  };
+
+  // Without a page count, assume more follow while pages are full
+  const hasNextPage = totalPages ? page < totalPages : reports.length === PAGE_SIZE;
+
+  const handleWithdrawn = (queued) => {
+    setSelectedReportId(null);
+    setNotice(queued
+      ? 'Your report will be withdrawn when you are back online.'
+      : 'Your report has been withdrawn.');
+    setReloadCount(count => count + 1);
+  };
+
+  if (selectedReportId) {
+    return (
+      <ReportDetails
+        reportId={selectedReportId}
+        onBack={() => setSelectedReportId(null)}
+        onWithdrawn={handleWithdrawn}
+      />
+    );
+  }
+
+  return (
+    <div className="p-4 space-y-4 max-w-md mx-auto">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold">My Reports</h2>
+        <button
+          onClick={() => setReloadCount(count => count + 1)}
+          className="text-gray-500"
+          aria-label="Refresh"
+        >
+          <RefreshCw size={20} className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={status}
+          onChange={handleStatusChange}
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+          aria-label="Filter by status"
+        >
+          {statusFilters.map(filter => (
+            <option key={filter.id} value={filter.id}>{filter.label}</option>
+          ))}
+        </select>
+        <select
+          value={type}
+          onChange={handleTypeChange}
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+          aria-label="Filter by type"
+        >
+          {typeFilters.map(filter => (
+            <option key={filter.id} value={filter.id}>{filter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {notice && (
+        <div className="bg-emerald-50 border border-emerald-200 text-emerald-800 px-4 py-3 rounded-xl">
+          <p className="text-sm">{notice}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading && (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-emerald-500"></div>
+        </div>
+      )}
+
+      {!loading && !error && reports.length === 0 && (
+        <div className="text-center p-8 bg-white rounded-xl">
+          <ClipboardList size={32} className="mx-auto text-emerald-500 mb-2" />
+          <p className="text-gray-600">
+            {status || type ? 'No reports match these filters.' : 'You have not sent any reports yet.'}
+          </p>
+        </div>
+      )}
+
+      {!loading && (
+        <div className="space-y-3">
+          {reports.map(report => (
+            <button
+              key={report.id}
+              onClick={() => setSelectedReportId(report.id)}
+              className="w-full text-left bg-white p-4 rounded-xl shadow-sm flex items-center gap-3"
+            >
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center justify-between gap-2">
+                  <p className="font-medium capitalize">{report.type}</p>
+                  <ReportStatusBadge status={report.status} />
+                </div>
+                {report.description && (
+                  <p className="text-sm text-gray-600 truncate">{report.description}</p>
+                )}
+                <p className="text-xs text-gray-500">
+                  {new Date(report.createdAt || report.timestamp).toLocaleString()}
+                </p>
+              </div>
+              <ChevronRight size={16} className="text-gray-400" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {!loading && (page > 1 || hasNextPage) && (
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="flex items-center px-3 py-2 rounded-lg bg-white shadow-sm text-sm disabled:opacity-40"
+          >
+            <ChevronLeft size={16} className="mr-1" />
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">Page {page}{totalPages ? ` of ${totalPages}` : ''}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!hasNextPage}
+            className="flex items-center px-3 py-2 rounded-lg bg-white shadow-sm text-sm disabled:opacity-40"
+          >
+            Next
+            <ChevronRight size={16} className="ml-1" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyReports;
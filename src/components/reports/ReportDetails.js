@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Clock, Eye, CheckCircle, XCircle, Send, MapPin, RefreshCw, Pencil, Undo2, UploadCloud } from 'lucide-react';
+import { getReportById, deleteReport } from '../../services/api/reportService';
+import ReportEditor from './ReportEditor';
+
+// Display of each report status
+export const reportStatuses = {
+  pending: { label: 'Submitted', icon: Send, color: 'text-yellow-700', bg: 'bg-yellow-100' },
+  under_review: { label: 'Under review', icon: Eye, color: 'text-blue-700', bg: 'bg-blue-100' },
+  verified: { label: 'Verified', icon: CheckCircle, color: 'text-emerald-700', bg: 'bg-emerald-100' },
+  rejected: { label: 'Rejected', icon: XCircle, color: 'text-red-700', bg: 'bg-red-100' }
+};
+
+// Statuses in which the server still accepts changes from the reporter:
+// edits until a verifier picks the report up, withdrawal until a decision
+const EDITABLE_STATUSES = ['pending'];
+const WITHDRAWABLE_STATUSES = ['pending', 'under_review'];
+
+/**
+ * Small coloured badge showing the status of a report
+ */
+export const ReportStatusBadge = ({ status }) => {
+  const info = reportStatuses[status] || reportStatuses.pending;
+  return (
+    <span className={`flex items-center text-xs px-2 py-1 rounded-full ${info.bg} ${info.color}`}>
+      <info.icon size={12} className="mr-1" />
+      {info.label}
+    </span>
+  );
+};
+
+/**
+ * Build the steps of a report's review, from its status history
+ * ([{ status, timestamp, note }]) or, for reports without one, its current
+ * status
+ * @param {Object} report - Report from the API
+ * @returns {Array<Object>} Steps { status, label, timestamp, note, done }
+ */
+const buildTimeline = (report) => {
+  const history = report.statusHistory || [];
+  const findEntry = (status) => history.find(entry => entry.status === status);
+
+  const review = findEntry('under_review');
+  const outcome = findEntry('verified') || findEntry('rejected') ||
+    (['verified', 'rejected'].includes(report.status)
+      ? { status: report.status, timestamp: report.reviewedAt }
+      : null);
+
+  return [
+    {
+      status: 'pending',
+      label: 'Submitted',
+      timestamp: report.createdAt || report.timestamp,
+      done: true
+    },
+    {
+      status: 'under_review',
+      label: 'Under review',
+      timestamp: review && review.timestamp,
+      note: review && review.note,
+      done: Boolean(review || outcome || report.status === 'under_review')
+    },
+    outcome
+      ? {
+        status: outcome.status,
+        label: reportStatuses[outcome.status].label,
+        timestamp: outcome.timestamp,
+        note: outcome.note || report.verifierNotes,
+        done: true
+      }
+      : { status: 'verified', label: 'Verified or rejected', done: false }
+  ];
+};
+
+/**
+ * ReportDetails component
+ *
+ * Shows one of the user's reports: where its review stands, with the notes
+ * left by verifiers, and the media sent with it. Reports still waiting for a
+ * decision can be edited or withdrawn.
+ */
+const ReportDetails = ({ reportId, onBack, onWithdrawn }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [editing, setEditing] = useState(false);
+  const [withdrawing, setWithdrawing] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReport = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await getReportById(reportId);
+        if (!cancelled) setReport(data);
+      } catch (err) {
+        if (!cancelled) setError('Could not load this report. Check your connection and try again.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadReport();
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId, reloadCount]);
+
+  const handleSaved = (result, updateData) => {
+    setEditing(false);
+    if (result && result.offline) {
+      // Show the changes now; added photos appear once they are uploaded
+      const { photos, ...fields } = updateData;
+      setReport(prev => ({ ...prev, ...fields }));
+      setNotice('Your changes will be sent when you are back online.');
+    } else {
+      setNotice('Your changes have been saved.');
+      setReloadCount(count => count + 1);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    if (!window.confirm('Withdraw this report? Verifiers will no longer look at it.')) return;
+
+    setWithdrawing(true);
+    setError(null);
+    try {
+      const result = await deleteReport(report.id);
+      onWithdrawn(Boolean(result && result.offline));
+    } catch (err) {
+      console.error('Error withdrawing report:', err);
+      setError(err.message || 'Failed to withdraw the report. Please try again.');
+      setWithdrawing(false);
+    }
+  };
+
+  if (editing && report) {
+    return <ReportEditor report={report} onSaved={handleSaved} onCancel={() => setEditing(false)} />;
+  }
+
+  const timeline = report ? buildTimeline(report) : [];
+  const canEdit = report && EDITABLE_STATUSES.includes(report.status);
+  const canWithdraw = report && WITHDRAWABLE_STATUSES.includes(report.status);
+  const media = report && report.photos ? report.photos.filter(item => item.url) : [];
+
+  return (
+    <div className="p-4 space-y-4 max-w-md mx-auto">
+      <div className="flex items-center justify-between">
+        <button onClick={onBack} className="flex items-center text-gray-600">
+          <ArrowLeft size={20} className="mr-1" />
+          Back
+        </button>
+        <h2 className="text-xl font-bold">Report</h2>
+        <div className="w-6"></div>
+      </div>
+
+      {loading && (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-emerald-500"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl">
+          <p>{error}</p>
+          {!report && (
+            <button
+              onClick={() => setReloadCount(count => count + 1)}
+              className="mt-2 text-sm flex items-center font-medium"
+            >
+              <RefreshCw size={14} className="mr-1" />
+              Try again
+            </button>
+          )}
+        </div>
+      )}
+
+      {notice && (
+        <div className="bg-emerald-50 border border-emerald-200 text-emerald-800 px-4 py-3 rounded-xl flex items-center">
+          <UploadCloud size={18} className="mr-2" />
+          <p className="text-sm">{notice}</p>
+        </div>
+      )}
+
+      {!loading && report && (
+        <>
+          <div className="bg-white p-4 rounded-xl shadow-sm space-y-2">
+            <div className="flex items-start justify-between">
+              <p className="font-medium capitalize">{report.type}</p>
+              <ReportStatusBadge status={report.status} />
+            </div>
+            {report.description && <p className="text-sm text-gray-700">{report.description}</p>}
+            <div className="text-xs text-gray-500 space-y-1">
+              <p className="capitalize">Severity: {report.severity} · Area: {report.area}</p>
+              {report.location && (
+                <p className="flex items-center">
+                  <MapPin size={12} className="mr-1" />
+                  {report.location.lat.toFixed(6)}, {report.location.lng.toFixed(6)}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {(canEdit || canWithdraw) && (
+            <div className="flex gap-2">
+              {canEdit && (
+                <button
+                  onClick={() => {
+                    setNotice(null);
+                    setEditing(true);
+                  }}
+                  className="flex-1 bg-emerald-500 text-white py-2 rounded-lg text-sm flex items-center justify-center"
+                >
+                  <Pencil size={16} className="mr-1" />
+                  Edit or add photos
+                </button>
+              )}
+              {canWithdraw && (
+                <button
+                  onClick={handleWithdraw}
+                  disabled={withdrawing}
+                  className="flex-1 bg-red-50 text-red-600 py-2 rounded-lg text-sm flex items-center justify-center disabled:opacity-60"
+                >
+                  <Undo2 size={16} className="mr-1" />
+                  {withdrawing ? 'Withdrawing...' : 'Withdraw'}
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Review timeline */}
+          <div className="bg-white p-4 rounded-xl shadow-sm">
+            <h3 className="font-bold mb-3">Review</h3>
+            <ol>
+              {timeline.map((step, index) => {
+                const info = reportStatuses[step.status];
+                const Icon = step.done ? info.icon : Clock;
+                return (
+                  <li key={step.status} className="flex gap-3">
+                    <div className="flex flex-col items-center">
+                      <div className={`p-1 rounded-full ${step.done ? `${info.bg} ${info.color}` : 'bg-gray-100 text-gray-400'}`}>
+                        <Icon size={16} />
+                      </div>
+                      {index < timeline.length - 1 && (
+                        <div className={`w-0.5 flex-1 my-1 ${timeline[index + 1].done ? 'bg-emerald-300' : 'bg-gray-200'}`} />
+                      )}
+                    </div>
+                    <div className="pb-4">
+                      <p className={`text-sm font-medium ${step.done ? '' : 'text-gray-400'}`}>{step.label}</p>
+                      {step.timestamp && (
+                        <p className="text-xs text-gray-500">{new Date(step.timestamp).toLocaleString()}</p>
+                      )}
+                      {step.note && (
+                        <p className="text-sm text-gray-700 bg-gray-50 rounded-lg p-2 mt-1">{step.note}</p>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          </div>
+
+          {/* Media sent with the report */}
+          {(media.length > 0 || (report.voiceNote && report.voiceNote.url)) && (
+            <div className="bg-white p-4 rounded-xl shadow-sm space-y-3">
+              <h3 className="font-bold">Media</h3>
+              {media.length > 0 && (
+                <div className="grid grid-cols-3 gap-2">
+                  {media.map((item, index) => item.type === 'video' ? (
+                    <video
+                      key={index}
+                      src={item.url}
+                      poster={item.posterUrl}
+                      controls
+                      className="w-full h-24 object-cover rounded-lg bg-black"
+                    />
+                  ) : (
+                    <a key={index} href={item.url} target="_blank" rel="noopener noreferrer">
+                      <img
+                        src={item.url}
+                        alt={`Report media ${index + 1}`}
+                        className="w-full h-24 object-cover rounded-lg"
+                      />
+                    </a>
+                  ))}
+                </div>
+              )}
+              {report.voiceNote && report.voiceNote.url && (
+                <audio src={report.voiceNote.url} controls className="w-full h-10" />
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReportDetails;
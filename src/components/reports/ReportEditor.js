@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import { Camera, MapPin, Check, X, Trash2 } from 'lucide-react';
+import PhotoCapture from '../alert/PhotoCapture';
+import LocationPicker from '../alert/LocationPicker';
+import MediaThumbnail from '../alert/MediaThumbnail';
+import { updateReport } from '../../services/api/reportService';
+
+/**
+ * ReportEditor component
+ *
+ * Lets reporters correct one of their reports while it waits for review:
+ * edit the text, move the location and add photos. Reuses the photo and
+ * location steps of the report wizard.
+ */
+const ReportEditor = ({ report, onSaved, onCancel }) => {
+  const [fields, setFields] = useState({
+    description: report.description || '',
+    severity: report.severity || 'medium',
+    area: report.area || 'small',
+    additionalNotes: report.additionalNotes || ''
+  });
+  const [location, setLocation] = useState(null);
+  const [newPhotos, setNewPhotos] = useState([]);
+  // 'form', or the wizard step shown instead: 'photos' or 'location'
+  const [view, setView] = useState('form');
+  const [saving, setSaving] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState([]);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFields(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePhotoCapture = (photos) => {
+    setNewPhotos(prev => [...prev, ...photos]);
+    setView('form');
+  };
+
+  const handleLocationSelect = (selectedLocation) => {
+    setLocation(selectedLocation);
+    setView('form');
+  };
+
+  const removePhoto = (index) => {
+    setNewPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleUploadProgress = ({ index, progress }) => {
+    setUploadProgress(prev => {
+      const next = [...prev];
+      next[index] = progress;
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    const updateData = { ...fields };
+    if (location) {
+      updateData.location = { lat: location.lat, lng: location.lng };
+    }
+    if (newPhotos.length > 0) {
+      updateData.photos = newPhotos;
+    }
+
+    setUploadProgress(newPhotos.map(() => 0));
+    setError(null);
+    setSaving(true);
+    try {
+      const result = await updateReport(report.id, updateData, { onProgress: handleUploadProgress });
+      onSaved(result, updateData);
+    } catch (err) {
+      console.error('Error updating report:', err);
+      setError(err.message || 'Failed to save your changes. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  if (view === 'photos') {
+    return <PhotoCapture onCapture={handlePhotoCapture} onSkip={() => setView('form')} />;
+  }
+
+  if (view === 'location') {
+    return (
+      <LocationPicker
+        currentLocation={location || report.location}
+        onLocationSelect={handleLocationSelect}
+        onBack={() => setView('form')}
+      />
+    );
+  }
+
+  const shownLocation = location || report.location;
+  const overallProgress = uploadProgress.length > 0
+    ? uploadProgress.reduce((sum, progress) => sum + (progress || 0), 0) / uploadProgress.length
+    : 0;
+
+  return (
+    <div className="p-4 space-y-4 max-w-md mx-auto">
+      <h2 className="text-xl font-bold">Edit Report</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl">
+          <p>{error}</p>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+        <textarea
+          name="description"
+          value={fields.description}
+          onChange={handleChange}
+          className="w-full p-3 border border-gray-300 rounded-xl h-24"
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Severity</label>
+          <select
+            name="severity"
+            value={fields.severity}
+            onChange={handleChange}
+            className="w-full p-3 border border-gray-300 rounded-xl"
+          >
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high">High</option>
+            <option value="critical">Critical</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Area</label>
+          <select
+            name="area"
+            value={fields.area}
+            onChange={handleChange}
+            className="w-full p-3 border border-gray-300 rounded-xl"
+          >
+            <option value="small">Small</option>
+            <option value="medium">Medium</option>
+            <option value="large">Large</option>
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Additional Notes</label>
+        <textarea
+          name="additionalNotes"
+          value={fields.additionalNotes}
+          onChange={handleChange}
+          className="w-full p-3 border border-gray-300 rounded-xl h-20"
+          placeholder="Anything you noticed since sending the report..."
+        />
+      </div>
+
+      {/* Location */}
+      <button
+        onClick={() => setView('location')}
+        disabled={saving}
+        className={`w-full p-4 rounded-xl flex items-center gap-3 text-left ${location ? 'bg-emerald-50' : 'bg-gray-50'}`}
+      >
+        <MapPin size={24} className={location ? 'text-emerald-500' : 'text-gray-400'} />
+        <div>
+          <p className="font-medium">{location ? 'New location' : 'Location'}</p>
+          <p className="text-sm text-gray-600">
+            {shownLocation
+              ? `${shownLocation.lat.toFixed(6)}, ${shownLocation.lng.toFixed(6)}`
+              : 'Not set'}
+            {' · '}
+            <span className="text-emerald-600">Correct</span>
+          </p>
+        </div>
+      </button>
+
+      {/* Photos to add */}
+      <div className="space-y-2">
+        {newPhotos.length > 0 && (
+          <div className="grid grid-cols-3 gap-2">
+            {newPhotos.map((photo, index) => (
+              <div key={index} className="relative">
+                <MediaThumbnail
+                  photo={photo}
+                  alt={`New ${index + 1}`}
+                  className="w-full h-24 object-cover rounded-lg"
+                />
+                {saving ? (
+                  <div className="absolute bottom-1 left-1 right-1 h-1.5 bg-white/70 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-emerald-500 transition-all"
+                      style={{ width: `${(uploadProgress[index] || 0) * 100}%` }}
+                    />
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => removePhoto(index)}
+                    className="absolute top-1 right-1 bg-black/50 text-white p-1 rounded-full"
+                    aria-label="Remove photo"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        <button
+          onClick={() => setView('photos')}
+          disabled={saving}
+          className="w-full border-2 border-dashed border-gray-300 rounded-xl p-4 flex items-center justify-center text-sm text-gray-600"
+        >
+          <Camera size={20} className="mr-2 text-gray-400" />
+          Add photos
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex-1 bg-emerald-500 text-white py-3 rounded-xl font-medium flex items-center justify-center disabled:opacity-60"
+        >
+          <Check size={20} className="mr-2" />
+          {saving
+            ? newPhotos.length > 0 ? `Uploading ${Math.round(overallProgress * 100)}%` : 'Saving...'
+            : 'Save changes'}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="flex-1 bg-gray-200 text-gray-700 py-3 rounded-xl font-medium flex items-center justify-center"
+        >
+          <X size={20} className="mr-2" />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReportEditor;
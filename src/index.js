@@ -2,6 +2,8 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { initQueueManager } from './services/offline/queueManager';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -9,3 +11,9 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Resume sending operations queued while offline
+initQueueManager();
+
+// Keep replaying queued operations in the background once the app is closed
+serviceWorkerRegistration.register();
@@ -0,0 +1,78 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service Worker
+ *
+ * Precaches the app shell so it opens without a connection, and replays the
+ * offline operation queue through Background Sync after the app has been
+ * closed. Built by react-scripts (Workbox InjectManifest) in production.
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { processQueue } from './services/offline/queueManager';
+import {
+  QUEUE_SYNC_TAG,
+  QUEUE_PERIODIC_SYNC_TAG,
+  QUEUE_UPDATED_MESSAGE
+} from './services/offline/backgroundSync';
+
+// Modules declaring queueable operations, so they are registered in the worker
+import './services/api/reportOperations';
+import './services/api/eventService';
+import './services/api/environmentService';
+
+clientsClaim();
+
+// Precache all of the assets generated by the build process
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve the app shell for navigation requests
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+/**
+ * Replay the offline queue and tell open pages about the result
+ * @param {boolean} failOnRemaining - Reject if operations are still waiting,
+ *   so the browser schedules another one-off sync
+ * @returns {Promise<Object>} Processing results
+ */
+const replayQueue = async (failOnRemaining) => {
+  const result = await processQueue();
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: QUEUE_UPDATED_MESSAGE, result }));
+
+  if (failOnRemaining && !result.skipped && result.deferred > 0) {
+    throw new Error(`${result.deferred} queued operations are still waiting`);
+  }
+  return result;
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === QUEUE_SYNC_TAG) {
+    event.waitUntil(replayQueue(true));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === QUEUE_PERIODIC_SYNC_TAG) {
+    event.waitUntil(replayQueue(false));
+  }
+});
+
+// Allow the page to activate a new version of the worker right away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
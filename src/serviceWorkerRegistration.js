@@ -0,0 +1,50 @@
+/**
+ * Service Worker Registration
+ *
+ * Registers the service worker in production builds and sets up what it
+ * needs to replay the offline queue in the background.
+ */
+
+import { shareAuthTokenWithWorker } from './services/api/apiClient';
+import { registerPeriodicQueueSync, requestQueueSync } from './services/offline/backgroundSync';
+
+/**
+ * Register the service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unavailable
+ */
+export const register = async () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(
+      `${process.env.PUBLIC_URL}/service-worker.js`
+    );
+
+    // The worker reads the auth token from IndexedDB
+    await shareAuthTokenWithWorker();
+
+    await navigator.serviceWorker.ready;
+    await registerPeriodicQueueSync(registration);
+
+    // Hand anything already queued over to the worker
+    await requestQueueSync();
+
+    return registration;
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Unregister the service worker
+ * @returns {Promise<boolean>} Whether a worker was unregistered
+ */
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return false;
+
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.unregister() : false;
+};
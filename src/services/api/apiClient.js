@@ -3,8 +3,14 @@
  * 
  * Central service for handling API requests to the GreenSentinel backend.
  * Manages authentication, error handling, and request formatting.
+ * 
+ * Also runs inside the service worker, where localStorage does not exist:
+ * the auth token is mirrored to IndexedDB so the worker can replay queued
+ * operations after the app has been closed.
  */
 
+import { getItem, putItem, deleteItem } from '../offline/indexedDb';
+
 // Base URL for API calls
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://api.greensentinel.org/v1';
 
@@ -15,6 +21,144 @@ const DEFAULT_TIMEOUT = 30000;
 const AUTH_TOKEN_KEY = 'gs_auth_token';
 const USER_INFO_KEY = 'gs_user_info';
 
+// IndexedDB store holding the copy of the auth token used by the service worker
+const CREDENTIALS_STORE = 'credentials';
+
+// Whether localStorage exists in this context (it does not in workers)
+const hasLocalStorage = () => typeof localStorage !== 'undefined';
+
+// Codes of the errors raised by the client itself, before or instead of an
+// HTTP response
+export const API_ERROR_CODES = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_EXPIRED: 'AUTH_EXPIRED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK_ERROR: 'NETWORK_ERROR'
+};
+
+/**
+ * Create an error raised by the client itself
+ * 
+ * @param {string} message - Message shown to the user
+ * @param {string} code - One of API_ERROR_CODES
+ * @returns {Error} Error carrying the code
+ */
+const createApiError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check whether an error means the user has to log in (again)
+ * 
+ * @param {Object|Error} error - Error thrown by apiRequest or uploadFile
+ * @returns {boolean} True for missing or expired credentials
+ */
+export const isAuthError = (error) => Boolean(error) && (
+  error.code === API_ERROR_CODES.AUTH_REQUIRED || error.code === API_ERROR_CODES.AUTH_EXPIRED
+);
+
+/**
+ * Generate a client idempotency key for a logical operation
+ * 
+ * The same key is sent on every attempt of the operation, including queue
+ * replays, so the backend can recognise a retry of a request it already
+ * handled and return the original result instead of acting twice.
+ * 
+ * @returns {string} Random UUID
+ */
+export const generateIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  // RFC 4122 version 4 UUID from random values
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Get the current auth token
+ * 
+ * Reads localStorage in the page and the IndexedDB copy in workers.
+ * 
+ * @returns {Promise<string|null>} Auth token or null if not authenticated
+ */
+export const getAuthToken = async () => {
+  if (hasLocalStorage()) {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+  }
+
+  try {
+    const record = await getItem(CREDENTIALS_STORE, AUTH_TOKEN_KEY);
+    return record ? record.value : null;
+  } catch (error) {
+    console.error('Error reading auth token:', error);
+    return null;
+  }
+};
+
+/**
+ * Copy the auth token from localStorage to IndexedDB for the service worker
+ * 
+ * @returns {Promise<void>}
+ */
+export const shareAuthTokenWithWorker = async () => {
+  if (!hasLocalStorage()) return;
+
+  try {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) {
+      await putItem(CREDENTIALS_STORE, { key: AUTH_TOKEN_KEY, value: token });
+    } else {
+      await deleteItem(CREDENTIALS_STORE, AUTH_TOKEN_KEY);
+    }
+  } catch (error) {
+    console.error('Error sharing auth token with service worker:', error);
+  }
+};
+
+/**
+ * Store the credentials returned by login or registration
+ * 
+ * @param {Object} response - Authentication response ({ token, user })
+ * @returns {Promise<void>}
+ */
+const storeCredentials = async (response) => {
+  localStorage.setItem(AUTH_TOKEN_KEY, response.token);
+  localStorage.setItem(USER_INFO_KEY, JSON.stringify(response.user));
+  await shareAuthTokenWithWorker();
+};
+
+/**
+ * Remove stored credentials everywhere they are kept
+ * 
+ * @returns {Promise<void>}
+ */
+const clearCredentials = async () => {
+  if (hasLocalStorage()) {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem(USER_INFO_KEY);
+  }
+
+  try {
+    await deleteItem(CREDENTIALS_STORE, AUTH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error clearing shared auth token:', error);
+  }
+};
+
 /**
  * Generic API request method with error handling and authentication
  * 
@@ -22,21 +166,23 @@ const USER_INFO_KEY = 'gs_user_info';
  * @param {Object} options - Request options
  * @param {string} options.method - HTTP method (GET, POST, PUT, DELETE)
  * @param {Object} options.params - URL query parameters
- * @param {Object} options.data - Request body data
+ * @param {Object|FormData} options.data - Request body data (FormData is sent as multipart)
  * @param {boolean} options.requiresAuth - Whether the request requires authentication
  * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {string} options.idempotencyKey - Key identifying the logical operation across retries
  * @returns {Promise<Object>} Response data
  */
 export const apiRequest = async (endpoint, options = {}) => {
-  try {
-    const {
-      method = 'GET',
-      params = {},
-      data = null,
-      requiresAuth = true,
-      timeout = DEFAULT_TIMEOUT,
-    } = options;
+  const {
+    method = 'GET',
+    params = {},
+    data = null,
+    requiresAuth = true,
+    timeout = DEFAULT_TIMEOUT,
+    idempotencyKey,
+  } = options;
 
+  try {
     // Build URL with query parameters
     let url = `${API_BASE_URL}${endpoint}`;
     if (params && Object.keys(params).length > 0) {
@@ -57,13 +203,18 @@ export const apiRequest = async (endpoint, options = {}) => {
 
     // Add authentication token if required
     if (requiresAuth) {
-      const token = localStorage.getItem(AUTH_TOKEN_KEY);
+      const token = await getAuthToken();
       if (!token) {
-        throw new Error('Authentication required. Please log in.');
+        throw createApiError('Authentication required. Please log in.', API_ERROR_CODES.AUTH_REQUIRED);
       }
       headers['Authorization'] = `Bearer ${token}`;
     }
 
+    // Let the server deduplicate retried operations
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
     // Set up abort controller for timeout
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
@@ -77,11 +228,25 @@ export const apiRequest = async (endpoint, options = {}) => {
 
     // Add request body if needed
     if (data && ['POST', 'PUT', 'PATCH'].includes(method)) {
-      config.body = JSON.stringify(data);
+      if (typeof FormData !== 'undefined' && data instanceof FormData) {
+        // Let the browser set the multipart boundary
+        delete headers['Content-Type'];
+        config.body = data;
+      } else {
+        config.body = JSON.stringify(data);
+      }
     }
 
-    // Execute fetch request
-    const response = await fetch(url, config);
+    // Execute fetch request. fetch rejects with a TypeError when the server
+    // cannot be reached
+    let response;
+    try {
+      response = await fetch(url, config);
+    } catch (error) {
+      clearTimeout(timeoutId);
+      if (error.name === 'AbortError') throw error;
+      throw createApiError(`Network error: ${error.message}`, API_ERROR_CODES.NETWORK_ERROR);
+    }
     clearTimeout(timeoutId);
 
     // Parse response based on content type
@@ -108,15 +273,14 @@ export const apiRequest = async (endpoint, options = {}) => {
   } catch (error) {
     // Handle timeout errors
     if (error.name === 'AbortError') {
-      throw new Error(`Request timeout after ${timeout / 1000} seconds`);
+      throw createApiError(`Request timeout after ${timeout / 1000} seconds`, API_ERROR_CODES.TIMEOUT);
     }
     
     // Re-throw authentication errors
     if (error.status === 401) {
       // Clear invalid credentials
-      localStorage.removeItem(AUTH_TOKEN_KEY);
-      localStorage.removeItem(USER_INFO_KEY);
-      throw new Error('Authentication expired. Please log in again.');
+      await clearCredentials();
+      throw createApiError('Authentication expired. Please log in again.', API_ERROR_CODES.AUTH_EXPIRED);
     }
 
     // Re-throw other errors
@@ -124,6 +288,153 @@ export const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+/**
+ * Determine whether a failed request is worth retrying later
+ * 
+ * Network failures, timeouts, request timeouts (408), rate limiting (429) and
+ * server errors are transient. Other 4xx responses, such as validation
+ * errors, will fail again the same way; missing or expired credentials and
+ * unexpected errors are not retried either.
+ * 
+ * @param {Object|Error} error - Error thrown by apiRequest or uploadFile
+ * @returns {boolean} Whether the request may succeed on a later attempt
+ */
+export const isRetryableError = (error) => {
+  if (!error) {
+    return false;
+  }
+  if (error.code === API_ERROR_CODES.NETWORK_ERROR || error.code === API_ERROR_CODES.TIMEOUT) {
+    return true;
+  }
+  if (typeof error.status !== 'number') {
+    return false;
+  }
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+/**
+ * Upload a file as multipart form data with progress reporting
+ *
+ * Uses XMLHttpRequest rather than fetch because fetch does not expose
+ * upload progress events.
+ *
+ * @param {string} endpoint - API endpoint to call
+ * @param {Blob} file - File or blob to upload
+ * @param {Object} options - Upload options
+ * @param {string} options.fieldName - Form field name for the file (default: 'file')
+ * @param {string} options.fileName - File name sent with the part
+ * @param {Object} options.fields - Additional form fields to send with the file
+ * @param {Function} options.onProgress - Called with { loaded, total, progress } as bytes are sent
+ * @param {boolean} options.requiresAuth - Whether the request requires authentication
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {string} options.idempotencyKey - Key identifying the upload across retries
+ * @returns {Promise<Object>} Response data
+ */
+export const uploadFile = async (endpoint, file, options = {}) => {
+  const {
+    fieldName = 'file',
+    fileName = 'upload',
+    fields = {},
+    onProgress,
+    requiresAuth = true,
+    timeout = DEFAULT_TIMEOUT,
+    idempotencyKey,
+  } = options;
+
+  // Build multipart body
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+  });
+  formData.append(fieldName, file, fileName);
+
+  // Service workers have no XMLHttpRequest: upload without progress events
+  if (typeof XMLHttpRequest === 'undefined') {
+    return apiRequest(endpoint, {
+      method: 'POST',
+      data: formData,
+      requiresAuth,
+      timeout,
+      idempotencyKey
+    });
+  }
+
+  const token = requiresAuth ? await getAuthToken() : null;
+  if (requiresAuth && !token) {
+    throw createApiError('Authentication required. Please log in.', API_ERROR_CODES.AUTH_REQUIRED);
+  }
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${API_BASE_URL}${endpoint}`);
+    xhr.timeout = timeout;
+    xhr.setRequestHeader('Accept', 'application/json');
+
+    // Add authentication token if required
+    if (token) {
+      xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+    }
+    if (idempotencyKey) {
+      xhr.setRequestHeader('Idempotency-Key', idempotencyKey);
+    }
+
+    if (onProgress) {
+      xhr.upload.onprogress = (event) => {
+        const total = event.lengthComputable ? event.total : file.size;
+        onProgress({
+          loaded: event.loaded,
+          total,
+          progress: total ? Math.min(event.loaded / total, 1) : 0
+        });
+      };
+    }
+
+    xhr.onload = () => {
+      let responseData = xhr.responseText;
+      const contentType = xhr.getResponseHeader('content-type');
+      if (contentType && contentType.includes('application/json')) {
+        try {
+          responseData = JSON.parse(xhr.responseText);
+        } catch (error) {
+          // Keep the raw text if the body is not valid JSON
+        }
+      }
+
+      if (xhr.status === 401) {
+        // Only report the failure once the expired token is gone
+        clearCredentials().finally(() => {
+          reject(createApiError('Authentication expired. Please log in again.', API_ERROR_CODES.AUTH_EXPIRED));
+        });
+        return;
+      }
+
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject({
+          status: xhr.status,
+          message: responseData.message || 'An error occurred',
+          errors: responseData.errors,
+          data: responseData
+        });
+        return;
+      }
+
+      resolve(responseData);
+    };
+
+    xhr.onerror = () => {
+      reject(createApiError('Upload failed: network error', API_ERROR_CODES.NETWORK_ERROR));
+    };
+
+    xhr.ontimeout = () => {
+      reject(createApiError(`Request timeout after ${timeout / 1000} seconds`, API_ERROR_CODES.TIMEOUT));
+    };
+
+    xhr.send(formData);
+  });
+};
+
 /**
  * Handle user authentication
  * 
@@ -140,8 +451,7 @@ export const login = async (email, password) => {
     });
 
     // Store auth token and user info
-    localStorage.setItem(AUTH_TOKEN_KEY, response.token);
-    localStorage.setItem(USER_INFO_KEY, JSON.stringify(response.user));
+    await storeCredentials(response);
 
     return response;
   } catch (error) {
@@ -165,8 +475,7 @@ export const register = async (userData) => {
     });
 
     // Store auth token and user info
-    localStorage.setItem(AUTH_TOKEN_KEY, response.token);
-    localStorage.setItem(USER_INFO_KEY, JSON.stringify(response.user));
+    await storeCredentials(response);
 
     return response;
   } catch (error) {
@@ -190,9 +499,8 @@ export const logout = async () => {
   } catch (error) {
     console.warn('Logout API call failed, continuing with local logout:', error);
   } finally {
-    // Remove local storage items regardless of API success
-    localStorage.removeItem(AUTH_TOKEN_KEY);
-    localStorage.removeItem(USER_INFO_KEY);
+    // Remove stored credentials regardless of API success
+    await clearCredentials();
     return true;
   }
 };
@@ -203,7 +511,7 @@ export const logout = async () => {
  * @returns {boolean} Authentication status
  */
 export const isAuthenticated = () => {
-  return Boolean(localStorage.getItem(AUTH_TOKEN_KEY));
+  return hasLocalStorage() && Boolean(localStorage.getItem(AUTH_TOKEN_KEY));
 };
 
 /**
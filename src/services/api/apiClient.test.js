@@ -0,0 +1,112 @@
+import { apiRequest, uploadFile, isRetryableError, isAuthError, API_ERROR_CODES } from './apiClient';
+import { deleteItem } from '../offline/indexedDb';
+
+jest.mock('../offline/indexedDb', () => ({
+  getItem: jest.fn(),
+  putItem: jest.fn(),
+  deleteItem: jest.fn()
+}));
+
+describe('isRetryableError', () => {
+  it.each([408, 429, 500, 502, 503])('retries HTTP %s responses', (status) => {
+    expect(isRetryableError({ status, message: 'An error occurred' })).toBe(true);
+  });
+
+  it.each([400, 403, 404, 409, 422])('does not retry HTTP %s responses', (status) => {
+    expect(isRetryableError({ status, message: 'An error occurred' })).toBe(false);
+  });
+
+  it('retries network failures and timeouts', () => {
+    const networkError = Object.assign(new Error('Network error'), { code: API_ERROR_CODES.NETWORK_ERROR });
+    const timeoutError = Object.assign(new Error('Request timeout'), { code: API_ERROR_CODES.TIMEOUT });
+
+    expect(isRetryableError(networkError)).toBe(true);
+    expect(isRetryableError(timeoutError)).toBe(true);
+  });
+
+  it('does not retry authentication or unexpected errors', () => {
+    const authError = Object.assign(new Error('Authentication required'), { code: API_ERROR_CODES.AUTH_REQUIRED });
+
+    expect(isRetryableError(authError)).toBe(false);
+    expect(isRetryableError(new Error('Failed to queue operation'))).toBe(false);
+    expect(isRetryableError(null)).toBe(false);
+  });
+});
+
+describe('apiRequest errors', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    localStorage.clear();
+  });
+
+  it('reports a missing token as an authentication error', async () => {
+    const error = await apiRequest('/reports/user').catch(caught => caught);
+
+    expect(isAuthError(error)).toBe(true);
+    expect(isRetryableError(error)).toBe(false);
+  });
+
+  it('reports an unreachable server as a retryable network error', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const error = await apiRequest('/auth/login', { method: 'POST', requiresAuth: false }).catch(caught => caught);
+
+    expect(error.code).toBe(API_ERROR_CODES.NETWORK_ERROR);
+    expect(isRetryableError(error)).toBe(true);
+  });
+});
+
+describe('uploadFile errors', () => {
+  const OriginalXMLHttpRequest = global.XMLHttpRequest;
+
+  // Upload request answering every send with the given HTTP status
+  const respondWith = (status) => {
+    global.XMLHttpRequest = class {
+      constructor() {
+        this.upload = {};
+        this.status = status;
+        this.responseText = '{}';
+      }
+
+      open() {}
+
+      setRequestHeader() {}
+
+      getResponseHeader() {
+        return 'application/json';
+      }
+
+      send() {
+        setTimeout(() => this.onload());
+      }
+    };
+  };
+
+  afterEach(() => {
+    global.XMLHttpRequest = OriginalXMLHttpRequest;
+    localStorage.clear();
+  });
+
+  it('clears the stored credentials before reporting an expired session', async () => {
+    localStorage.setItem('gs_auth_token', 'token');
+    respondWith(401);
+    const events = [];
+    deleteItem.mockImplementation(() => new Promise((resolve) => {
+      setTimeout(() => {
+        events.push('credentials cleared');
+        resolve();
+      });
+    }));
+
+    const error = await uploadFile('/reports/media', new Blob(['jpeg'])).catch((caught) => {
+      events.push('rejected');
+      return caught;
+    });
+
+    expect(error.code).toBe(API_ERROR_CODES.AUTH_EXPIRED);
+    expect(events).toEqual(['credentials cleared', 'rejected']);
+    expect(localStorage.getItem('gs_auth_token')).toBeNull();
+  });
+});
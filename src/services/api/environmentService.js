@@ -5,8 +5,9 @@
  * fire risk levels, and environmental alerts for a given location.
  */
 
-import { apiRequest } from './apiClient';
+import { apiRequest, generateIdempotencyKey } from './apiClient';
 import { queueOperation } from '../offline/queueManager';
+import { registerQueueableOperation } from '../offline/operationRegistry';
 
 /**
  * Get current weather and environmental conditions for a location
@@ -80,20 +81,36 @@ export const getEnvironmentalAlerts = async (coordinates, radius = 50) => {
  * @returns {Promise<Object>} Subscription status
  */
 export const subscribeToAreaAlerts = async (area, alertTypes) => {
+  const idempotencyKey = generateIdempotencyKey();
+
   try {
-    return await apiRequest('/environment/alerts/subscribe', {
-      method: 'POST',
-      data: { area, alertTypes }
-    });
+    return await sendAlertSubscription({ area, alertTypes }, idempotencyKey);
   } catch (error) {
     if (!navigator.onLine) {
-      return queueOperation('environment', 'subscribeAlerts', { area, alertTypes });
+      return queueOperation('environment', 'subscribeAlerts', { area, alertTypes }, { idempotencyKey });
     }
     console.error('Error subscribing to area alerts:', error);
     throw error;
   }
 };
 
+/**
+ * Send an area alert subscription request
+ * 
+ * @param {Object} data - Subscription data
+ * @param {Object} data.area - Area to monitor
+ * @param {Array<string>} data.alertTypes - Types of alerts to subscribe to
+ * @param {string} idempotencyKey - Key identifying the subscription across retries
+ * @returns {Promise<Object>} Subscription status
+ */
+const sendAlertSubscription = ({ area, alertTypes }, idempotencyKey) => {
+  return apiRequest('/environment/alerts/subscribe', {
+    method: 'POST',
+    data: { area, alertTypes },
+    idempotencyKey
+  });
+};
+
 /**
  * Unsubscribe from alert notifications for a specific area
  * 
@@ -101,19 +118,34 @@ export const subscribeToAreaAlerts = async (area, alertTypes) => {
  * @returns {Promise<Object>} Unsubscription status
  */
 export const unsubscribeFromAreaAlerts = async (subscriptionId) => {
+  const idempotencyKey = generateIdempotencyKey();
+
   try {
-    return await apiRequest(`/environment/alerts/subscribe/${subscriptionId}`, {
-      method: 'DELETE'
-    });
+    return await sendAlertUnsubscription({ subscriptionId }, idempotencyKey);
   } catch (error) {
     if (!navigator.onLine) {
-      return queueOperation('environment', 'unsubscribeAlerts', { subscriptionId });
+      return queueOperation('environment', 'unsubscribeAlerts', { subscriptionId }, { idempotencyKey });
     }
     console.error('Error unsubscribing from area alerts:', error);
     throw error;
   }
 };
 
+/**
+ * Send an area alert unsubscription request
+ * 
+ * @param {Object} data - Unsubscription data
+ * @param {string} data.subscriptionId - ID of the subscription to cancel
+ * @param {string} idempotencyKey - Key identifying the unsubscription across retries
+ * @returns {Promise<Object>} Unsubscription status
+ */
+const sendAlertUnsubscription = ({ subscriptionId }, idempotencyKey) => {
+  return apiRequest(`/environment/alerts/subscribe/${subscriptionId}`, {
+    method: 'DELETE',
+    idempotencyKey
+  });
+};
+
 /**
  * Get forecast of environmental conditions for the next few days
  * 
@@ -182,16 +214,43 @@ export const getSeasonalInfo = async (coordinates) => {
  * @returns {Promise<Object>} Response data
  */
 export const reportEnvironmentalCondition = async (data) => {
+  const idempotencyKey = generateIdempotencyKey();
+
   try {
-    return await apiRequest('/environment/conditions/report', {
-      method: 'POST',
-      data
-    });
+    return await sendConditionReport(data, idempotencyKey);
   } catch (error) {
     if (!navigator.onLine) {
-      return queueOperation('environment', 'reportCondition', data);
+      return queueOperation('environment', 'reportCondition', data, { idempotencyKey });
     }
     console.error('Error reporting environmental condition:', error);
     throw error;
   }
 };
+
+/**
+ * Send an environmental condition report
+ * 
+ * @param {Object} data - Environmental condition data
+ * @param {string} idempotencyKey - Key identifying the report across retries
+ * @returns {Promise<Object>} Response data
+ */
+const sendConditionReport = (data, idempotencyKey) => {
+  return apiRequest('/environment/conditions/report', {
+    method: 'POST',
+    data,
+    idempotencyKey
+  });
+};
+
+// Operations replayed by the offline queue
+registerQueueableOperation('environment', 'subscribeAlerts', {
+  handler: (data, item) => sendAlertSubscription(data, item.idempotencyKey)
+});
+
+registerQueueableOperation('environment', 'unsubscribeAlerts', {
+  handler: (data, item) => sendAlertUnsubscription(data, item.idempotencyKey)
+});
+
+registerQueueableOperation('environment', 'reportCondition', {
+  handler: (data, item) => sendConditionReport(data, item.idempotencyKey)
+});
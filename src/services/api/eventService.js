@@ -5,8 +5,9 @@
  * registering for events, and tracking participation.
  */
 
-import { apiRequest } from './apiClient';
+import { apiRequest, generateIdempotencyKey } from './apiClient';
 import { queueOperation } from '../offline/queueManager';
+import { registerQueueableOperation } from '../offline/operationRegistry';
 
 /**
  * Get upcoming community events
@@ -55,17 +56,17 @@ export const getEventById = async (eventId) => {
  * @returns {Promise<Object>} Registration confirmation
  */
 export const registerForEvent = async (eventId) => {
+  const idempotencyKey = generateIdempotencyKey();
+
   try {
     // First try to submit directly
     try {
-      const response = await apiRequest(`/events/${eventId}/register`, {
-        method: 'POST'
-      });
+      const response = await sendEventRegistration(eventId, idempotencyKey);
       return response;
     } catch (error) {
       // If network error or server unavailable, queue for later
       if (error.message.includes('network') || error.status === 503) {
-        return queueOperation('events', 'register', { eventId });
+        return queueOperation('events', 'register', { eventId }, { idempotencyKey });
       }
       
       // For other errors, re-throw
@@ -77,6 +78,20 @@ export const registerForEvent = async (eventId) => {
   }
 };
 
+/**
+ * Send an event registration request
+ * 
+ * @param {string} eventId - ID of the event to register for
+ * @param {string} idempotencyKey - Key identifying the registration across retries
+ * @returns {Promise<Object>} Registration confirmation
+ */
+const sendEventRegistration = (eventId, idempotencyKey) => {
+  return apiRequest(`/events/${eventId}/register`, {
+    method: 'POST',
+    idempotencyKey
+  });
+};
+
 /**
  * Cancel registration for an event
  * 
@@ -174,3 +189,10 @@ export const submitEventFeedback = async (eventId, feedback) => {
     throw error;
   }
 };
+
+// Operations replayed by the offline queue
+registerQueueableOperation('events', 'register', {
+  handler: ({ eventId }, item) => sendEventRegistration(eventId, item.idempotencyKey),
+  // Registrations for past events are useless, so do not retry for long
+  retryPolicy: { maxAttempts: 8 }
+});
@@ -0,0 +1,290 @@
+/**
+ * Report Operations
+ * 
+ * Requests that send reports, their media and later changes to the server.
+ * They are registered as queueable operations, so the offline queue can
+ * replay them, including from the service worker. Preparing photos (which
+ * needs the media worker) happens beforehand, in reportService.
+ */
+
+import { apiRequest, uploadFile } from './apiClient';
+import { registerQueueableOperation } from '../offline/operationRegistry';
+
+// Uploads can take much longer than regular requests on slow mobile links
+const MEDIA_UPLOAD_TIMEOUT = 120000;
+const VIDEO_UPLOAD_TIMEOUT = 600000;
+
+// File extensions of uploaded media by MIME type
+const MEDIA_EXTENSIONS = {
+  'image/avif': 'avif',
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+  'audio/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/ogg': 'ogg'
+};
+
+// Extra versions uploaded after an original, keyed by photo property,
+// with their upload variant
+const ATTACHED_VERSIONS = {
+  enhanced: 'enhanced',
+  poster: 'poster'
+};
+
+/**
+ * Upload the report's photos and voice note, then create the report
+ * 
+ * @param {Object} apiData - Report data with prepared photos
+ * @param {Object} options - Sending options
+ * @param {string} options.idempotencyKey - Key of the report submission
+ * @param {Function} [options.onProgress] - Per-photo upload progress callback
+ * @returns {Promise<Object>} Created report data
+ */
+export const sendReport = async (apiData, { idempotencyKey, onProgress }) => {
+  await uploadReportPhotos(apiData.photos, idempotencyKey, onProgress);
+  await uploadVoiceNote(apiData, idempotencyKey);
+
+  return apiRequest('/reports', {
+    method: 'POST',
+    data: {
+      ...apiData,
+      photos: apiData.photos.map(toPhotoReference)
+    },
+    idempotencyKey
+  });
+};
+
+/**
+ * Upload a single photo, clip or voice note to the report media endpoint
+ * 
+ * @param {Blob} blob - Photo, video or audio blob to upload
+ * @param {Object} [options] - Upload options
+ * @param {string} [options.timestamp] - Capture time of the photo
+ * @param {string} [options.variant] - 'original', 'enhanced' (contrast and
+ *   haze corrected copy of an original uploaded with the same report),
+ *   'poster' (still frame of a clip) or 'voice' (voice note)
+ * @param {string} [options.fileName] - File name for the multipart part
+ * @param {Function} [options.onProgress] - Progress callback ({ loaded, total, progress })
+ * @param {string} [options.idempotencyKey] - Key identifying this upload across retries
+ * @returns {Promise<Object>} Uploaded media data ({ id, url })
+ */
+export const uploadReportMedia = async (blob, options = {}) => {
+  const { timestamp, variant = 'original', fileName = 'photo.jpg', onProgress, idempotencyKey } = options;
+  const isVideo = blob.type.startsWith('video/');
+  const isAudio = blob.type.startsWith('audio/');
+
+  try {
+    return await uploadFile('/reports/media', blob, {
+      fieldName: isVideo ? 'video' : isAudio ? 'audio' : 'photo',
+      fileName,
+      fields: { timestamp, variant },
+      onProgress,
+      timeout: isVideo ? VIDEO_UPLOAD_TIMEOUT : MEDIA_UPLOAD_TIMEOUT,
+      idempotencyKey
+    });
+  } catch (error) {
+    console.error('Error uploading report media:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload every photo and clip that has not been uploaded yet
+ * 
+ * Media are uploaded sequentially so a slow link is not shared between
+ * several uploads. Each uploaded item is replaced in the array by a copy
+ * holding its media ID, so a retry only sends the remaining ones. The
+ * enhanced copy of a photo or the poster frame of a clip is uploaded after
+ * the original.
+ * 
+ * @param {Array} photos - Prepared photos and clips (mutated in place)
+ * @param {string} idempotencyKey - Key of the report submission
+ * @param {Function} [onProgress] - Per-item progress callback, covering
+ *   the attached versions too
+ * @returns {Promise<void>}
+ */
+const uploadReportPhotos = async (photos, idempotencyKey, onProgress) => {
+  const count = photos.length;
+
+  for (let index = 0; index < count; index++) {
+    let photo = photos[index];
+    const pendingBlobs = typeof photo === 'string'
+      ? []
+      : [photo.blob, ...Object.keys(ATTACHED_VERSIONS).map(key => photo[key] && photo[key].blob)]
+        .filter(Boolean);
+
+    // URLs and already uploaded photos need no upload
+    if (pendingBlobs.length === 0) {
+      if (onProgress) {
+        onProgress({ index, count, loaded: 0, total: 0, progress: 1 });
+      }
+      continue;
+    }
+
+    const name = photo.type === 'video' ? 'clip' : 'photo';
+    const total = pendingBlobs.reduce((sum, blob) => sum + blob.size, 0);
+    let sent = 0;
+    const uploadVersion = async (blob, variant, suffix) => {
+      const media = await uploadReportMedia(blob, {
+        timestamp: photo.timestamp,
+        variant,
+        fileName: `${name}-${index + 1}${suffix}.${MEDIA_EXTENSIONS[blob.type] || 'jpg'}`,
+        idempotencyKey: `${idempotencyKey}:photo-${index}${suffix}`,
+        onProgress: onProgress
+          ? ({ loaded }) => onProgress({
+            index,
+            count,
+            loaded: sent + loaded,
+            total,
+            progress: Math.min(1, (sent + loaded) / total)
+          })
+          : undefined
+      });
+      sent += blob.size;
+      return media;
+    };
+
+    if (photo.blob) {
+      const media = await uploadVersion(photo.blob, 'original', '');
+      const { blob, compressed, ...uploaded } = photo;
+      photo = photos[index] = { ...uploaded, mediaId: media.id, url: media.url };
+    }
+
+    for (const [key, variant] of Object.entries(ATTACHED_VERSIONS)) {
+      if (photo[key] && photo[key].blob) {
+        const media = await uploadVersion(photo[key].blob, variant, `-${variant}`);
+        photo = photos[index] = {
+          ...photo,
+          [key]: {
+            mediaId: media.id,
+            url: media.url,
+            mimeType: photo[key].mimeType
+          }
+        };
+      }
+    }
+  }
+};
+
+/**
+ * Upload the report's voice note if it has not been uploaded yet
+ * 
+ * The note is replaced on the report by a reference holding its media ID,
+ * so a retry does not send it again. The analysis travels with the report.
+ * 
+ * @param {Object} apiData - Report data (mutated in place)
+ * @param {string} idempotencyKey - Key of the report submission
+ * @returns {Promise<void>}
+ */
+const uploadVoiceNote = async (apiData, idempotencyKey) => {
+  const note = apiData.voiceNote;
+  if (!note || !note.blob) return;
+
+  const media = await uploadReportMedia(note.blob, {
+    timestamp: apiData.timestamp,
+    variant: 'voice',
+    fileName: `voice-note.${MEDIA_EXTENSIONS[note.blob.type] || 'webm'}`,
+    idempotencyKey: `${idempotencyKey}:voice-note`
+  });
+
+  const { blob, ...uploaded } = note;
+  apiData.voiceNote = { ...uploaded, mediaId: media.id, url: media.url };
+};
+
+/**
+ * Convert an uploaded photo or clip into the reference sent with the report
+ * 
+ * @param {Object|string} photo - Uploaded photo object or URL
+ * @returns {Object} Media reference ({ mediaId, type, mimeType, hash, timestamp,
+ *   enhancedMediaId, posterMediaId, durationMs } or { url })
+ */
+const toPhotoReference = (photo) => {
+  if (typeof photo === 'string') {
+    return { url: photo };
+  }
+  return {
+    mediaId: photo.mediaId,
+    type: photo.type === 'video' ? 'video' : 'photo',
+    mimeType: photo.mimeType,
+    // Perceptual hash, so the backend can group reports sharing a picture
+    hash: photo.hash,
+    timestamp: photo.timestamp,
+    enhancedMediaId: photo.enhanced ? photo.enhanced.mediaId : undefined,
+    posterMediaId: photo.poster ? photo.poster.mediaId : undefined,
+    durationMs: photo.durationMs
+  };
+};
+
+/**
+ * Upload the photos added to a report and send the update
+ * 
+ * @param {Object} apiData - Update data with the report ID and prepared photos
+ * @param {Object} options - Sending options
+ * @param {string} options.idempotencyKey - Key of the update
+ * @param {Function} [options.onProgress] - Per-photo upload progress callback
+ * @returns {Promise<Object>} Updated report data
+ */
+export const sendReportUpdate = async (apiData, { idempotencyKey, onProgress }) => {
+  const { id, photos, ...fields } = apiData;
+  const data = { ...fields };
+
+  if (photos && photos.length > 0) {
+    await uploadReportPhotos(photos, idempotencyKey, onProgress);
+    data.addedPhotos = photos.map(toPhotoReference);
+  }
+
+  return apiRequest(`/reports/${id}`, {
+    method: 'PATCH',
+    data,
+    idempotencyKey
+  });
+};
+
+/**
+ * Send a report deletion request
+ * 
+ * @param {Object} data - Deletion data
+ * @param {string} data.id - ID of the report to delete
+ * @param {string} idempotencyKey - Key identifying the deletion across retries
+ * @returns {Promise<Object>} Deletion status
+ */
+export const sendReportDeletion = ({ id }, idempotencyKey) => {
+  return apiRequest(`/reports/${id}`, {
+    method: 'DELETE',
+    idempotencyKey
+  });
+};
+
+// Operations replayed by the offline queue
+registerQueueableOperation('reports', 'create', {
+  handler: (apiData, item) => sendReport(apiData, { idempotencyKey: item.idempotencyKey }),
+  // Reports are the core of the app: keep retrying for a long time
+  retryPolicy: { maxAttempts: 30 },
+  // Store plain coordinates rather than a map library LatLng instance,
+  // which would lose its prototype once stored in IndexedDB
+  serialize: (apiData) => ({
+    ...apiData,
+    location: apiData.location
+      ? { lat: apiData.location.lat, lng: apiData.location.lng }
+      : apiData.location
+  })
+});
+
+registerQueueableOperation('reports', 'update', {
+  handler: (data, item) => sendReportUpdate(data, { idempotencyKey: item.idempotencyKey }),
+  serialize: (data) => ({
+    ...data,
+    location: data.location
+      ? { lat: data.location.lat, lng: data.location.lng }
+      : data.location
+  })
+});
+
+registerQueueableOperation('reports', 'delete', {
+  handler: (data, item) => sendReportDeletion(data, item.idempotencyKey),
+  // Withdrawing a false alarm matters as much as sending a report
+  retryPolicy: { maxAttempts: 30 }
+});
@@ -0,0 +1,192 @@
+import { apiRequest, uploadFile } from './apiClient';
+import { sendReport } from './reportOperations';
+import { getQueueableOperation } from '../offline/operationRegistry';
+
+jest.mock('./apiClient', () => ({
+  apiRequest: jest.fn(),
+  uploadFile: jest.fn()
+}));
+
+const createPhoto = (content, type = 'image/webp') => ({
+  blob: new Blob([content], { type }),
+  mimeType: type,
+  hash: `hash-${content}`,
+  timestamp: '2024-05-01T10:00:00.000Z',
+  compressed: true
+});
+
+const createReport = photos => ({
+  type: 'fire',
+  description: 'Smoke above the ridge',
+  location: { lat: 33.5, lng: -7.6 },
+  timestamp: '2024-05-01T10:05:00.000Z',
+  photos
+});
+
+describe('sendReport', () => {
+  let uploads;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    uploads = 0;
+    uploadFile.mockReset().mockImplementation(async () => {
+      uploads++;
+      return { id: `media-${uploads}`, url: `https://media.example/${uploads}` };
+    });
+    apiRequest.mockReset().mockResolvedValue({ id: 'report-1', status: 'pending' });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('uploads each photo as a multipart part, then creates the report with their media IDs', async () => {
+    const photos = [createPhoto('a'), createPhoto('b', 'image/jpeg')];
+
+    const result = await sendReport(createReport(photos), { idempotencyKey: 'report-key' });
+
+    expect(result).toEqual({ id: 'report-1', status: 'pending' });
+    expect(uploadFile).toHaveBeenCalledTimes(2);
+    expect(uploadFile).toHaveBeenNthCalledWith(1, '/reports/media', expect.any(Blob), expect.objectContaining({
+      fieldName: 'photo',
+      fileName: 'photo-1.webp',
+      fields: { timestamp: '2024-05-01T10:00:00.000Z', variant: 'original' },
+      idempotencyKey: 'report-key:photo-0'
+    }));
+    expect(uploadFile.mock.calls[1][2]).toMatchObject({ fileName: 'photo-2.jpg', idempotencyKey: 'report-key:photo-1' });
+
+    const [endpoint, { method, data, idempotencyKey }] = apiRequest.mock.calls[0];
+    expect(endpoint).toBe('/reports');
+    expect(method).toBe('POST');
+    expect(idempotencyKey).toBe('report-key');
+    expect(JSON.stringify(data)).not.toContain('blob');
+    expect(data.photos).toEqual([
+      { mediaId: 'media-1', type: 'photo', mimeType: 'image/webp', hash: 'hash-a', timestamp: '2024-05-01T10:00:00.000Z' },
+      { mediaId: 'media-2', type: 'photo', mimeType: 'image/jpeg', hash: 'hash-b', timestamp: '2024-05-01T10:00:00.000Z' }
+    ]);
+  });
+
+  it('reports the upload progress of each photo', async () => {
+    uploadFile.mockImplementation(async (endpoint, blob, options) => {
+      options.onProgress({ loaded: blob.size, total: blob.size, progress: 1 });
+      uploads++;
+      return { id: `media-${uploads}` };
+    });
+    const onProgress = jest.fn();
+
+    await sendReport(createReport([createPhoto('a'), createPhoto('bb')]), { idempotencyKey: 'report-key', onProgress });
+
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { index: 0, count: 2, loaded: 1, total: 1, progress: 1 },
+      { index: 1, count: 2, loaded: 2, total: 2, progress: 1 }
+    ]);
+  });
+
+  it('does not upload photos again when retried after a failed upload', async () => {
+    const apiData = createReport([createPhoto('a'), createPhoto('b')]);
+    uploadFile
+      .mockImplementationOnce(async () => ({ id: 'media-a', url: 'https://media.example/a' }))
+      .mockImplementationOnce(async () => { throw new Error('Upload failed: network error'); });
+
+    await expect(sendReport(apiData, { idempotencyKey: 'report-key' })).rejects.toThrow('network error');
+    await sendReport(apiData, { idempotencyKey: 'report-key' });
+
+    expect(uploadFile.mock.calls.map(([, , options]) => options.idempotencyKey)).toEqual([
+      'report-key:photo-0',
+      'report-key:photo-1',
+      'report-key:photo-1'
+    ]);
+    expect(apiRequest.mock.calls[0][1].data.photos.map(photo => photo.mediaId)).toEqual(['media-a', 'media-1']);
+  });
+
+  it('uploads the enhanced copy after its original and reports progress over both', async () => {
+    const photo = { ...createPhoto('abcd'), enhanced: { blob: new Blob(['efgh'], { type: 'image/webp' }), mimeType: 'image/webp' } };
+    uploadFile.mockImplementation(async (endpoint, blob, options) => {
+      options.onProgress({ loaded: blob.size, total: blob.size, progress: 1 });
+      uploads++;
+      return { id: `media-${uploads}`, url: `https://media.example/${uploads}` };
+    });
+    const onProgress = jest.fn();
+
+    await sendReport(createReport([photo]), { idempotencyKey: 'report-key', onProgress });
+
+    expect(uploadFile.mock.calls[1][2]).toMatchObject({
+      fileName: 'photo-1-enhanced.webp',
+      fields: expect.objectContaining({ variant: 'enhanced' }),
+      idempotencyKey: 'report-key:photo-0-enhanced'
+    });
+    expect(onProgress.mock.calls.map(([progress]) => progress.progress)).toEqual([0.5, 1]);
+    expect(apiRequest.mock.calls[0][1].data.photos[0]).toMatchObject({ mediaId: 'media-1', enhancedMediaId: 'media-2' });
+  });
+
+  it('uploads a clip as video, then its poster frame', async () => {
+    const clip = {
+      type: 'video',
+      blob: new Blob(['clip'], { type: 'video/webm' }),
+      mimeType: 'video/webm',
+      durationMs: 8000,
+      timestamp: '2024-05-01T10:00:00.000Z',
+      poster: { blob: new Blob(['jpg'], { type: 'image/jpeg' }), mimeType: 'image/jpeg' },
+      compressed: true
+    };
+
+    await sendReport(createReport([clip]), { idempotencyKey: 'report-key' });
+
+    expect(uploadFile.mock.calls[0][2]).toMatchObject({ fieldName: 'video', fileName: 'clip-1.webm', timeout: 600000 });
+    expect(uploadFile.mock.calls[1][2]).toMatchObject({
+      fieldName: 'photo',
+      fileName: 'clip-1-poster.jpg',
+      fields: expect.objectContaining({ variant: 'poster' }),
+      idempotencyKey: 'report-key:photo-0-poster'
+    });
+    expect(apiRequest.mock.calls[0][1].data.photos[0]).toMatchObject({
+      mediaId: 'media-1',
+      type: 'video',
+      mimeType: 'video/webm',
+      posterMediaId: 'media-2',
+      durationMs: 8000
+    });
+  });
+
+  it('sends photo URLs as references without uploading them', async () => {
+    await sendReport(createReport(['https://example.org/fire.jpg']), { idempotencyKey: 'report-key' });
+
+    expect(uploadFile).not.toHaveBeenCalled();
+    expect(apiRequest.mock.calls[0][1].data.photos).toEqual([{ url: 'https://example.org/fire.jpg' }]);
+  });
+
+  it('uploads the voice note and sends its analysis with the report', async () => {
+    const apiData = createReport([]);
+    apiData.voiceNote = {
+      blob: new Blob(['ogg'], { type: 'audio/ogg' }),
+      durationMs: 4000,
+      analysis: { chainsawDetected: true, gunshotDetected: false, confidence: 0.9, events: [] }
+    };
+
+    await sendReport(apiData, { idempotencyKey: 'report-key' });
+
+    expect(uploadFile).toHaveBeenCalledWith('/reports/media', expect.any(Blob), expect.objectContaining({
+      fieldName: 'audio',
+      fileName: 'voice-note.ogg',
+      idempotencyKey: 'report-key:voice-note'
+    }));
+    expect(apiRequest.mock.calls[0][1].data.voiceNote).toEqual({
+      mediaId: 'media-1',
+      url: 'https://media.example/1',
+      durationMs: 4000,
+      analysis: apiData.voiceNote.analysis
+    });
+  });
+
+  it('is replayed by the offline queue from its stored data with the key of the queued item', async () => {
+    const { handler, serialize } = getQueueableOperation('reports', 'create');
+    const location = Object.assign(Object.create({ distanceTo: () => 0 }), { lat: 33.5, lng: -7.6 });
+    const stored = serialize({ ...createReport([]), location });
+
+    await handler(stored, { idempotencyKey: 'queued-key' });
+
+    expect(stored.location).toEqual({ lat: 33.5, lng: -7.6 });
+    expect(Object.getPrototypeOf(stored.location)).toBe(Object.prototype);
+    expect(apiRequest).toHaveBeenCalledWith('/reports', expect.objectContaining({ method: 'POST', idempotencyKey: 'queued-key' }));
+  });
+});
@@ -5,64 +5,72 @@
  * and retrieving report history and status.
  */
 
-import { apiRequest } from './apiClient';
+import { apiRequest, isRetryableError, generateIdempotencyKey } from './apiClient';
 import { queueOperation } from '../offline/queueManager';
-import { compressImage } from '../media/mediaCompressor';
+import { compressImage, getNetworkPreset } from '../media/mediaCompressor';
+import { sendReport, sendReportUpdate, sendReportDeletion } from './reportOperations';
+
+export { uploadReportMedia } from './reportOperations';
 
 /**
  * Submit a new incident report
  * 
+ * Photos are compressed and uploaded one by one to the media endpoint, then
+ * the report is created referencing the uploaded media IDs. Every request
+ * carries an idempotency key derived from the report's key, so a submission
+ * replayed from the offline queue never creates a duplicate incident.
+ * 
  * @param {Object} reportData - Report data
  * @param {string} reportData.type - Type of incident (fire, logging, etc.)
- * @param {Array} reportData.photos - Array of photo blobs or URLs
+ * @param {Array} reportData.photos - Array of photo objects ({ blob, timestamp, hash }),
+ *   video clips ({ type: 'video', blob, poster, durationMs }) or URLs; compressed
+ *   photos record their output format as mimeType
  * @param {Object} reportData.location - Location coordinates {lat, lng}
  * @param {string} reportData.description - Description of the incident
  * @param {string} reportData.severity - Severity level (low, medium, high, critical)
  * @param {string} reportData.area - Affected area size (small, medium, large)
  * @param {string} [reportData.additionalNotes] - Additional notes
+ * @param {Object} [reportData.voiceNote] - Recorded voice note ({ blob, mimeType,
+ *   durationMs, analysis }); analysis holds the chainsaw and gunshot flags of
+ *   logging and hunting reports, or null
+ * @param {string} [reportData.idempotencyKey] - Key of this report, to keep it stable
+ *   when the user submits the same report again; generated if missing
+ * @param {Object} [options] - Submission options
+ * @param {Function} [options.onProgress] - Per-photo upload progress callback,
+ *   called with { index, count, loaded, total, progress }
  * @returns {Promise<Object>} Created report data with ID and status
  */
-export const submitReport = async (reportData) => {
+export const submitReport = async (reportData, options = {}) => {
+  const { onProgress } = options;
+  const { idempotencyKey = generateIdempotencyKey(), ...report } = reportData;
+
   try {
     // Process photos if present
     let processedPhotos = [];
-    if (reportData.photos && reportData.photos.length > 0) {
+    if (report.photos && report.photos.length > 0) {
       // Compress each photo before uploading
-      processedPhotos = await Promise.all(
-        reportData.photos.map(async (photo) => {
-          // If it's already a string URL, return as is
-          if (typeof photo === 'string') return photo;
-          
-          // If it's a blob or file, compress it
-          if (photo.blob) {
-            const compressed = await compressImage(photo.blob);
-            return compressed;
-          }
-          
-          return photo;
-        })
-      );
+      processedPhotos = await Promise.all(report.photos.map(preparePhoto));
     }
     
     // Prepare data for API
     const apiData = {
-      ...reportData,
+      ...report,
       photos: processedPhotos,
-      timestamp: reportData.timestamp || new Date().toISOString()
+      timestamp: report.timestamp || new Date().toISOString()
     };
     
     // First try to submit directly
     try {
-      const response = await apiRequest('/reports', {
-        method: 'POST',
-        data: apiData
-      });
-      return response;
+      return await sendReport(apiData, { onProgress, idempotencyKey });
     } catch (error) {
-      // If network error or server unavailable, queue for later
-      if (error.message.includes('network') || error.status === 503) {
-        // Queue the operation for when connectivity is restored
-        return queueOperation('reports', 'create', apiData);
+      // If the failure is transient (network, timeout, server error), queue
+      // for later. The request may have reached the server anyway: the
+      // idempotency key makes replaying it safe.
+      if (isRetryableError(error)) {
+        // Queue the operation for when connectivity is restored.
+        // Photos uploaded before the failure keep their media ID and
+        // are not sent again.
+        return queueOperation('reports', 'create', apiData, { idempotencyKey });
       }
       
       // For other errors, re-throw
@@ -74,6 +82,74 @@ export const submitReport = async (reportData) => {
   }
 };
 
+/**
+ * Compress a photo so it is ready for upload
+ * 
+ * Compression strips all metadata from the photo. The capture time and GPS
+ * position read from its EXIF block are written back only if the user
+ * agreed to share them (photo.keepMetadata). Clips are recorded with a
+ * capped bitrate and sent as is; only their poster frame is compressed.
+ * 
+ * @param {Object|string} photo - Photo object ({ blob, timestamp, hash, exif,
+ *   keepMetadata, enhanced }), clip object ({ type: 'video', blob, durationMs,
+ *   poster, timestamp, hash }) or URL
+ * @returns {Promise<Object|string>} Photo object holding the compressed blob and its
+ *   negotiated MIME type ({ blob, mimeType, hash, timestamp, enhanced }), clip
+ *   object, or the URL
+ */
+const preparePhoto = async (photo) => {
+  // If it's already a string URL, return as is
+  if (typeof photo === 'string') return photo;
+
+  // Already uploaded or compressed on a previous attempt
+  if (photo.mediaId || photo.compressed) return photo;
+
+  if (photo.type === 'video' && photo.blob) {
+    // Clips whose poster frame could not be captured are sent without one
+    const poster = photo.poster && photo.poster.blob
+      ? await compressImage(photo.poster.blob, getNetworkPreset())
+      : null;
+    return {
+      type: 'video',
+      blob: photo.blob,
+      mimeType: photo.blob.type,
+      durationMs: photo.durationMs,
+      hash: photo.hash,
+      timestamp: photo.timestamp,
+      poster: poster ? { blob: poster, mimeType: poster.type } : undefined,
+      compressed: true
+    };
+  }
+
+  // If it's a blob or file, compress it
+  if (photo.blob) {
+    const exif = photo.exif || {};
+    const keep = photo.keepMetadata || {};
+    const metadata = {
+      capturedAt: keep.time ? exif.capturedAt : null,
+      location: keep.location ? exif.location : null
+    };
+
+    // Size the photo for the connection it is sent over
+    const options = { ...getNetworkPreset(), metadata };
+    const compressed = await compressImage(photo.blob, options);
+    const enhanced = photo.enhanced && photo.enhanced.blob
+      ? await compressImage(photo.enhanced.blob, options)
+      : null;
+
+    return {
+      blob: compressed,
+      mimeType: compressed.type,
+      hash: photo.hash,
+      timestamp: metadata.capturedAt || photo.timestamp,
+      enhanced: enhanced ? { blob: enhanced, mimeType: enhanced.type } : undefined,
+      compressed: true
+    };
+  }
+
+  return photo;
+};
+
 /**
  * Get user's report history
  * 
@@ -83,6 +159,7 @@ export const submitReport = async (reportData) => {
  * @param {string} options.status - Filter by status (pending, verified, rejected)
  * @param {string} options.type - Filter by report type
  * @returns {Promise<Object>} Paginated reports with metadata
+ *   ({ reports, page, totalPages, total })
  */
 export const getUserReports = async (options = {}) => {
   try {
@@ -100,7 +177,8 @@ export const getUserReports = async (options = {}) => {
  * Get a specific report by ID
  * 
  * @param {string} reportId - ID of the report to retrieve
- * @returns {Promise<Object>} Report details
+ * @returns {Promise<Object>} Report details, including its review steps as
+ *   statusHistory ([{ status, timestamp, note }]) and the verifier's notes
  */
 export const getReportById = async (reportId) => {
   try {
@@ -141,16 +219,40 @@ export const getNearbyReports = async (location, radius = 50) => {
 /**
  * Update an existing report
  * 
+ * Reporters can correct their own reports while they wait for review: change
+ * the text fields or the location, and add photos. Added photos are
+ * compressed and uploaded like those of a new report, then referenced in the
+ * update. Updates made offline are queued and sent later.
+ * 
  * @param {string} reportId - ID of the report to update
- * @param {Object} updateData - Fields to update
- * @returns {Promise<Object>} Updated report data
+ * @param {Object} updateData - Fields to update (description, severity, area,
+ *   additionalNotes, location)
+ * @param {Array} [updateData.photos] - Photos or clips to add to the report,
+ *   as for submitReport
+ * @param {Object} [options] - Update options
+ * @param {Function} [options.onProgress] - Per-photo upload progress callback
+ * @returns {Promise<Object>} Updated report data, or the queued operation
+ *   ({ offline: true }) when it will be sent later
  */
-export const updateReport = async (reportId, updateData) => {
+export const updateReport = async (reportId, updateData, options = {}) => {
+  const { onProgress } = options;
+  const idempotencyKey = generateIdempotencyKey();
+
   try {
-    return await apiRequest(`/reports/${reportId}`, {
-      method: 'PATCH',
-      data: updateData
-    });
+    const { photos, ...fields } = updateData;
+    const apiData = { ...fields, id: reportId };
+    if (photos && photos.length > 0) {
+      apiData.photos = await Promise.all(photos.map(preparePhoto));
+    }
+
+    try {
+      return await sendReportUpdate(apiData, { idempotencyKey, onProgress });
+    } catch (error) {
+      if (isRetryableError(error)) {
+        return queueOperation('reports', 'update', apiData, { idempotencyKey });
+      }
+      throw error;
+    }
   } catch (error) {
     console.error(`Error updating report ${reportId}:`, error);
     throw error;
@@ -158,18 +260,23 @@ export const updateReport = async (reportId, updateData) => {
 };
 
 /**
- * Delete a report
+ * Delete a report, e.g. to withdraw a false alarm. Withdrawals made offline
+ * are queued and sent later.
  * 
  * @param {string} reportId - ID of the report to delete
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean|Object>} True once deleted, or the queued
+ *   operation ({ offline: true }) when it will be sent later
  */
 export const deleteReport = async (reportId) => {
+  const idempotencyKey = generateIdempotencyKey();
+
   try {
-    await apiRequest(`/reports/${reportId}`, {
-      method: 'DELETE'
-    });
+    await sendReportDeletion({ id: reportId }, idempotencyKey);
     return true;
   } catch (error) {
+    if (isRetryableError(error)) {
+      return queueOperation('reports', 'delete', { id: reportId }, { idempotencyKey });
+    }
     console.error(`Error deleting report ${reportId}:`, error);
     throw error;
   }
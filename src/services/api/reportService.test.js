@@ -0,0 +1,190 @@
+import { apiRequest, uploadFile, isRetryableError, generateIdempotencyKey } from './apiClient';
+import { queueOperation } from '../offline/queueManager';
+import { compressImage, getNetworkPreset } from '../media/mediaCompressor';
+import { submitReport, updateReport, deleteReport } from './reportService';
+
+jest.mock('./apiClient', () => ({
+  apiRequest: jest.fn(),
+  uploadFile: jest.fn(),
+  isRetryableError: jest.fn(),
+  generateIdempotencyKey: jest.fn()
+}));
+
+jest.mock('../offline/queueManager', () => ({
+  queueOperation: jest.fn()
+}));
+
+jest.mock('../media/mediaCompressor', () => ({
+  compressImage: jest.fn(),
+  getNetworkPreset: jest.fn()
+}));
+
+const createPhoto = content => ({
+  blob: new Blob([content], { type: 'image/jpeg' }),
+  timestamp: '2024-05-01T10:00:00.000Z'
+});
+
+const createReport = photos => ({
+  type: 'fire',
+  description: 'Smoke above the ridge',
+  location: { lat: 33.5, lng: -7.6 },
+  timestamp: '2024-05-01T10:05:00.000Z',
+  photos
+});
+
+describe('submitReport', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    uploadFile.mockReset().mockResolvedValue({ id: 'media-1', url: 'https://media.example/1' });
+    apiRequest.mockReset().mockResolvedValue({ id: 'report-1', status: 'pending' });
+    queueOperation.mockReset().mockResolvedValue({ queued: true });
+    compressImage.mockImplementation(async blob => blob);
+    getNetworkPreset.mockReturnValue({ maxWidth: 1280, maxHeight: 1280, targetBytes: 300 * 1024 });
+    generateIdempotencyKey.mockReturnValue('report-key');
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('compresses the photos before uploading them', async () => {
+    await submitReport(createReport([createPhoto('a')]));
+
+    expect(compressImage).toHaveBeenCalledWith(expect.any(Blob), expect.objectContaining({ targetBytes: 300 * 1024 }));
+    expect(apiRequest.mock.calls[0][1].data.photos).toEqual([
+      { mediaId: 'media-1', type: 'photo', mimeType: 'image/jpeg', timestamp: '2024-05-01T10:00:00.000Z' }
+    ]);
+  });
+
+  it('sends clips as recorded and compresses only their poster frame', async () => {
+    const clip = {
+      type: 'video',
+      blob: new Blob(['clip'], { type: 'video/webm' }),
+      durationMs: 8000,
+      poster: { blob: new Blob(['jpg'], { type: 'image/jpeg' }) }
+    };
+
+    await submitReport(createReport([clip, { ...clip, poster: null }]));
+
+    expect(compressImage).toHaveBeenCalledTimes(1);
+    expect(compressImage).toHaveBeenCalledWith(clip.poster.blob, expect.any(Object));
+    expect(uploadFile.mock.calls.map(([, blob]) => blob.type)).toEqual(['video/webm', 'image/jpeg', 'video/webm']);
+    expect(apiRequest.mock.calls[0][1].data.photos.map(photo => photo.type)).toEqual(['video', 'video']);
+  });
+
+  it('keeps only the metadata the user agreed to share', async () => {
+    const photo = {
+      ...createPhoto('a'),
+      exif: { capturedAt: '2024-04-30T18:00:00.000Z', location: { lat: 33.5, lng: -7.6 } },
+      keepMetadata: { time: true, location: false }
+    };
+
+    await submitReport(createReport([photo]));
+
+    expect(compressImage.mock.calls[0][1].metadata).toEqual({ capturedAt: '2024-04-30T18:00:00.000Z', location: null });
+    expect(apiRequest.mock.calls[0][1].data.photos[0].timestamp).toBe('2024-04-30T18:00:00.000Z');
+  });
+
+  it('queues the report with its key and the photos already uploaded when the network fails', async () => {
+    isRetryableError.mockReturnValue(true);
+    uploadFile
+      .mockImplementationOnce(async () => ({ id: 'media-a', url: 'https://media.example/a' }))
+      .mockImplementationOnce(async () => { throw new Error('Upload failed: network error'); });
+
+    await submitReport(createReport([createPhoto('a'), createPhoto('b')]));
+
+    expect(apiRequest).not.toHaveBeenCalled();
+    const [resource, operation, data, options] = queueOperation.mock.calls[0];
+    expect([resource, operation]).toEqual(['reports', 'create']);
+    expect(options).toEqual({ idempotencyKey: 'report-key' });
+    expect(data.photos[0]).toMatchObject({ mediaId: 'media-a' });
+    expect(data.photos[1]).toMatchObject({ blob: expect.any(Blob), compressed: true });
+  });
+
+  it('rethrows errors that retrying would not fix', async () => {
+    isRetryableError.mockReturnValue(false);
+    apiRequest.mockRejectedValue(Object.assign(new Error('Description is required'), { status: 400 }));
+
+    await expect(submitReport(createReport([]))).rejects.toThrow('Description is required');
+    expect(queueOperation).not.toHaveBeenCalled();
+  });
+
+  it('keeps the key passed with a report submitted again', async () => {
+    await submitReport({ ...createReport([]), idempotencyKey: 'draft-key' });
+
+    expect(generateIdempotencyKey).not.toHaveBeenCalled();
+    expect(apiRequest.mock.calls[0][1].idempotencyKey).toBe('draft-key');
+    expect(apiRequest.mock.calls[0][1].data).not.toHaveProperty('idempotencyKey');
+  });
+});
+
+describe('updateReport', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    uploadFile.mockReset().mockResolvedValue({ id: 'media-1', url: 'https://media.example/1' });
+    apiRequest.mockReset().mockResolvedValue({ id: 'report-1', status: 'pending' });
+    queueOperation.mockReset().mockResolvedValue({ offline: true });
+    compressImage.mockImplementation(async blob => blob);
+    getNetworkPreset.mockReturnValue({ maxWidth: 1280, maxHeight: 1280, targetBytes: 300 * 1024 });
+    generateIdempotencyKey.mockReturnValue('update-key');
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('uploads the added photos and references them in the update', async () => {
+    await updateReport('report-1', { description: 'Fire spreading east', photos: [createPhoto('a')] });
+
+    expect(compressImage).toHaveBeenCalledTimes(1);
+    const [endpoint, { method, data, idempotencyKey }] = apiRequest.mock.calls[0];
+    expect(endpoint).toBe('/reports/report-1');
+    expect(method).toBe('PATCH');
+    expect(idempotencyKey).toBe('update-key');
+    expect(data).toEqual({
+      description: 'Fire spreading east',
+      addedPhotos: [expect.objectContaining({ mediaId: 'media-1', type: 'photo' })]
+    });
+  });
+
+  it('queues the update when the network fails', async () => {
+    isRetryableError.mockReturnValue(true);
+    apiRequest.mockRejectedValue(new Error('Network error'));
+
+    const result = await updateReport('report-1', { severity: 'high' });
+
+    expect(result).toEqual({ offline: true });
+    expect(queueOperation).toHaveBeenCalledWith('reports', 'update', { severity: 'high', id: 'report-1' }, { idempotencyKey: 'update-key' });
+  });
+});
+
+describe('deleteReport', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    apiRequest.mockReset().mockResolvedValue({ deleted: true });
+    queueOperation.mockReset().mockResolvedValue({ offline: true });
+    generateIdempotencyKey.mockReturnValue('delete-key');
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('queues the withdrawal when the network fails', async () => {
+    isRetryableError.mockReturnValue(true);
+    apiRequest.mockRejectedValue(new Error('Network error'));
+
+    const result = await deleteReport('report-1');
+
+    expect(result).toEqual({ offline: true });
+    expect(queueOperation).toHaveBeenCalledWith('reports', 'delete', { id: 'report-1' }, { idempotencyKey: 'delete-key' });
+  });
+
+  it('rethrows errors that retrying would not fix', async () => {
+    isRetryableError.mockReturnValue(false);
+    apiRequest.mockRejectedValue(Object.assign(new Error('Report already verified'), { status: 409 }));
+
+    await expect(deleteReport('report-1')).rejects.toThrow('Report already verified');
+    expect(queueOperation).not.toHaveBeenCalled();
+  });
+});
@@ -1,99 +1,272 @@
 /**
  * Offline Map Service
- * 
+ *
  * This service provides functionality to download, store, and serve map tiles
  * for offline use when network connectivity is unavailable.
+ *
+ * Users download named regions. Each region keeps its tiles in its own Cache
+ * Storage bucket, keyed by their network URL, so it can be refreshed or
+ * deleted without touching the others. Region records (coverage, size,
+ * expiry, download status) live in IndexedDB. Tiles seen while browsing
+ * online are kept in a separate shared bucket, capped in size.
+ *
+ * Regions can also be imported from MBTiles or PMTiles packs. Their tiles
+ * are stored under local URLs, since they do not come from the tile server.
  */
 
-const STORAGE_KEY = 'gs_offline_map_tiles';
+import { getAllItems, getItem, putItem, deleteItem } from '../offline/indexedDb';
+import { openTilePack } from './tilePackReader';
+
+const REGIONS_STORE = 'mapRegions';
+const LEGACY_STORAGE_KEY = 'gs_offline_map_tiles';
 const TILES_EXPIRY_DAYS = 14; // Offline tiles expire after 14 days
 
+// Cache Storage buckets holding the tile images
+export const TILE_CACHE_NAME = 'gs-map-tiles-v1';
+const REGION_CACHE_PREFIX = 'gs-map-region-';
+
+// Path of the local URLs imported pack tiles are stored under
+const PACK_TILE_PATH = '/offline-packs';
+
+// Tile source. The OpenStreetMap tile usage policy forbids bulk downloads,
+// so regions can only be downloaded from a server set in REACT_APP_TILE_URL.
+export const TILE_URL_TEMPLATE = process.env.REACT_APP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+export const REGION_DOWNLOADS_ENABLED = Boolean(process.env.REACT_APP_TILE_URL);
+
+// Download limits (tile servers commonly allow at most 2 connections)
+const MAX_CONCURRENCY = 2;
+export const MAX_TILES_PER_DOWNLOAD = 20000;
+
+// Tiles kept from browsing the map online; the oldest stored are dropped
+// beyond this count (about 40 MB at AVERAGE_TILE_BYTES)
+export const MAX_BROWSED_TILES = 2000;
+// Browsed tiles stored between two checks of that count
+const BROWSED_TILES_TRIM_INTERVAL = 50;
+
+// Used to estimate the size of a download before it starts
+export const AVERAGE_TILE_BYTES = 20 * 1024;
+
+// Leave some room for reports and photos waiting in the offline queue
+const STORAGE_HEADROOM = 0.9;
+
+// Web Mercator cannot represent the poles
+const MAX_LATITUDE = 85.05112878;
+
 /**
  * Checks if offline map tiles are available and still valid
  * @returns {Promise<Object>} Object with status of offline map availability
  */
 export const getOfflineMap = async () => {
   try {
-    // Check if we have cached tiles
-    const cachedTiles = localStorage.getItem(STORAGE_KEY);
-    
-    if (!cachedTiles) {
+    const regions = await getOfflineRegions();
+
+    if (regions.length === 0) {
       return { available: false, reason: 'no_cache' };
     }
-    
-    const tilesData = JSON.parse(cachedTiles);
-    
-    // Check if tiles have expired
-    const now = new Date();
-    const expiryDate = new Date(tilesData.timestamp);
-    expiryDate.setDate(expiryDate.getDate() + TILES_EXPIRY_DAYS);
-    
-    if (now > expiryDate) {
+
+    // A partial download (some tiles failed) is still usable
+    const downloaded = regions.filter(region => region.status === 'complete' || region.status === 'partial');
+    if (downloaded.length === 0) {
+      return { available: false, reason: 'incomplete', resumable: true };
+    }
+
+    const valid = downloaded.filter(region => !region.expired);
+    if (valid.length === 0) {
       // Tiles have expired
-      return { available: false, reason: 'expired', expiryDate };
+      return { available: false, reason: 'expired', regions: downloaded };
     }
-    
+
     // Tiles are available and valid
-    return { 
-      available: true, 
-      tiles: tilesData.tiles,
-      coverage: tilesData.coverage,
-      timestamp: tilesData.timestamp,
-      expiryDate
-    };
+    return { available: true, regions: valid };
   } catch (error) {
     console.error('Error getting offline map:', error);
     return { available: false, reason: 'error', error: error.message };
   }
 };
 
+/**
+ * Get all downloaded (or partly downloaded) regions
+ * @returns {Promise<Array>} Regions, most recently created first
+ */
+export const getOfflineRegions = async () => {
+  // Before named regions, a single manifest was kept in localStorage. Its
+  // tiles stay readable in the shared bucket but it is no longer listed.
+  if (typeof localStorage !== 'undefined') {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }
+
+  const regions = await getAllItems(REGIONS_STORE);
+  const now = new Date();
+
+  return regions
+    .map(region => ({
+      ...region,
+      expired: Boolean(region.expiresAt) && now > new Date(region.expiresAt)
+    }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * Get the storage used by the app and the quota granted by the browser
+ * @returns {Promise<Object|null>} { usage, quota, available } in bytes, or
+ *   null if the browser cannot tell
+ */
+export const getStorageEstimate = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return {
+      usage,
+      quota,
+      available: Math.max(0, quota * STORAGE_HEADROOM - usage)
+    };
+  } catch (error) {
+    console.error('Error estimating storage:', error);
+    return null;
+  }
+};
+
 /**
  * Downloads map tiles for a specific region for offline use
+ *
+ * Every tile of the region between minZoom and maxZoom is fetched and stored
+ * in the region's bucket. Tiles already stored are skipped, so downloading
+ * the same region again after a cancelled or failed download resumes it.
+ * The download is refused if the storage quota cannot hold it, and when no
+ * tile server allowing bulk downloads is configured.
+ *
  * @param {Object} region - The region bounds to download (north, south, east, west)
  * @param {number} minZoom - Minimum zoom level to download
  * @param {number} maxZoom - Maximum zoom level to download
+ * @param {Object} [options] - Download options
+ * @param {string} [options.name] - Name of a new region
+ * @param {string} [options.regionId] - Existing region to resume or refresh
+ * @param {boolean} [options.refresh] - Download tiles again even if stored
+ * @param {Function} [options.onProgress] - Called after each tile with
+ *   { done, total, failed, bytes }
+ * @param {AbortSignal} [options.signal] - Signal to cancel the download
+ * @param {number} [options.concurrency] - Number of tiles fetched in
+ *   parallel, at most MAX_CONCURRENCY
  * @returns {Promise<Object>} Status of the download operation
  */
-export const downloadOfflineMapTiles = async (region, minZoom = 10, maxZoom = 15) => {
+export const downloadOfflineMapTiles = async (region, minZoom = 10, maxZoom = 15, options = {}) => {
+  const { onProgress, signal, refresh = false, concurrency = MAX_CONCURRENCY } = options;
+
   try {
-    // In a real implementation, this would:
-    // 1. Calculate all tile coordinates needed based on the region and zoom levels
-    // 2. Download each tile and store it in IndexedDB or another suitable storage
-    // 3. Save a manifest of all downloaded tiles with their coordinates
-    
-    // For this demo, we'll simulate the process:
-    
-    // Simulate download time (proportional to region size and zoom levels)
+    if (!REGION_DOWNLOADS_ENABLED) {
+      return {
+        success: false,
+        error: 'Region downloads are disabled: the default OpenStreetMap tile server does not allow bulk downloads'
+      };
+    }
+    if (typeof caches === 'undefined') {
+      throw new Error('Cache Storage is not supported in this browser');
+    }
+
     const tileCount = estimateTileCount(region, minZoom, maxZoom);
-    const downloadTime = Math.min(tileCount * 100, 5000); // Limit to 5 seconds max for demo
-    
-    await new Promise(resolve => setTimeout(resolve, downloadTime));
-    
-    // Create a simplified tiles object
-    // In a real app, this would be a proper mapping of coordinates to tile data
-    const tiles = {
-      url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', // In reality, this would be a local URL or data URI
-      attribution: '© OpenStreetMap contributors',
-      subdomains: ['a', 'b', 'c'],
+    if (tileCount > MAX_TILES_PER_DOWNLOAD) {
+      return {
+        success: false,
+        error: `Region too large: ${tileCount} tiles (maximum ${MAX_TILES_PER_DOWNLOAD}). Select a smaller area or fewer zoom levels.`,
+        tileCount
+      };
+    }
+
+    const existing = options.regionId ? await getItem(REGIONS_STORE, options.regionId) : null;
+    const id = existing ? existing.id : generateRegionId();
+    const regionData = existing || {
+      id,
+      source: 'download',
+      name: options.name || 'Offline region',
+      coverage: region,
       minZoom,
-      maxZoom
+      maxZoom,
+      cacheName: REGION_CACHE_PREFIX + id,
+      createdAt: new Date().toISOString(),
+      bytes: 0
     };
-    
-    // Save to localStorage (in a real app, would likely use IndexedDB for larger storage)
-    const tilesData = {
-      tiles,
-      coverage: region,
-      timestamp: new Date().toISOString(),
-      tileCount
+
+    // Only the tiles not stored yet need room (a refresh replaces tiles in place)
+    const remainingTiles = refresh ? 0 : tileCount - (existing ? existing.downloadedTiles || 0 : 0);
+    const requiredBytes = Math.max(0, remainingTiles) * AVERAGE_TILE_BYTES;
+    const storage = await getStorageEstimate();
+    if (storage && requiredBytes > storage.available) {
+      return {
+        success: false,
+        insufficientStorage: true,
+        error: `Not enough storage: about ${formatMB(requiredBytes)} MB needed, ${formatMB(storage.available)} MB available.`,
+        requiredBytes,
+        availableBytes: storage.available,
+        tileCount
+      };
+    }
+
+    // Record the download before starting so it can be resumed
+    await putItem(REGIONS_STORE, { ...regionData, tileCount, status: 'downloading' });
+
+    const cache = await caches.open(regionData.cacheName);
+    const tiles = enumerateTiles(region, minZoom, maxZoom);
+    const progress = { done: 0, total: tileCount, failed: 0, bytes: 0 };
+
+    // Each worker takes the next tile from the shared iterator
+    const worker = async () => {
+      for (const tile of tiles) {
+        if (signal && signal.aborted) return;
+
+        try {
+          progress.bytes += await downloadTile(cache, tile, { signal, refresh });
+        } catch (error) {
+          if (error.name === 'AbortError') return;
+          progress.failed++;
+        }
+
+        progress.done++;
+        if (onProgress) {
+          onProgress({ ...progress });
+        }
+      }
     };
-    
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(tilesData));
-    
-    return { 
-      success: true, 
+
+    const workerCount = Math.min(Math.max(1, concurrency), MAX_CONCURRENCY);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (signal && signal.aborted) {
+      await putItem(REGIONS_STORE, {
+        ...regionData,
+        tileCount,
+        status: 'paused',
+        downloadedTiles: progress.done - progress.failed,
+        bytes: Math.max(regionData.bytes, progress.bytes)
+      });
+      return { success: false, cancelled: true, regionId: id, ...progress, coverage: region };
+    }
+
+    const downloadedAt = new Date();
+    const expiresAt = new Date(downloadedAt);
+    expiresAt.setDate(expiresAt.getDate() + TILES_EXPIRY_DAYS);
+
+    await putItem(REGIONS_STORE, {
+      ...regionData,
       tileCount,
-      sizeMB: (tileCount * 15) / 1024, // Rough estimate: 15KB per tile
-      coverage: region 
+      status: progress.failed === 0 ? 'complete' : 'partial',
+      downloadedTiles: tileCount - progress.failed,
+      failedTiles: progress.failed,
+      bytes: progress.bytes,
+      downloadedAt: downloadedAt.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    });
+
+    return {
+      success: progress.failed === 0,
+      regionId: id,
+      tileCount,
+      failedTiles: progress.failed,
+      sizeMB: progress.bytes / (1024 * 1024),
+      coverage: region
     };
   } catch (error) {
     console.error('Error downloading offline map:', error);
@@ -101,35 +274,432 @@ export const downloadOfflineMapTiles = async (region, minZoom = 10, maxZoom = 15
   }
 };
 
+/**
+ * Resumes a region download that was cancelled or left incomplete
+ * @param {string} regionId - Region to resume
+ * @param {Object} [options] - Download options (see downloadOfflineMapTiles)
+ * @returns {Promise<Object>} Status of the download operation
+ */
+export const resumeOfflineMapDownload = async (regionId, options = {}) => {
+  const regionData = await getItem(REGIONS_STORE, regionId);
+
+  if (!regionData || regionData.status === 'complete') {
+    return { success: false, error: 'No interrupted download to resume' };
+  }
+  if (isImportedRegion(regionData)) {
+    return { success: false, error: 'Import the map pack again to complete it' };
+  }
+
+  return downloadOfflineMapTiles(
+    regionData.coverage,
+    regionData.minZoom,
+    regionData.maxZoom,
+    { ...options, regionId }
+  );
+};
+
+/**
+ * Downloads every tile of a region again and resets its expiry
+ * @param {string} regionId - Region to refresh
+ * @param {Object} [options] - Download options (see downloadOfflineMapTiles)
+ * @returns {Promise<Object>} Status of the download operation
+ */
+export const refreshOfflineRegion = async (regionId, options = {}) => {
+  const regionData = await getItem(REGIONS_STORE, regionId);
+
+  if (!regionData) {
+    return { success: false, error: 'Region not found' };
+  }
+  if (isImportedRegion(regionData)) {
+    return { success: false, error: 'Imported map packs cannot be refreshed' };
+  }
+
+  return downloadOfflineMapTiles(
+    regionData.coverage,
+    regionData.minZoom,
+    regionData.maxZoom,
+    { ...options, regionId, refresh: true }
+  );
+};
+
+/**
+ * Deletes a region and its tiles
+ * @param {string} regionId - Region to delete
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteOfflineRegion = async (regionId) => {
+  try {
+    const regionData = await getItem(REGIONS_STORE, regionId);
+    if (regionData && typeof caches !== 'undefined') {
+      await caches.delete(regionData.cacheName);
+    }
+    await deleteItem(REGIONS_STORE, regionId);
+    return true;
+  } catch (error) {
+    console.error('Error deleting offline region:', error);
+    return false;
+  }
+};
+
+/**
+ * Imports an MBTiles or PMTiles pack as an offline region
+ *
+ * Coverage, zoom range and attribution come from the pack metadata. Imported
+ * regions do not expire, since they cannot be downloaded again.
+ *
+ * @param {File} file - .mbtiles or .pmtiles file
+ * @param {Object} [options] - Import options
+ * @param {Function} [options.onProgress] - Called after each tile with
+ *   { done, total, bytes }
+ * @param {AbortSignal} [options.signal] - Signal to cancel the import
+ * @returns {Promise<Object>} Status of the import operation
+ */
+export const importOfflineMapPack = async (file, options = {}) => {
+  const { onProgress, signal } = options;
+  let pack = null;
+  let regionData = null;
+
+  try {
+    if (typeof caches === 'undefined') {
+      throw new Error('Cache Storage is not supported in this browser');
+    }
+
+    const storage = await getStorageEstimate();
+    if (storage && file.size > storage.available) {
+      return {
+        success: false,
+        insufficientStorage: true,
+        error: `Not enough storage: about ${formatMB(file.size)} MB needed, ${formatMB(storage.available)} MB available.`,
+        requiredBytes: file.size,
+        availableBytes: storage.available
+      };
+    }
+
+    pack = await openTilePack(file);
+    const { metadata } = pack;
+    const id = generateRegionId();
+
+    regionData = {
+      id,
+      source: pack.type,
+      name: metadata.name,
+      coverage: metadata.coverage,
+      minZoom: metadata.minZoom,
+      maxZoom: metadata.maxZoom,
+      attribution: metadata.attribution,
+      format: metadata.format,
+      cacheName: REGION_CACHE_PREFIX + id,
+      createdAt: new Date().toISOString(),
+      tileCount: pack.tileCount,
+      bytes: 0,
+      status: 'downloading'
+    };
+    await putItem(REGIONS_STORE, regionData);
+
+    const cache = await caches.open(regionData.cacheName);
+    const progress = { done: 0, total: pack.tileCount, bytes: 0 };
+
+    await pack.forEachTile(async ({ z, x, y, blob }) => {
+      await cache.put(getPackTileUrl(regionData, z, x, y), createTileResponse(blob));
+      progress.done++;
+      progress.bytes += blob.size;
+      if (onProgress) {
+        onProgress({ ...progress });
+      }
+    }, signal);
+
+    if (signal && signal.aborted) {
+      // A pack cannot be resumed without the file, so drop what was copied
+      await deleteOfflineRegion(id);
+      return { success: false, cancelled: true };
+    }
+
+    await putItem(REGIONS_STORE, {
+      ...regionData,
+      tileCount: progress.done,
+      bytes: progress.bytes,
+      status: 'complete',
+      downloadedAt: new Date().toISOString(),
+      expiresAt: null
+    });
+
+    return {
+      success: true,
+      regionId: id,
+      tileCount: progress.done,
+      sizeMB: progress.bytes / (1024 * 1024),
+      coverage: regionData.coverage
+    };
+  } catch (error) {
+    console.error('Error importing offline map pack:', error);
+    if (regionData) {
+      await deleteOfflineRegion(regionData.id);
+    }
+    return { success: false, error: error.message };
+  } finally {
+    if (pack) {
+      pack.close();
+    }
+  }
+};
+
+/**
+ * Get a tile image of an imported pack
+ * @param {Object} region - Imported region
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile x-coordinate
+ * @param {number} y - Tile y-coordinate
+ * @returns {Promise<Blob|null>} Tile image, or null if the pack has no such tile
+ */
+export const getPackTile = async (region, z, x, y) => {
+  if (typeof caches === 'undefined') return null;
+
+  try {
+    const cache = await caches.open(region.cacheName);
+    const response = await cache.match(getPackTileUrl(region, z, x, y));
+    return response ? response.blob() : null;
+  } catch (error) {
+    console.error('Error reading pack tile:', error);
+    return null;
+  }
+};
+
+/**
+ * Whether a region was imported from a map pack rather than downloaded
+ * @param {Object} region - Region
+ * @returns {boolean} True for imported regions
+ */
+export const isImportedRegion = (region) => {
+  return Boolean(region.source) && region.source !== 'download';
+};
+
+/**
+ * Build the local URL an imported pack tile is stored under
+ * @param {Object} region - Imported region
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile x-coordinate
+ * @param {number} y - Tile y-coordinate
+ * @returns {string} Tile URL
+ */
+const getPackTileUrl = (region, z, x, y) => {
+  return `${window.location.origin}${PACK_TILE_PATH}/${region.id}/${z}/${x}/${y}`;
+};
+
+/**
+ * Get a stored tile image, from any region or from browsing
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile x-coordinate
+ * @param {number} y - Tile y-coordinate
+ * @returns {Promise<Blob|null>} Tile image, or null if not stored
+ */
+export const getCachedTile = async (z, x, y) => {
+  if (typeof caches === 'undefined') return null;
+
+  try {
+    const response = await caches.match(getTileUrl(z, x, y));
+    return response ? response.blob() : null;
+  } catch (error) {
+    console.error('Error reading cached tile:', error);
+    return null;
+  }
+};
+
+// Browsed tiles stored since their count was last checked
+let browsedTilesSinceTrim = 0;
+
+/**
+ * Store a tile image fetched while browsing the map online
+ *
+ * Beyond MAX_BROWSED_TILES, the tiles stored longest ago are dropped.
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile x-coordinate
+ * @param {number} y - Tile y-coordinate
+ * @param {Blob} blob - Tile image
+ * @returns {Promise<boolean>} Success status
+ */
+export const storeTile = async (z, x, y, blob) => {
+  if (typeof caches === 'undefined') return false;
+
+  try {
+    const cache = await caches.open(TILE_CACHE_NAME);
+    await cache.put(getTileUrl(z, x, y), createTileResponse(blob));
+
+    browsedTilesSinceTrim++;
+    if (browsedTilesSinceTrim >= BROWSED_TILES_TRIM_INTERVAL) {
+      browsedTilesSinceTrim = 0;
+      await trimBrowsedTiles(cache);
+    }
+    return true;
+  } catch (error) {
+    // Storage may be full; the tile was still displayed
+    console.warn('Error storing tile:', error);
+    return false;
+  }
+};
+
+/**
+ * Drop the browsed tiles stored longest ago, down to MAX_BROWSED_TILES
+ * @param {Cache} cache - Browsed tiles cache
+ */
+const trimBrowsedTiles = async (cache) => {
+  // Requests are listed in the order they were stored
+  const requests = await cache.keys();
+  const excess = requests.length - MAX_BROWSED_TILES;
+  if (excess > 0) {
+    await Promise.all(requests.slice(0, excess).map(request => cache.delete(request)));
+  }
+};
+
+/**
+ * Get the size of the tiles kept from browsing the map online
+ * @returns {Promise<Object>} { tileCount, bytes }
+ */
+export const getBrowsedTilesUsage = async () => {
+  if (typeof caches === 'undefined' || !(await caches.has(TILE_CACHE_NAME))) {
+    return { tileCount: 0, bytes: 0 };
+  }
+
+  const cache = await caches.open(TILE_CACHE_NAME);
+  const responses = await cache.matchAll();
+  return {
+    tileCount: responses.length,
+    bytes: responses.reduce((total, response) => total + (Number(response.headers.get('Content-Length')) || 0), 0)
+  };
+};
+
+/**
+ * Remove the tiles kept from browsing the map online. Downloaded and
+ * imported regions are kept.
+ * @returns {Promise<boolean>} Success status
+ */
+export const clearBrowsedTiles = async () => {
+  try {
+    if (typeof caches !== 'undefined') {
+      await caches.delete(TILE_CACHE_NAME);
+    }
+    browsedTilesSinceTrim = 0;
+    return true;
+  } catch (error) {
+    console.error('Error clearing browsed tiles:', error);
+    return false;
+  }
+};
+
+/**
+ * Build the network URL of a tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile x-coordinate
+ * @param {number} y - Tile y-coordinate
+ * @returns {string} Tile URL
+ */
+export const getTileUrl = (z, x, y) => {
+  return TILE_URL_TEMPLATE
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y);
+};
+
+/**
+ * Wrap a tile image in a response recording its size
+ * @param {Blob} blob - Tile image
+ * @returns {Response} Response to store in Cache Storage
+ */
+const createTileResponse = (blob) => {
+  return new Response(blob, {
+    headers: {
+      'Content-Type': blob.type || 'image/png',
+      'Content-Length': String(blob.size)
+    }
+  });
+};
+
+/**
+ * Fetch a single tile and store it, unless it is already stored
+ * @param {Cache} cache - Region cache
+ * @param {Object} tile - Tile coordinates {z, x, y}
+ * @param {Object} options - Download options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {boolean} [options.refresh] - Download the tile even if stored
+ * @returns {Promise<number>} Size of the stored tile in bytes
+ */
+const downloadTile = async (cache, { z, x, y }, { signal, refresh }) => {
+  const url = getTileUrl(z, x, y);
+
+  // Already downloaded by a previous (interrupted) run
+  if (!refresh) {
+    const stored = await cache.match(url);
+    if (stored) {
+      return Number(stored.headers.get('Content-Length')) || 0;
+    }
+  }
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Tile ${z}/${x}/${y} failed with status ${response.status}`);
+  }
+
+  const blob = await response.blob();
+  await cache.put(url, createTileResponse(blob));
+
+  return blob.size;
+};
+
+/**
+ * Computes the tile ranges covering a region at a zoom level
+ * @param {Object} region - The region bounds
+ * @param {number} z - Zoom level
+ * @returns {Object} Inclusive tile ranges {minX, maxX, minY, maxY}
+ */
+const getTileRange = (region, z) => {
+  const north = Math.min(region.north, MAX_LATITUDE);
+  const south = Math.max(region.south, -MAX_LATITUDE);
+  const maxTile = Math.pow(2, z) - 1;
+
+  return {
+    minX: Math.max(0, lng2tile(Math.min(region.west, region.east), z)),
+    maxX: Math.min(maxTile, lng2tile(Math.max(region.west, region.east), z)),
+    // Tile y grows southwards
+    minY: Math.max(0, lat2tile(Math.max(north, south), z)),
+    maxY: Math.min(maxTile, lat2tile(Math.min(north, south), z))
+  };
+};
+
+/**
+ * Lists every tile covering a region, lowest zoom level first
+ * @param {Object} region - The region bounds
+ * @param {number} minZoom - Minimum zoom level
+ * @param {number} maxZoom - Maximum zoom level
+ * @returns {Generator<Object>} Tile coordinates {z, x, y}
+ */
+function* enumerateTiles(region, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = getTileRange(region, z);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        yield { z, x, y };
+      }
+    }
+  }
+}
+
 /**
  * Estimates the number of tiles needed for a region at specific zoom levels
  * @param {Object} region - The region bounds
  * @param {number} minZoom - Minimum zoom level
  * @param {number} maxZoom - Maximum zoom level
- * @returns {number} Estimated number of tiles
+ * @returns {number} Number of tiles
  */
-const estimateTileCount = (region, minZoom, maxZoom) => {
+export const estimateTileCount = (region, minZoom, maxZoom) => {
   let totalTiles = 0;
-  
+
   // For each zoom level
   for (let z = minZoom; z <= maxZoom; z++) {
-    // Calculate tile ranges
-    const factor = Math.pow(2, z);
-    
-    // Convert lat/lng to tile coordinates (simplified)
-    const north = lat2tile(region.north, z);
-    const south = lat2tile(region.south, z);
-    const east = lng2tile(region.east, z);
-    const west = lng2tile(region.west, z);
-    
+    const { minX, maxX, minY, maxY } = getTileRange(region, z);
+
     // Calculate tile count for this zoom level
-    const width = Math.abs(east - west) + 1;
-    const height = Math.abs(north - south) + 1;
-    const tilesAtZoom = width * height;
-    
-    totalTiles += tilesAtZoom;
+    totalTiles += (maxX - minX + 1) * (maxY - minY + 1);
   }
-  
+
   return totalTiles;
 };
 
@@ -153,14 +723,30 @@ const lng2tile = (lng, z) => {
   return Math.floor((lng + 180) / 360 * Math.pow(2, z));
 };
 
+/**
+ * Generate a random ID for regions
+ * @returns {string} Random ID
+ */
+const generateRegionId = () => {
+  return 'region_' + Math.random().toString(36).substr(2, 9);
+};
+
+/**
+ * Format a byte count in megabytes
+ * @param {number} bytes - Byte count
+ * @returns {string} Megabytes with one decimal
+ */
+const formatMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
 /**
  * Removes all stored offline map tiles
  * @returns {Promise<boolean>} Success status
  */
 export const clearOfflineMaps = async () => {
   try {
-    localStorage.removeItem(STORAGE_KEY);
-    return true;
+    const regions = await getOfflineRegions();
+    await Promise.all(regions.map(region => deleteOfflineRegion(region.id)));
+    return await clearBrowsedTiles();
   } catch (error) {
     console.error('Error clearing offline maps:', error);
     return false;
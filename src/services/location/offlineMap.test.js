@@ -0,0 +1,254 @@
+// Region downloads need a tile server allowing them; set it before loading
+process.env.REACT_APP_TILE_URL = 'https://tiles.example.org/{z}/{x}/{y}.png';
+
+const {
+  estimateTileCount,
+  downloadOfflineMapTiles,
+  resumeOfflineMapDownload,
+  getTileUrl,
+  storeTile,
+  getBrowsedTilesUsage,
+  clearBrowsedTiles,
+  MAX_TILES_PER_DOWNLOAD,
+  MAX_BROWSED_TILES,
+  TILE_CACHE_NAME
+} = require('./offlineMap');
+
+// In-memory replacement for the IndexedDB stores
+jest.mock('../offline/indexedDb', () => {
+  const stores = new Map();
+  const getStore = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  return {
+    getAllItems: async (name) => Array.from(getStore(name).values()),
+    getItem: async (name, key) => getStore(name).get(key),
+    putItem: async (name, value) => { getStore(name).set(value.id, value); },
+    deleteItem: async (name, key) => { getStore(name).delete(key); }
+  };
+});
+
+// Minimal Response holding a body and its headers, as stored in Cache Storage
+class FakeResponse {
+  constructor(body, { headers = {} } = {}) {
+    this.body = body;
+    this.headers = new Map(Object.entries(headers));
+  }
+
+  async blob() {
+    return this.body;
+  }
+}
+
+// In-memory Cache Storage keyed by URL, keeping the order tiles were stored in
+const createCacheStorage = () => {
+  const buckets = new Map();
+  const createCache = () => {
+    const entries = new Map();
+    return {
+      entries,
+      match: async url => entries.get(url),
+      matchAll: async () => Array.from(entries.values()),
+      put: async (url, response) => {
+        entries.delete(url);
+        entries.set(url, response);
+      },
+      delete: async url => entries.delete(url),
+      keys: async () => Array.from(entries.keys())
+    };
+  };
+  return {
+    buckets,
+    open: async (name) => {
+      if (!buckets.has(name)) buckets.set(name, createCache());
+      return buckets.get(name);
+    },
+    has: async name => buckets.has(name),
+    delete: async name => buckets.delete(name),
+    match: async (url) => {
+      for (const cache of buckets.values()) {
+        const response = await cache.match(url);
+        if (response) return response;
+      }
+      return undefined;
+    }
+  };
+};
+
+// Region of about one degree around the equator and the prime meridian
+const REGION = { north: 0.5, south: -0.5, east: 0.5, west: -0.5 };
+
+beforeEach(() => {
+  global.Response = FakeResponse;
+  global.caches = createCacheStorage();
+  global.fetch = jest.fn(async () => ({ ok: true, blob: async () => new Blob(['tile'], { type: 'image/png' }) }));
+});
+
+afterEach(() => {
+  delete global.Response;
+  delete global.caches;
+  delete global.fetch;
+});
+
+describe('estimateTileCount', () => {
+  it('counts the tiles of each zoom level', () => {
+    // One tile at zoom 0, the four around the origin at zooms 1 and 2
+    expect(estimateTileCount(REGION, 0, 0)).toBe(1);
+    expect(estimateTileCount(REGION, 1, 1)).toBe(4);
+    expect(estimateTileCount(REGION, 0, 2)).toBe(9);
+  });
+
+  it('covers the whole world without going past the last tile', () => {
+    const world = { north: 90, south: -90, east: 180, west: -180 };
+
+    expect(estimateTileCount(world, 0, 3)).toBe(1 + 4 + 16 + 64);
+  });
+
+  it('accepts bounds given in either order', () => {
+    const swapped = { north: REGION.south, south: REGION.north, east: REGION.west, west: REGION.east };
+
+    expect(estimateTileCount(swapped, 0, 2)).toBe(estimateTileCount(REGION, 0, 2));
+  });
+});
+
+describe('downloadOfflineMapTiles', () => {
+  it('fetches every tile of the estimate once and stores it in the region cache', async () => {
+    const onProgress = jest.fn();
+
+    const result = await downloadOfflineMapTiles(REGION, 0, 2, { name: 'Origin', onProgress });
+
+    const fetched = global.fetch.mock.calls.map(([url]) => url);
+    expect(fetched).toHaveLength(estimateTileCount(REGION, 0, 2));
+    expect(new Set(fetched).size).toBe(fetched.length);
+    expect(fetched).toEqual(expect.arrayContaining([getTileUrl(0, 0, 0), getTileUrl(2, 1, 1), getTileUrl(2, 2, 2)]));
+    expect(result).toMatchObject({ success: true, tileCount: 9, failedTiles: 0 });
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ done: 9, total: 9, failed: 0 }));
+
+    const cache = global.caches.buckets.get(`gs-map-region-${result.regionId}`);
+    expect(cache.entries.size).toBe(9);
+  });
+
+  it('skips the tiles already stored when resuming', async () => {
+    const first = await downloadOfflineMapTiles(REGION, 0, 1, { name: 'Origin' });
+    global.fetch.mockClear();
+
+    const result = await downloadOfflineMapTiles(REGION, 0, 2, { regionId: first.regionId });
+
+    expect(result).toMatchObject({ success: true, tileCount: 9 });
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    global.fetch.mock.calls.forEach(([url]) => expect(url).toMatch(/\/2\/\d+\/\d+\.png$/));
+  });
+
+  it('counts the tiles that could not be downloaded', async () => {
+    global.fetch.mockImplementation(async (url) => (
+      url === getTileUrl(1, 0, 0)
+        ? { ok: false, status: 503 }
+        : { ok: true, blob: async () => new Blob(['tile'], { type: 'image/png' }) }
+    ));
+
+    const result = await downloadOfflineMapTiles(REGION, 0, 1, { name: 'Origin' });
+
+    expect(result).toMatchObject({ success: false, tileCount: 5, failedTiles: 1 });
+  });
+
+  it('resumes a cancelled download where it stopped', async () => {
+    const controller = new AbortController();
+    const onProgress = jest.fn(({ done }) => {
+      if (done === 3) controller.abort();
+    });
+
+    const cancelled = await downloadOfflineMapTiles(REGION, 0, 2, { name: 'Origin', onProgress, signal: controller.signal, concurrency: 1 });
+    global.fetch.mockClear();
+    const result = await resumeOfflineMapDownload(cancelled.regionId);
+
+    expect(cancelled).toMatchObject({ success: false, cancelled: true, done: 3 });
+    expect(global.fetch).toHaveBeenCalledTimes(6);
+    expect(result).toMatchObject({ success: true, tileCount: 9, regionId: cancelled.regionId });
+  });
+
+  it('fetches at most two tiles at a time', async () => {
+    let active = 0;
+    let maxActive = 0;
+    global.fetch.mockImplementation(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve));
+      active--;
+      return { ok: true, blob: async () => new Blob(['tile'], { type: 'image/png' }) };
+    });
+
+    await downloadOfflineMapTiles(REGION, 0, 2, { name: 'Origin', concurrency: 8 });
+
+    expect(maxActive).toBe(2);
+  });
+
+  it('refuses to download from the default OpenStreetMap tile server', async () => {
+    const tileUrl = process.env.REACT_APP_TILE_URL;
+    delete process.env.REACT_APP_TILE_URL;
+    let osmOfflineMap;
+    jest.isolateModules(() => {
+      osmOfflineMap = require('./offlineMap');
+    });
+    process.env.REACT_APP_TILE_URL = tileUrl;
+
+    const result = await osmOfflineMap.downloadOfflineMapTiles(REGION, 0, 2, { name: 'Origin' });
+
+    expect(osmOfflineMap.REGION_DOWNLOADS_ENABLED).toBe(false);
+    expect(result).toMatchObject({ success: false, error: expect.stringContaining('does not allow bulk downloads') });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('refuses regions above the tile limit without fetching anything', async () => {
+    const world = { north: 85, south: -85, east: 180, west: -180 };
+
+    const result = await downloadOfflineMapTiles(world, 0, 8, { name: 'World' });
+
+    expect(result.success).toBe(false);
+    expect(result.tileCount).toBeGreaterThan(MAX_TILES_PER_DOWNLOAD);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('browsed tiles', () => {
+  const tile = () => new Blob(['tile'], { type: 'image/png' });
+
+  // Store tiles along row 0 of zoom 12, starting at the given column
+  const storeTiles = async (count, first = 0) => {
+    for (let x = first; x < first + count; x++) {
+      await storeTile(12, x, 0, tile());
+    }
+  };
+
+  beforeEach(async () => {
+    // Resets the count of tiles stored since the last trim
+    await clearBrowsedTiles();
+  });
+
+  it('drops the tiles stored longest ago beyond the limit', async () => {
+    await storeTiles(MAX_BROWSED_TILES + 50);
+
+    const cache = global.caches.buckets.get(TILE_CACHE_NAME);
+    expect(cache.entries.size).toBe(MAX_BROWSED_TILES);
+    expect(cache.entries.has(getTileUrl(12, 49, 0))).toBe(false);
+    expect(cache.entries.has(getTileUrl(12, 50, 0))).toBe(true);
+  });
+
+  it('reports the number and size of the stored tiles', async () => {
+    expect(await getBrowsedTilesUsage()).toEqual({ tileCount: 0, bytes: 0 });
+
+    await storeTiles(3);
+
+    expect(await getBrowsedTilesUsage()).toEqual({ tileCount: 3, bytes: 12 });
+  });
+
+  it('clears browsed tiles but keeps downloaded regions', async () => {
+    await storeTiles(3);
+    const { regionId } = await downloadOfflineMapTiles(REGION, 0, 0, { name: 'Origin' });
+
+    expect(await clearBrowsedTiles()).toBe(true);
+
+    expect(await getBrowsedTilesUsage()).toEqual({ tileCount: 0, bytes: 0 });
+    expect(global.caches.buckets.has(`gs-map-region-${regionId}`)).toBe(true);
+  });
+});
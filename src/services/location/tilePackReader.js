@@ -0,0 +1,229 @@
+/**
+ * Tile Pack Reader
+ *
+ * Reads pre-built offline basemaps from local files: MBTiles (an SQLite
+ * database) and PMTiles (a single-file tile archive). Both are opened the
+ * same way and expose their metadata and an iterator over their tiles, so
+ * the offline map service can copy them into its tile store.
+ *
+ * Only raster packs (PNG, JPEG, WebP) can be displayed by the map.
+ */
+
+// File signatures
+const SQLITE_MAGIC = 'SQLite format 3';
+const PMTILES_MAGIC = 'PMTiles';
+
+// MIME types of the supported raster tile formats
+const RASTER_FORMATS = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+// Largest MBTiles pack that is opened. SQLite runs in WebAssembly and holds
+// the whole file in memory, next to the copy read from disk: larger packs
+// can crash the tab on phones. PMTiles packs are read in parts and have no limit.
+export const MAX_MBTILES_BYTES = 200 * 1024 * 1024;
+
+// Whole world, for packs that do not declare their bounds
+const WORLD_BOUNDS = { north: 85.0511, south: -85.0511, east: 180, west: -180 };
+
+/**
+ * Open a tile pack
+ * @param {File} file - .mbtiles or .pmtiles file
+ * @returns {Promise<Object>} Pack with { type, metadata, tileCount, forEachTile, close }.
+ *   metadata holds { name, attribution, coverage, minZoom, maxZoom, format }.
+ *   forEachTile(callback, signal) calls callback({ z, x, y, blob }) for each tile.
+ */
+export const openTilePack = async (file) => {
+  const signature = await file.slice(0, 16).text();
+
+  if (signature.startsWith(SQLITE_MAGIC)) {
+    return openMBTiles(file);
+  }
+  if (signature.startsWith(PMTILES_MAGIC)) {
+    return openPMTiles(file);
+  }
+
+  throw new Error('Unsupported file: choose an .mbtiles or .pmtiles map pack');
+};
+
+/**
+ * Get the MIME type of a raster tile format
+ * @param {string} format - Tile format from the pack metadata
+ * @returns {string} MIME type
+ */
+const getRasterMimeType = (format) => {
+  const mimeType = RASTER_FORMATS[String(format || 'png').toLowerCase()];
+  if (!mimeType) {
+    throw new Error(`Unsupported tile format "${format}": only raster map packs (PNG, JPEG, WebP) can be imported`);
+  }
+  return mimeType;
+};
+
+/**
+ * Open an MBTiles pack
+ *
+ * SQLite runs in WebAssembly and needs the whole file in memory, so packs
+ * larger than MAX_MBTILES_BYTES are rejected.
+ *
+ * @param {File} file - MBTiles file
+ * @returns {Promise<Object>} Tile pack
+ */
+const openMBTiles = async (file) => {
+  if (file.size > MAX_MBTILES_BYTES) {
+    throw new Error(
+      `This MBTiles pack is too large to open on this device (${Math.round(file.size / (1024 * 1024))} MB, ` +
+      `the limit is ${MAX_MBTILES_BYTES / (1024 * 1024)} MB). Convert it to PMTiles or split it into smaller packs.`
+    );
+  }
+
+  const [{ default: initSqlJs }, { default: wasmUrl }] = await Promise.all([
+    import('sql.js'),
+    import('sql.js/dist/sql-wasm-browser.wasm')
+  ]);
+  const SQL = await initSqlJs({ locateFile: () => wasmUrl });
+  const db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+
+  try {
+    const values = {};
+    const metadataRows = db.exec('SELECT name, value FROM metadata');
+    if (metadataRows.length > 0) {
+      metadataRows[0].values.forEach(([name, value]) => {
+        values[name] = value;
+      });
+    }
+
+    const [[minZoom, maxZoom, tileCount]] = db.exec(
+      'SELECT MIN(zoom_level), MAX(zoom_level), COUNT(*) FROM tiles'
+    )[0].values;
+
+    // MBTiles bounds are "west,south,east,north"
+    let coverage = WORLD_BOUNDS;
+    if (values.bounds) {
+      const [west, south, east, north] = values.bounds.split(',').map(Number);
+      coverage = { north, south, east, west };
+    }
+
+    const format = values.format || 'png';
+    const mimeType = getRasterMimeType(format);
+
+    return {
+      type: 'mbtiles',
+      metadata: {
+        name: values.name || file.name.replace(/\.mbtiles$/i, ''),
+        attribution: values.attribution || '',
+        coverage,
+        minZoom: values.minzoom !== undefined ? Number(values.minzoom) : minZoom,
+        maxZoom: values.maxzoom !== undefined ? Number(values.maxzoom) : maxZoom,
+        format
+      },
+      tileCount,
+      forEachTile: async (callback, signal) => {
+        const statement = db.prepare('SELECT zoom_level, tile_column, tile_row, tile_data FROM tiles');
+        try {
+          while (statement.step()) {
+            if (signal && signal.aborted) return;
+            const [z, x, row, data] = statement.get();
+            // MBTiles rows count from the south (TMS)
+            const y = Math.pow(2, z) - 1 - row;
+            await callback({ z, x, y, blob: new Blob([data], { type: mimeType }) });
+          }
+        } finally {
+          statement.free();
+        }
+      },
+      close: () => db.close()
+    };
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+};
+
+/**
+ * Open a PMTiles pack
+ *
+ * Only the parts of the file that are needed are read: the tiles are found
+ * by walking the archive directories rather than looking up every tile
+ * position inside the pack bounds.
+ *
+ * @param {File} file - PMTiles file
+ * @returns {Promise<Object>} Tile pack
+ */
+const openPMTiles = async (file) => {
+  const { PMTiles, FileSource, TileType, Compression, tileIdToZxy } = await import('pmtiles');
+  const archive = new PMTiles(new FileSource(file));
+  const header = await archive.getHeader();
+  const metadata = (await archive.getMetadata()) || {};
+
+  const formats = {
+    [TileType.Png]: 'png',
+    [TileType.Jpeg]: 'jpg',
+    [TileType.Webp]: 'webp'
+  };
+  const format = formats[header.tileType] || (header.tileType === TileType.Mvt ? 'pbf' : 'unknown');
+  const mimeType = getRasterMimeType(format);
+
+  if (header.tileCompression !== Compression.None && header.tileCompression !== Compression.Unknown) {
+    throw new Error('Compressed raster tiles are not supported');
+  }
+
+  /**
+   * Call back for each tile of a directory and of the leaf directories it
+   * points to
+   * @param {number} offset - Directory offset in the file
+   * @param {number} length - Directory length in bytes
+   * @param {Function} callback - Called with each tile
+   * @param {AbortSignal} [signal] - Signal to stop walking
+   * @returns {Promise<boolean>} False once stopped by the signal
+   */
+  const walkDirectory = async (offset, length, callback, signal) => {
+    const entries = await archive.cache.getDirectory(archive.source, offset, length, header);
+
+    for (const entry of entries) {
+      if (signal && signal.aborted) return false;
+
+      // A run length of 0 points to a leaf directory
+      if (entry.runLength === 0) {
+        if (!(await walkDirectory(header.leafDirectoryOffset + entry.offset, entry.length, callback, signal))) {
+          return false;
+        }
+        continue;
+      }
+
+      const { data } = await archive.source.getBytes(header.tileDataOffset + entry.offset, entry.length, signal);
+      const blob = new Blob([data], { type: mimeType });
+      // Identical consecutive tiles (e.g. open sea) share one entry
+      for (let tileId = entry.tileId; tileId < entry.tileId + entry.runLength; tileId++) {
+        if (signal && signal.aborted) return false;
+        const [z, x, y] = tileIdToZxy(tileId);
+        await callback({ z, x, y, blob });
+      }
+    }
+    return true;
+  };
+
+  return {
+    type: 'pmtiles',
+    metadata: {
+      name: metadata.name || file.name.replace(/\.pmtiles$/i, ''),
+      attribution: metadata.attribution || '',
+      coverage: {
+        north: header.maxLat,
+        south: header.minLat,
+        east: header.maxLon,
+        west: header.minLon
+      },
+      minZoom: header.minZoom,
+      maxZoom: header.maxZoom,
+      format
+    },
+    tileCount: header.numAddressedTiles,
+    forEachTile: async (callback, signal) => {
+      await walkDirectory(header.rootDirectoryOffset, header.rootDirectoryLength, callback, signal);
+    },
+    close: () => {}
+  };
+};
@@ -0,0 +1,204 @@
+/**
+ * @jest-environment node
+ */
+
+import initSqlJs from 'sql.js';
+import { openTilePack, MAX_MBTILES_BYTES } from './tilePackReader';
+
+// Load the Node build of the SQLite WebAssembly module in tests
+jest.mock('sql.js/dist/sql-wasm-browser.wasm', () => require.resolve('sql.js/dist/sql-wasm.wasm'));
+
+// The Node test environment does not expose Blob
+global.Blob = global.Blob || require('buffer').Blob;
+
+// File-like object over raw bytes
+const createFile = (bytes, name = 'region.mbtiles') => ({
+  name,
+  size: bytes.length,
+  slice: (start, end) => ({
+    text: async () => new TextDecoder().decode(bytes.slice(start, end))
+  }),
+  arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)
+});
+
+// Build an MBTiles database holding the given tiles ({ z, x, row, data })
+const createMBTiles = async (metadata, tiles) => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run('CREATE TABLE metadata (name TEXT, value TEXT)');
+  db.run('CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB)');
+  Object.entries(metadata).forEach(([name, value]) => {
+    db.run('INSERT INTO metadata VALUES (?, ?)', [name, value]);
+  });
+  tiles.forEach(({ z, x, row, data }) => {
+    db.run('INSERT INTO tiles VALUES (?, ?, ?, ?)', [z, x, row, data]);
+  });
+  const bytes = db.export();
+  db.close();
+  return bytes;
+};
+
+// Write an unsigned integer as a PMTiles varint
+const writeVarint = (bytes, value) => {
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest & 0x7f) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+};
+
+// Write a little-endian 64-bit unsigned integer
+const setUint64 = (view, position, value) => {
+  view.setUint32(position, value % 0x100000000, true);
+  view.setUint32(position + 4, Math.floor(value / 0x100000000), true);
+};
+
+// Serialize uncompressed PMTiles directory entries ({ tileId, offset, length, runLength })
+const serializeDirectory = (entries) => {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+  entries.forEach((entry, i) => writeVarint(bytes, entry.tileId - (i > 0 ? entries[i - 1].tileId : 0)));
+  entries.forEach(entry => writeVarint(bytes, entry.runLength));
+  entries.forEach(entry => writeVarint(bytes, entry.length));
+  entries.forEach(entry => writeVarint(bytes, entry.offset + 1));
+  return Uint8Array.from(bytes);
+};
+
+// Build an uncompressed PNG PMTiles archive from its directories and tile data
+const createPMTiles = ({ root, leaves = new Uint8Array(0), tileData, numAddressedTiles, minZoom, maxZoom }) => {
+  const metadata = new TextEncoder().encode(JSON.stringify({ name: 'Mount Elgon' }));
+  const header = new DataView(new ArrayBuffer(127));
+  const sections = [root, metadata, leaves, tileData];
+  let offset = header.byteLength;
+  sections.forEach((section, i) => {
+    setUint64(header, 8 + i * 16, offset);
+    setUint64(header, 16 + i * 16, section.length);
+    offset += section.length;
+  });
+  setUint64(header, 72, numAddressedTiles);
+  header.setUint8(96, 1); // clustered
+  header.setUint8(97, 1); // no internal compression
+  header.setUint8(98, 1); // no tile compression
+  header.setUint8(99, 2); // PNG tiles
+  header.setUint8(100, minZoom);
+  header.setUint8(101, maxZoom);
+  [-180, -85, 180, 85].forEach((degrees, i) => header.setInt32(102 + i * 4, degrees * 1e7, true));
+
+  const bytes = new Uint8Array(offset);
+  bytes.set(new TextEncoder().encode('PMTiles'));
+  bytes[7] = 3;
+  bytes.set(new Uint8Array(header.buffer, 8), 8);
+  let position = header.byteLength;
+  sections.forEach((section) => {
+    bytes.set(section, position);
+    position += section.length;
+  });
+  return Object.assign(new Blob([bytes]), { name: 'elgon.pmtiles' });
+};
+
+describe('openTilePack', () => {
+  it('reads MBTiles metadata and flips TMS rows to XYZ', async () => {
+    const bytes = await createMBTiles(
+      { name: 'Kakamega', format: 'jpg', bounds: '34.8,0.2,34.9,0.3', minzoom: '2', maxzoom: '3' },
+      [
+        { z: 2, x: 1, row: 0, data: new Uint8Array([1]) },
+        { z: 3, x: 5, row: 2, data: new Uint8Array([2]) }
+      ]
+    );
+
+    const pack = await openTilePack(createFile(bytes));
+    const tiles = [];
+    await pack.forEachTile(async ({ z, x, y, blob }) => {
+      tiles.push({ z, x, y, type: blob.type });
+    });
+    pack.close();
+
+    expect(pack.type).toBe('mbtiles');
+    expect(pack.tileCount).toBe(2);
+    expect(pack.metadata).toMatchObject({
+      name: 'Kakamega',
+      format: 'jpg',
+      minZoom: 2,
+      maxZoom: 3,
+      coverage: { north: 0.3, south: 0.2, east: 34.9, west: 34.8 }
+    });
+    expect(tiles).toEqual([
+      { z: 2, x: 1, y: 3, type: 'image/jpeg' },
+      { z: 3, x: 5, y: 5, type: 'image/jpeg' }
+    ]);
+  });
+
+  it('rejects vector MBTiles packs', async () => {
+    const bytes = await createMBTiles({ format: 'pbf' }, [{ z: 0, x: 0, row: 0, data: new Uint8Array([1]) }]);
+
+    await expect(openTilePack(createFile(bytes))).rejects.toThrow('only raster map packs');
+  });
+
+  it('rejects MBTiles packs too large to load into memory', async () => {
+    const file = {
+      ...createFile(new TextEncoder().encode('SQLite format 3\0')),
+      size: MAX_MBTILES_BYTES + 1,
+      arrayBuffer: jest.fn()
+    };
+
+    await expect(openTilePack(file)).rejects.toThrow('too large to open on this device');
+    expect(file.arrayBuffer).not.toHaveBeenCalled();
+  });
+
+  it('walks the PMTiles directories instead of every position in the bounds', async () => {
+    // Tile 0 (zoom 0) in the root directory; tiles 1-2 (one run of identical
+    // tiles) and 4 at zoom 1 in a leaf directory
+    const leaves = serializeDirectory([
+      { tileId: 1, offset: 1, length: 2, runLength: 2 },
+      { tileId: 4, offset: 3, length: 1, runLength: 1 }
+    ]);
+    const root = serializeDirectory([
+      { tileId: 0, offset: 0, length: 1, runLength: 1 },
+      { tileId: 1, offset: 0, length: leaves.length, runLength: 0 }
+    ]);
+    // Declares zoom 16 over the whole world: far too many positions to look up
+    const file = createPMTiles({
+      root,
+      leaves,
+      tileData: new Uint8Array([10, 20, 21, 40]),
+      numAddressedTiles: 4,
+      minZoom: 0,
+      maxZoom: 16
+    });
+
+    const pack = await openTilePack(file);
+    const tiles = [];
+    await pack.forEachTile(async ({ z, x, y, blob }) => {
+      tiles.push({ z, x, y, type: blob.type, data: Array.from(new Uint8Array(await blob.arrayBuffer())) });
+    });
+
+    expect(pack.type).toBe('pmtiles');
+    expect(pack.tileCount).toBe(4);
+    expect(pack.metadata).toMatchObject({ name: 'Mount Elgon', format: 'png', minZoom: 0, maxZoom: 16 });
+    expect(tiles).toEqual([
+      { z: 0, x: 0, y: 0, type: 'image/png', data: [10] },
+      { z: 1, x: 0, y: 0, type: 'image/png', data: [20, 21] },
+      { z: 1, x: 0, y: 1, type: 'image/png', data: [20, 21] },
+      { z: 1, x: 1, y: 0, type: 'image/png', data: [40] }
+    ]);
+  });
+
+  it('stops walking the PMTiles directories when aborted', async () => {
+    // A run of 5 identical tiles
+    const root = serializeDirectory([{ tileId: 0, offset: 0, length: 1, runLength: 5 }]);
+    const file = createPMTiles({ root, tileData: new Uint8Array([1]), numAddressedTiles: 5, minZoom: 0, maxZoom: 1 });
+    const controller = new AbortController();
+
+    const pack = await openTilePack(file);
+    const callback = jest.fn(() => controller.abort());
+    await pack.forEachTile(callback, controller.signal);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects files that are not map packs', async () => {
+    await expect(openTilePack(createFile(new TextEncoder().encode('PK\u0003\u0004'), 'map.zip')))
+      .rejects.toThrow('Unsupported file');
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * EXIF Reader
+ *
+ * Minimal parser for the EXIF block of JPEG photos. Recovers the fields the
+ * app needs from photos picked from the gallery: capture time, GPS position,
+ * orientation and the device make and model.
+ */
+
+// The EXIF block sits in an APP1 segment at the start of the file
+const EXIF_SEARCH_BYTES = 256 * 1024;
+
+// JPEG markers
+const JPEG_SOI = 0xFFD8;
+const JPEG_APP1 = 0xFFE1;
+const JPEG_SOS = 0xFFDA;
+
+// Tags used from the main image directory (IFD0)
+const TAG_MAKE = 0x010F;
+const TAG_MODEL = 0x0110;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+
+// Tags used from the EXIF directory
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+// Tags used from the GPS directory
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+const TAG_GPS_ALTITUDE_REF = 0x0005;
+const TAG_GPS_ALTITUDE = 0x0006;
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Read the EXIF fields of a photo
+ * @param {Blob} imageBlob - Photo to read
+ * @returns {Promise<Object|null>} { capturedAt, location, orientation, make, model },
+ *   or null if the photo has no readable EXIF block
+ */
+export const readExif = async (imageBlob) => {
+  try {
+    const buffer = await imageBlob.slice(0, EXIF_SEARCH_BYTES).arrayBuffer();
+    return parseExif(new DataView(buffer));
+  } catch (error) {
+    console.warn('Error reading EXIF data:', error);
+    return null;
+  }
+};
+
+/**
+ * Read the EXIF orientation of a photo and the dimensions of its stored pixels
+ * @param {Blob} imageBlob - Photo to read
+ * @returns {Promise<Object|null>} { orientation, width, height }, or null if
+ *   the photo is not a JPEG
+ */
+export const readJpegOrientation = async (imageBlob) => {
+  try {
+    const buffer = await imageBlob.slice(0, EXIF_SEARCH_BYTES).arrayBuffer();
+    const view = new DataView(buffer);
+    const layout = scanJpeg(view);
+    if (!layout) return null;
+
+    const exif = layout.exifOffset !== null ? parseTiff(view, layout.exifOffset) : null;
+    return {
+      orientation: exif ? exif.orientation : 1,
+      width: layout.width,
+      height: layout.height
+    };
+  } catch (error) {
+    console.warn('Error reading JPEG orientation:', error);
+    return null;
+  }
+};
+
+/**
+ * Find and parse the EXIF block of a JPEG file
+ * @param {DataView} view - Start of the file
+ * @returns {Object|null} EXIF fields, or null if not found
+ */
+const parseExif = (view) => {
+  const layout = scanJpeg(view);
+  return layout && layout.exifOffset !== null ? parseTiff(view, layout.exifOffset) : null;
+};
+
+/**
+ * Walk the segments of a JPEG file up to the image data
+ * @param {DataView} view - Start of the file
+ * @returns {Object|null} { exifOffset, width, height }: offset of the TIFF
+ *   header (or null) and stored pixel dimensions (or null if not reached),
+ *   or null if the file is not a JPEG
+ */
+const scanJpeg = (view) => {
+  if (view.byteLength < 4 || view.getUint16(0) !== JPEG_SOI) {
+    return null;
+  }
+
+  const layout = { exifOffset: null, width: null, height: null };
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === JPEG_SOS) {
+      break;
+    }
+
+    const segmentSize = view.getUint16(offset + 2);
+    if (marker === JPEG_APP1 && layout.exifOffset === null && readString(view, offset + 4, 4) === 'Exif') {
+      layout.exifOffset = offset + 10;
+    } else if (isStartOfFrame(marker) && offset + 9 <= view.byteLength) {
+      layout.height = view.getUint16(offset + 5);
+      layout.width = view.getUint16(offset + 7);
+    }
+    offset += 2 + segmentSize;
+  }
+
+  return layout;
+};
+
+/**
+ * Check whether a marker starts a frame (SOF0-SOF15, except DHT, JPG and DAC)
+ * @param {number} marker - JPEG marker
+ * @returns {boolean} True for frame headers
+ */
+const isStartOfFrame = (marker) => {
+  return marker >= 0xFFC0 && marker <= 0xFFCF && marker !== 0xFFC4 && marker !== 0xFFC8 && marker !== 0xFFCC;
+};
+
+/**
+ * Parse the TIFF structure holding the EXIF directories
+ * @param {DataView} view - File data
+ * @param {number} start - Offset of the TIFF header
+ * @returns {Object} EXIF fields
+ */
+const parseTiff = (view, start) => {
+  const littleEndian = view.getUint16(start) === 0x4949;
+  const ifd0 = readIfd(view, start, start + view.getUint32(start + 4, littleEndian), littleEndian);
+
+  const exif = ifd0[TAG_EXIF_IFD]
+    ? readIfd(view, start, start + ifd0[TAG_EXIF_IFD], littleEndian)
+    : {};
+  const gps = ifd0[TAG_GPS_IFD]
+    ? readIfd(view, start, start + ifd0[TAG_GPS_IFD], littleEndian)
+    : {};
+
+  return {
+    capturedAt: parseExifDate(
+      exif[TAG_DATE_TIME_ORIGINAL] || ifd0[TAG_DATE_TIME],
+      exif[TAG_OFFSET_TIME_ORIGINAL]
+    ),
+    location: parseGpsLocation(gps),
+    orientation: ifd0[TAG_ORIENTATION] || 1,
+    make: ifd0[TAG_MAKE] || null,
+    model: ifd0[TAG_MODEL] || null
+  };
+};
+
+/**
+ * Read the entries of an image file directory
+ * @param {DataView} view - File data
+ * @param {number} tiffStart - Offset of the TIFF header (offsets are relative to it)
+ * @param {number} ifdStart - Offset of the directory
+ * @param {boolean} littleEndian - Byte order
+ * @returns {Object} Values keyed by tag
+ */
+const readIfd = (view, tiffStart, ifdStart, littleEndian) => {
+  const values = {};
+  if (ifdStart + 2 > view.byteLength) return values;
+
+  const count = view.getUint16(ifdStart, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entry = ifdStart + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const valueCount = view.getUint32(entry + 4, littleEndian);
+    const typeSize = TYPE_SIZES[type];
+    if (!typeSize) continue;
+
+    // Values of up to 4 bytes are stored in the entry itself
+    const valueOffset = typeSize * valueCount <= 4
+      ? entry + 8
+      : tiffStart + view.getUint32(entry + 8, littleEndian);
+    if (valueOffset + typeSize * valueCount > view.byteLength) continue;
+
+    values[tag] = readValue(view, valueOffset, type, valueCount, littleEndian);
+  }
+
+  return values;
+};
+
+/**
+ * Read the value of a directory entry
+ * @param {DataView} view - File data
+ * @param {number} offset - Offset of the value
+ * @param {number} type - TIFF field type
+ * @param {number} count - Number of values
+ * @param {boolean} littleEndian - Byte order
+ * @returns {string|number|Array<number>} Value
+ */
+const readValue = (view, offset, type, count, littleEndian) => {
+  if (type === 2) {
+    return readString(view, offset, count);
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const position = offset + i * TYPE_SIZES[type];
+    switch (type) {
+      case 3:
+        values.push(view.getUint16(position, littleEndian));
+        break;
+      case 4:
+        values.push(view.getUint32(position, littleEndian));
+        break;
+      case 9:
+        values.push(view.getInt32(position, littleEndian));
+        break;
+      case 5:
+        values.push(view.getUint32(position, littleEndian) / view.getUint32(position + 4, littleEndian));
+        break;
+      case 10:
+        values.push(view.getInt32(position, littleEndian) / view.getInt32(position + 4, littleEndian));
+        break;
+      default:
+        values.push(view.getUint8(position));
+    }
+  }
+
+  return count === 1 ? values[0] : values;
+};
+
+/**
+ * Read a NUL-terminated ASCII string
+ * @param {DataView} view - File data
+ * @param {number} offset - Offset of the string
+ * @param {number} length - Maximum length
+ * @returns {string} String
+ */
+const readString = (view, offset, length) => {
+  let result = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    const code = view.getUint8(offset + i);
+    if (code === 0) break;
+    result += String.fromCharCode(code);
+  }
+  return result.trim();
+};
+
+/**
+ * Convert an EXIF date ("YYYY:MM:DD HH:MM:SS") to an ISO string
+ * @param {string} value - EXIF date
+ * @param {string} [timezoneOffset] - EXIF offset ("+01:00"), if recorded
+ * @returns {string|null} ISO date, or null if missing or invalid
+ */
+const parseExifDate = (value, timezoneOffset) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const date = typeof timezoneOffset === 'string' && /^[+-]\d{2}:\d{2}$/.test(timezoneOffset)
+    ? new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${timezoneOffset}`)
+    // Without an offset the camera clock is assumed to be in the device's timezone
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Convert EXIF GPS tags to a location
+ * @param {Object} gps - GPS directory values
+ * @returns {Object|null} { lat, lng, altitude }, or null if missing or invalid
+ */
+const parseGpsLocation = (gps) => {
+  const toDegrees = (dms) => Array.isArray(dms) && dms.length === 3
+    ? dms[0] + dms[1] / 60 + dms[2] / 3600
+    : NaN;
+
+  let lat = toDegrees(gps[TAG_GPS_LATITUDE]);
+  let lng = toDegrees(gps[TAG_GPS_LONGITUDE]);
+  if (gps[TAG_GPS_LATITUDE_REF] === 'S') lat = -lat;
+  if (gps[TAG_GPS_LONGITUDE_REF] === 'W') lng = -lng;
+
+  // Cameras without a fix sometimes write 0,0
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) {
+    return null;
+  }
+
+  let altitude = null;
+  if (typeof gps[TAG_GPS_ALTITUDE] === 'number' && isFinite(gps[TAG_GPS_ALTITUDE])) {
+    // Reference 1 means below sea level
+    altitude = gps[TAG_GPS_ALTITUDE_REF] === 1 ? -gps[TAG_GPS_ALTITUDE] : gps[TAG_GPS_ALTITUDE];
+  }
+
+  return { lat, lng, altitude };
+};
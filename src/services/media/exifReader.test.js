@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ */
+
+import { readExif, readJpegOrientation } from './exifReader';
+
+// The Node test environment does not expose Blob
+global.Blob = global.Blob || require('buffer').Blob;
+
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+
+// Big-endian TIFF block with an IFD0 and an optional GPS directory. Entries
+// are { tag, type, values }; ASCII values are strings.
+const buildTiff = (ifd0Entries, gpsEntries = null) => {
+  const bytes = [];
+  const push16 = (value) => bytes.push((value >> 8) & 0xFF, value & 0xFF);
+  const push32 = (value) => bytes.push((value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF);
+  const encode = ({ type, values }) => {
+    const out = [];
+    if (type === ASCII) {
+      [...values].forEach(char => out.push(char.charCodeAt(0)));
+      out.push(0);
+    } else {
+      values.forEach((value) => {
+        if (type === SHORT) out.push((value >> 8) & 0xFF, value & 0xFF);
+        if (type === LONG) out.push((value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF);
+        if (type === RATIONAL) {
+          const denominator = 1000;
+          const numerator = Math.round(value * denominator);
+          out.push((numerator >>> 24) & 0xFF, (numerator >> 16) & 0xFF, (numerator >> 8) & 0xFF, numerator & 0xFF);
+          out.push(0, 0, (denominator >> 8) & 0xFF, denominator & 0xFF);
+        }
+      });
+    }
+    return out;
+  };
+
+  // IFD0 points to the GPS directory, whose offset is known once laid out
+  const gpsPointer = { tag: 0x8825, type: LONG, values: [0] };
+  const directories = gpsEntries ? [[...ifd0Entries, gpsPointer], gpsEntries] : [ifd0Entries];
+
+  // Lay out the directories one after the other, each followed by its values
+  const directoryOffsets = [];
+  let offset = 8;
+  directories.forEach((entries) => {
+    directoryOffsets.push(offset);
+    offset += 2 + entries.length * 12 + 4;
+    entries.forEach((entry) => {
+      const size = encode(entry).length;
+      if (size > 4) offset += size;
+    });
+  });
+  if (gpsEntries) {
+    gpsPointer.values = [directoryOffsets[1]];
+  }
+
+  bytes.push(0x4D, 0x4D);
+  push16(42);
+  push32(8);
+  directories.forEach((entries, index) => {
+    let valueOffset = directoryOffsets[index] + 2 + entries.length * 12 + 4;
+    const extra = [];
+    push16(entries.length);
+    entries.forEach((entry) => {
+      const encoded = encode(entry);
+      push16(entry.tag);
+      push16(entry.type);
+      push32(entry.type === ASCII ? encoded.length : entry.values.length);
+      if (encoded.length <= 4) {
+        bytes.push(...encoded, ...new Array(4 - encoded.length).fill(0));
+      } else {
+        push32(valueOffset);
+        valueOffset += encoded.length;
+        extra.push(...encoded);
+      }
+    });
+    push32(0);
+    bytes.push(...extra);
+  });
+
+  return bytes;
+};
+
+// JPEG holding an optional EXIF block and a 40x30 frame header
+const buildJpeg = (tiff) => {
+  const bytes = [0xFF, 0xD8];
+  if (tiff) {
+    const length = 2 + 6 + tiff.length;
+    bytes.push(0xFF, 0xE1, length >> 8, length & 0xFF, 0x45, 0x78, 0x69, 0x66, 0, 0, ...tiff);
+  }
+  bytes.push(0xFF, 0xC0, 0, 11, 8, 0, 30, 0, 40, 1, 1, 0x11, 0);
+  bytes.push(0xFF, 0xDA, 0, 2, 0xFF, 0xD9);
+  return new Blob([new Uint8Array(bytes)], { type: 'image/jpeg' });
+};
+
+describe('readExif', () => {
+  it('reads the capture time, GPS position, orientation and camera', async () => {
+    const tiff = buildTiff(
+      [
+        { tag: 0x010F, type: ASCII, values: 'Acme' },
+        { tag: 0x0110, type: ASCII, values: 'TrailCam 2' },
+        { tag: 0x0112, type: SHORT, values: [6] },
+        { tag: 0x0132, type: ASCII, values: '2024:05:01 10:20:30' }
+      ],
+      [
+        { tag: 0x0001, type: ASCII, values: 'S' },
+        { tag: 0x0002, type: RATIONAL, values: [1, 17, 31.56] },
+        { tag: 0x0003, type: ASCII, values: 'W' },
+        { tag: 0x0004, type: RATIONAL, values: [36, 49, 18.84] }
+      ]
+    );
+
+    const exif = await readExif(buildJpeg(tiff));
+
+    expect(exif).toMatchObject({
+      capturedAt: new Date(2024, 4, 1, 10, 20, 30).toISOString(),
+      orientation: 6,
+      make: 'Acme',
+      model: 'TrailCam 2',
+      location: { altitude: null }
+    });
+    expect(exif.location.lat).toBeCloseTo(-1.2921, 4);
+    expect(exif.location.lng).toBeCloseTo(-36.8219, 4);
+  });
+
+  it('ignores a GPS position of 0,0 written without a fix', async () => {
+    const tiff = buildTiff([], [
+      { tag: 0x0002, type: RATIONAL, values: [0, 0, 0] },
+      { tag: 0x0004, type: RATIONAL, values: [0, 0, 0] }
+    ]);
+
+    expect((await readExif(buildJpeg(tiff))).location).toBeNull();
+  });
+
+  it('returns null for photos without EXIF and for other formats', async () => {
+    const png = new Blob([new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])], { type: 'image/png' });
+
+    expect(await readExif(buildJpeg(null))).toBeNull();
+    expect(await readExif(png)).toBeNull();
+  });
+});
+
+describe('readJpegOrientation', () => {
+  it('reads the orientation and the stored pixel size', async () => {
+    const tiff = buildTiff([{ tag: 0x0112, type: SHORT, values: [8] }]);
+
+    expect(await readJpegOrientation(buildJpeg(tiff))).toEqual({ orientation: 8, width: 40, height: 30 });
+    expect(await readJpegOrientation(buildJpeg(null))).toEqual({ orientation: 1, width: 40, height: 30 });
+  });
+});
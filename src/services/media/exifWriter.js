@@ -0,0 +1,268 @@
+/**
+ * EXIF Writer
+ *
+ * Writes a minimal EXIF block into a JPEG. Used after re-encoding a photo,
+ * which drops all of its metadata, to put back only the fields the user
+ * agreed to share: capture time and GPS position.
+ */
+
+// JPEG markers
+const JPEG_SOI = 0xFFD8;
+const JPEG_APP0 = 0xFFE0;
+const JPEG_APP1 = 0xFFE1;
+
+// TIFF field types
+const TYPE_BYTE = 1;
+const TYPE_ASCII = 2;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+
+// Tags written to the main image directory (IFD0)
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+
+// Tags written to the EXIF directory
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+// Tags written to the GPS directory
+const TAG_GPS_VERSION_ID = 0x0000;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+const TAG_GPS_ALTITUDE_REF = 0x0005;
+const TAG_GPS_ALTITUDE = 0x0006;
+
+// Denominator of the rational values written (millisecond of arc, millimetre)
+const RATIONAL_PRECISION = 1000;
+
+/**
+ * Write capture time and GPS position into a JPEG
+ * @param {Blob} jpegBlob - JPEG without an EXIF block
+ * @param {Object} fields - Fields to write
+ * @param {string} [fields.capturedAt] - ISO capture time
+ * @param {Object} [fields.location] - { lat, lng, altitude }
+ * @returns {Promise<Blob>} JPEG with the EXIF block, or the original blob if
+ *   there is nothing to write or it is not a JPEG
+ */
+export const writeExif = async (jpegBlob, { capturedAt, location } = {}) => {
+  const exifEntries = capturedAt ? buildDateEntries(capturedAt) : [];
+  const gpsEntries = location ? buildGpsEntries(location) : [];
+  if (exifEntries.length === 0 && gpsEntries.length === 0) {
+    return jpegBlob;
+  }
+
+  const head = new DataView(await jpegBlob.slice(0, 4).arrayBuffer());
+  if (head.byteLength < 4 || head.getUint16(0) !== JPEG_SOI) {
+    return jpegBlob;
+  }
+
+  // Keep a JFIF header first, as JFIF readers expect it right after SOI
+  const insertAt = head.getUint16(2) === JPEG_APP0
+    ? 4 + new DataView(await jpegBlob.slice(4, 6).arrayBuffer()).getUint16(0)
+    : 2;
+
+  const segment = buildExifSegment(exifEntries, gpsEntries);
+  return new Blob(
+    [jpegBlob.slice(0, insertAt), segment, jpegBlob.slice(insertAt)],
+    { type: jpegBlob.type || 'image/jpeg' }
+  );
+};
+
+/**
+ * Build the EXIF directory entries for a capture time, recorded in UTC
+ * @param {string} capturedAt - ISO capture time
+ * @returns {Array<Object>} Directory entries
+ */
+const buildDateEntries = (capturedAt) => {
+  const date = new Date(capturedAt);
+  if (isNaN(date.getTime())) return [];
+
+  const pad = (value) => String(value).padStart(2, '0');
+  const exifDate = `${date.getUTCFullYear()}:${pad(date.getUTCMonth() + 1)}:${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+  return [
+    asciiEntry(TAG_DATE_TIME_ORIGINAL, exifDate),
+    asciiEntry(TAG_OFFSET_TIME_ORIGINAL, '+00:00')
+  ];
+};
+
+/**
+ * Build the GPS directory entries for a location
+ * @param {Object} location - { lat, lng, altitude }
+ * @returns {Array<Object>} Directory entries
+ */
+const buildGpsEntries = ({ lat, lng, altitude }) => {
+  if (!isFinite(lat) || !isFinite(lng)) return [];
+
+  const entries = [
+    { tag: TAG_GPS_VERSION_ID, type: TYPE_BYTE, values: [2, 3, 0, 0] },
+    asciiEntry(TAG_GPS_LATITUDE_REF, lat < 0 ? 'S' : 'N'),
+    { tag: TAG_GPS_LATITUDE, type: TYPE_RATIONAL, values: toDms(Math.abs(lat)) },
+    asciiEntry(TAG_GPS_LONGITUDE_REF, lng < 0 ? 'W' : 'E'),
+    { tag: TAG_GPS_LONGITUDE, type: TYPE_RATIONAL, values: toDms(Math.abs(lng)) }
+  ];
+
+  if (typeof altitude === 'number' && isFinite(altitude)) {
+    entries.push(
+      // Reference 1 means below sea level
+      { tag: TAG_GPS_ALTITUDE_REF, type: TYPE_BYTE, values: [altitude < 0 ? 1 : 0] },
+      { tag: TAG_GPS_ALTITUDE, type: TYPE_RATIONAL, values: [Math.abs(altitude)] }
+    );
+  }
+
+  return entries;
+};
+
+/**
+ * Create an ASCII directory entry
+ * @param {number} tag - Tag
+ * @param {string} text - Value
+ * @returns {Object} Directory entry
+ */
+const asciiEntry = (tag, text) => ({ tag, type: TYPE_ASCII, values: text });
+
+/**
+ * Split decimal degrees into degrees, minutes and seconds
+ * @param {number} degrees - Decimal degrees
+ * @returns {Array<number>} [degrees, minutes, seconds]
+ */
+const toDms = (degrees) => {
+  const whole = Math.floor(degrees);
+  const minutes = Math.floor((degrees - whole) * 60);
+  const seconds = (degrees - whole - minutes / 60) * 3600;
+  return [whole, minutes, seconds];
+};
+
+/**
+ * Byte size of the value of a directory entry
+ * @param {Object} entry - Directory entry
+ * @returns {number} Size in bytes
+ */
+const valueSize = (entry) => {
+  switch (entry.type) {
+    case TYPE_ASCII: return entry.values.length + 1;
+    case TYPE_LONG: return 4 * entry.values.length;
+    case TYPE_RATIONAL: return 8 * entry.values.length;
+    default: return entry.values.length;
+  }
+};
+
+/**
+ * Byte size of a directory, including values stored outside its entries
+ * @param {Array<Object>} entries - Directory entries
+ * @returns {number} Size in bytes
+ */
+const directorySize = (entries) => {
+  return entries.reduce((size, entry) => {
+    const bytes = valueSize(entry);
+    // Values of up to 4 bytes are stored in the entry itself; others are word aligned
+    return size + (bytes > 4 ? bytes + (bytes % 2) : 0);
+  }, 2 + entries.length * 12 + 4);
+};
+
+/**
+ * Write a directory (big-endian)
+ * @param {DataView} view - TIFF data
+ * @param {number} start - Offset of the directory from the TIFF header
+ * @param {Array<Object>} entries - Directory entries, sorted by tag
+ */
+const writeDirectory = (view, start, entries) => {
+  view.setUint16(start, entries.length);
+  let dataOffset = start + 2 + entries.length * 12 + 4;
+
+  entries.forEach((entry, index) => {
+    const position = start + 2 + index * 12;
+    const bytes = valueSize(entry);
+    const count = entry.type === TYPE_ASCII ? bytes : entry.values.length;
+
+    view.setUint16(position, entry.tag);
+    view.setUint16(position + 2, entry.type);
+    view.setUint32(position + 4, count);
+
+    let valueOffset = position + 8;
+    if (bytes > 4) {
+      view.setUint32(position + 8, dataOffset);
+      valueOffset = dataOffset;
+      dataOffset += bytes + (bytes % 2);
+    }
+    writeValue(view, valueOffset, entry);
+  });
+
+  // No next directory
+  view.setUint32(start + 2 + entries.length * 12, 0);
+};
+
+/**
+ * Write the value of a directory entry (big-endian)
+ * @param {DataView} view - TIFF data
+ * @param {number} offset - Offset of the value
+ * @param {Object} entry - Directory entry
+ */
+const writeValue = (view, offset, entry) => {
+  switch (entry.type) {
+    case TYPE_ASCII:
+      for (let i = 0; i < entry.values.length; i++) {
+        view.setUint8(offset + i, entry.values.charCodeAt(i));
+      }
+      view.setUint8(offset + entry.values.length, 0);
+      break;
+    case TYPE_LONG:
+      entry.values.forEach((value, i) => view.setUint32(offset + i * 4, value));
+      break;
+    case TYPE_RATIONAL:
+      entry.values.forEach((value, i) => {
+        view.setUint32(offset + i * 8, Math.round(value * RATIONAL_PRECISION));
+        view.setUint32(offset + i * 8 + 4, RATIONAL_PRECISION);
+      });
+      break;
+    default:
+      entry.values.forEach((value, i) => view.setUint8(offset + i, value));
+  }
+};
+
+/**
+ * Build the APP1 segment holding the EXIF block
+ * @param {Array<Object>} exifEntries - EXIF directory entries
+ * @param {Array<Object>} gpsEntries - GPS directory entries
+ * @returns {Uint8Array} Segment bytes, marker included
+ */
+const buildExifSegment = (exifEntries, gpsEntries) => {
+  const ifd0Entries = [];
+  if (exifEntries.length > 0) {
+    ifd0Entries.push({ tag: TAG_EXIF_IFD, type: TYPE_LONG, values: [0] });
+  }
+  if (gpsEntries.length > 0) {
+    ifd0Entries.push({ tag: TAG_GPS_IFD, type: TYPE_LONG, values: [0] });
+  }
+
+  // Lay out the directories one after the other after the 8-byte header
+  const ifd0Offset = 8;
+  const exifOffset = ifd0Offset + directorySize(ifd0Entries);
+  const gpsOffset = exifOffset + (exifEntries.length > 0 ? directorySize(exifEntries) : 0);
+  const tiffSize = gpsOffset + (gpsEntries.length > 0 ? directorySize(gpsEntries) : 0);
+
+  ifd0Entries.forEach((entry) => {
+    entry.values = [entry.tag === TAG_EXIF_IFD ? exifOffset : gpsOffset];
+  });
+
+  // Marker, length and "Exif\0\0" come before the TIFF data
+  const segment = new Uint8Array(10 + tiffSize);
+  const header = new DataView(segment.buffer);
+  header.setUint16(0, JPEG_APP1);
+  header.setUint16(2, segment.length - 2);
+  'Exif'.split('').forEach((char, i) => header.setUint8(4 + i, char.charCodeAt(0)));
+
+  const tiff = new DataView(segment.buffer, 10);
+  tiff.setUint16(0, 0x4D4D); // "MM": big-endian
+  tiff.setUint16(2, 42);
+  tiff.setUint32(4, ifd0Offset);
+
+  writeDirectory(tiff, ifd0Offset, ifd0Entries);
+  if (exifEntries.length > 0) writeDirectory(tiff, exifOffset, exifEntries);
+  if (gpsEntries.length > 0) writeDirectory(tiff, gpsOffset, gpsEntries);
+
+  return segment;
+};
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+
+import { writeExif } from './exifWriter';
+import { readExif, readJpegOrientation } from './exifReader';
+
+// The Node test environment does not expose Blob
+global.Blob = global.Blob || require('buffer').Blob;
+
+// JPEG as produced by a canvas: JFIF header, 40x30 frame header, no EXIF
+const createJpeg = () => new Blob([new Uint8Array([
+  0xFF, 0xD8,
+  0xFF, 0xE0, 0, 16, 0x4A, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0,
+  0xFF, 0xC0, 0, 11, 8, 0, 30, 0, 40, 1, 1, 0x11, 0,
+  0xFF, 0xDA, 0, 2, 0xFF, 0xD9
+])], { type: 'image/jpeg' });
+
+const readBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+describe('writeExif', () => {
+  it('writes a capture time and GPS position that read back the same', async () => {
+    const written = await writeExif(createJpeg(), {
+      capturedAt: '2024-05-01T10:20:30.000Z',
+      location: { lat: -1.2921, lng: 36.8219, altitude: -12.5 }
+    });
+
+    const exif = await readExif(written);
+
+    expect(exif.capturedAt).toBe('2024-05-01T10:20:30.000Z');
+    expect(exif.location.lat).toBeCloseTo(-1.2921, 5);
+    expect(exif.location.lng).toBeCloseTo(36.8219, 5);
+    expect(exif.location.altitude).toBe(-12.5);
+    expect(exif).toMatchObject({ orientation: 1, make: null, model: null });
+  });
+
+  it('writes only the fields given', async () => {
+    const timeOnly = await readExif(await writeExif(createJpeg(), { capturedAt: '2024-05-01T10:20:30.000Z' }));
+    const locationOnly = await readExif(await writeExif(createJpeg(), { location: { lat: 33.5, lng: -7.6 } }));
+
+    expect(timeOnly.location).toBeNull();
+    expect(locationOnly.capturedAt).toBeNull();
+    expect(locationOnly.location).toEqual({ lat: 33.5, lng: -7.6, altitude: null });
+  });
+
+  it('keeps the JFIF header first and the image data intact', async () => {
+    const original = await readBytes(createJpeg());
+    const written = await writeExif(createJpeg(), { capturedAt: '2024-05-01T10:20:30.000Z' });
+    const bytes = await readBytes(written);
+
+    expect(written.type).toBe('image/jpeg');
+    expect(Array.from(bytes.slice(0, 20))).toEqual(Array.from(original.slice(0, 20)));
+    expect(Array.from(bytes.slice(20, 22))).toEqual([0xFF, 0xE1]);
+    expect(Array.from(bytes.slice(-19))).toEqual(Array.from(original.slice(20)));
+    expect(await readJpegOrientation(written)).toEqual({ orientation: 1, width: 40, height: 30 });
+  });
+
+  it('returns the original when there is nothing to write or it is not a JPEG', async () => {
+    const jpeg = createJpeg();
+    const png = new Blob([new Uint8Array([0x89, 0x50, 0x4E, 0x47])], { type: 'image/png' });
+
+    expect(await writeExif(jpeg, {})).toBe(jpeg);
+    expect(await writeExif(jpeg, { capturedAt: 'not a date', location: { lat: NaN, lng: 0 } })).toBe(jpeg);
+    expect(await writeExif(png, { capturedAt: '2024-05-01T10:20:30.000Z' })).toBe(png);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Fire Detector
+ *
+ * Colour heuristics finding fire and smoke in decoded pixels. Pure functions
+ * without DOM access, so they run both in the media worker and on the main
+ * thread.
+ */
+
+// Flame colour thresholds. They are absolute, so a frame filled with flames
+// is detected as well as a small fire in a dark scene.
+const FIRE_CHROMA_MIN = 40; // Minimum Cr - Cb
+const FIRE_LUMA_MIN = 90;
+const FIRE_HUE_MAX = 65; // Red to yellow, in degrees
+const FIRE_SATURATION_MIN = 0.2;
+const FIRE_VALUE_MIN = 0.5;
+
+// Smoke colour thresholds
+const SMOKE_SATURATION_MAX = 0.18;
+const SMOKE_VALUE_MIN = 0.35;
+const SMOKE_VALUE_MAX = 0.92;
+const SMOKE_BLUE_MAX = 20; // Maximum B - R, to leave out clear sky
+
+// Brightness variation inside a grey region (0-1). Smoke billows, so its
+// brightness spreads (standard deviation) while overcast sky, walls and paper
+// are flat; grey areas with sharp detail (mean difference between
+// neighbouring pixels) are rocks or cloud edges.
+const SMOKE_SPREAD_MIN = 0.03;
+const SMOKE_GRADIENT_MAX = 0.08;
+
+// Large grey regions along the top edge are sky unless clearly textured
+const SKY_MIN_COVERAGE = 0.1;
+const SKY_SPREAD_MIN = 0.06;
+
+// Share of the image regions must cover to count as a detection
+const FIRE_MIN_COVERAGE = 0.002;
+const SMOKE_MIN_COVERAGE = 0.08;
+
+// Share of the image at which the confidence reaches 1
+const FIRE_FULL_COVERAGE = 0.05;
+const SMOKE_FULL_COVERAGE = 0.4;
+
+// Regions smaller than this share of the image are noise
+const MIN_REGION_COVERAGE = 0.001;
+const MAX_BOXES = 10;
+
+/**
+ * Analyzes decoded pixels for signs of fire or smoke
+ * @param {ImageData} imageData - Pixels to analyze
+ * @returns {Object} { fireDetected, smokeDetected, confidence, boxes }
+ */
+export const analyzeImageData = ({ data, width, height }) => {
+  const pixelCount = width * height;
+  const hsv = new Float32Array(3);
+  const values = new Float32Array(pixelCount);
+  const fireMask = new Uint8Array(pixelCount);
+  const smokeMask = new Uint8Array(pixelCount);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+
+    const y = 16 + 0.257 * r + 0.504 * g + 0.098 * b;
+    const cb = 128 - 0.148 * r - 0.291 * g + 0.439 * b;
+    const cr = 128 + 0.439 * r - 0.368 * g - 0.071 * b;
+
+    rgbToHsv(r, g, b, hsv, 0);
+    const [h, s, v] = hsv;
+    values[i] = v;
+
+    // Flames are bright and red-dominant
+    const flameChroma = y > cb && cr > cb && cr - cb >= FIRE_CHROMA_MIN && y >= FIRE_LUMA_MIN;
+    const flameHue = (h <= FIRE_HUE_MAX || h >= 350) && s >= FIRE_SATURATION_MIN && v >= FIRE_VALUE_MIN;
+    if (flameChroma && flameHue) {
+      fireMask[i] = 1;
+      continue;
+    }
+
+    // Smoke is a washed-out grey, not the blue of a clear sky
+    if (s <= SMOKE_SATURATION_MAX && v >= SMOKE_VALUE_MIN && v <= SMOKE_VALUE_MAX && b - r <= SMOKE_BLUE_MAX) {
+      smokeMask[i] = 1;
+    }
+  }
+
+  const fireRegions = findRegions(fireMask, width, height, 'fire');
+  const smokeRegions = findRegions(smokeMask, width, height, 'smoke', values)
+    .filter(isSmokeRegion);
+
+  const fireCoverage = fireRegions.reduce((total, region) => total + region.coverage, 0);
+  const smokeCoverage = smokeRegions.reduce((total, region) => total + region.coverage, 0);
+
+  const fireDetected = fireCoverage >= FIRE_MIN_COVERAGE;
+  const smokeDetected = smokeCoverage >= SMOKE_MIN_COVERAGE;
+
+  const fireConfidence = Math.min(1, fireCoverage / FIRE_FULL_COVERAGE);
+  const smokeConfidence = Math.min(1, smokeCoverage / SMOKE_FULL_COVERAGE);
+
+  const boxes = [
+    ...(fireDetected ? fireRegions : []),
+    ...(smokeDetected ? smokeRegions : [])
+  ]
+    .sort((a, b) => b.coverage - a.coverage)
+    .slice(0, MAX_BOXES)
+    .map(({ type, x, y, width: boxWidth, height: boxHeight, coverage }) => ({
+      type,
+      x,
+      y,
+      width: boxWidth,
+      height: boxHeight,
+      coverage
+    }));
+
+  return {
+    fireDetected,
+    smokeDetected,
+    confidence: Math.max(fireDetected ? fireConfidence : 0, smokeDetected ? smokeConfidence : 0),
+    boxes
+  };
+};
+
+/**
+ * Check whether a grey region looks like smoke rather than a flat surface
+ * or the sky
+ * @param {Object} region - Region found by findRegions, with its texture
+ * @returns {boolean} True if the region may be smoke
+ */
+const isSmokeRegion = (region) => {
+  if (region.spread < SMOKE_SPREAD_MIN || region.gradient > SMOKE_GRADIENT_MAX) {
+    return false;
+  }
+  const isSky = region.y === 0 && region.coverage >= SKY_MIN_COVERAGE;
+  return !isSky || region.spread >= SKY_SPREAD_MIN;
+};
+
+/**
+ * Convert an RGB pixel to HSV
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @param {Float32Array} out - Receives hue (degrees), saturation and value (0-1)
+ * @param {number} offset - Index of the hue in out
+ */
+const rgbToHsv = (r, g, b, out, offset) => {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+
+  let h = 0;
+  if (delta > 0) {
+    if (max === r) {
+      h = 60 * (((g - b) / delta) % 6);
+    } else if (max === g) {
+      h = 60 * ((b - r) / delta + 2);
+    } else {
+      h = 60 * ((r - g) / delta + 4);
+    }
+  }
+
+  out[offset] = h < 0 ? h + 360 : h;
+  out[offset + 1] = max === 0 ? 0 : delta / max;
+  out[offset + 2] = max / 255;
+};
+
+/**
+ * Find the connected regions of a mask (8-connectivity)
+ * @param {Uint8Array} mask - Pixels belonging to regions
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} type - Region type reported in the boxes
+ * @param {Float32Array} [values] - Brightness (0-1) of each pixel, to measure
+ *   the texture of the regions
+ * @returns {Array<Object>} Bounding boxes of regions large enough to matter,
+ *   with their texture when values are given: spread (standard deviation of
+ *   the brightness) and gradient (mean brightness difference between
+ *   neighbouring pixels of the region)
+ */
+const findRegions = (mask, width, height, type, values) => {
+  const pixelCount = width * height;
+  const visited = new Uint8Array(pixelCount);
+  const stack = new Int32Array(pixelCount);
+  const minArea = Math.max(4, Math.round(pixelCount * MIN_REGION_COVERAGE));
+  const regions = [];
+
+  for (let start = 0; start < pixelCount; start++) {
+    if (!mask[start] || visited[start]) continue;
+
+    let minX = width;
+    let minY = height;
+    let maxX = 0;
+    let maxY = 0;
+    let area = 0;
+    let top = 0;
+    let valueTotal = 0;
+    let valueSquares = 0;
+    let gradientTotal = 0;
+    let gradientCount = 0;
+
+    stack[top++] = start;
+    visited[start] = 1;
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      area++;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      if (values) {
+        valueTotal += values[i];
+        valueSquares += values[i] * values[i];
+        // Compare with the right and lower neighbours in the same region
+        if (x + 1 < width && mask[i + 1]) {
+          gradientTotal += Math.abs(values[i] - values[i + 1]);
+          gradientCount++;
+        }
+        if (y + 1 < height && mask[i + width]) {
+          gradientTotal += Math.abs(values[i] - values[i + width]);
+          gradientCount++;
+        }
+      }
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const n = ny * width + nx;
+          if (mask[n] && !visited[n]) {
+            visited[n] = 1;
+            stack[top++] = n;
+          }
+        }
+      }
+    }
+
+    if (area >= minArea) {
+      const mean = valueTotal / area;
+      regions.push({
+        type,
+        x: minX / width,
+        y: minY / height,
+        width: (maxX - minX + 1) / width,
+        height: (maxY - minY + 1) / height,
+        coverage: area / pixelCount,
+        spread: Math.sqrt(Math.max(0, valueSquares / area - mean * mean)),
+        gradient: gradientCount > 0 ? gradientTotal / gradientCount : 0
+      });
+    }
+  }
+
+  return regions;
+};
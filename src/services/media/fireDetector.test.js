@@ -0,0 +1,122 @@
+import { analyzeImageData } from './fireDetector';
+
+const WIDTH = 64;
+const HEIGHT = 64;
+
+// Deterministic noise, so the synthetic photos are the same on every run
+const createNoise = (seed = 1) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+// Build ImageData-like pixels from a (x, y) => [r, g, b] function
+const createImage = (pixel) => {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      const [r, g, b] = pixel(x, y);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width: WIDTH, height: HEIGHT };
+};
+
+const forest = (noise) => {
+  const shade = noise() * 30;
+  return [30 + shade, 80 + shade, 35 + shade];
+};
+
+describe('analyzeImageData', () => {
+  it('does not report smoke in a uniform overcast sky', () => {
+    const result = analyzeImageData(createImage(() => [170, 172, 175]));
+
+    expect(result.smokeDetected).toBe(false);
+    expect(result.fireDetected).toBe(false);
+    expect(result.confidence).toBe(0);
+  });
+
+  it('does not report smoke on a sheet of white paper', () => {
+    const noise = createNoise(2);
+    const result = analyzeImageData(createImage(() => {
+      const grain = noise() * 4;
+      return [225 + grain, 225 + grain, 222 + grain];
+    }));
+
+    expect(result.smokeDetected).toBe(false);
+  });
+
+  it('does not report smoke in a forest under a grey sky', () => {
+    const noise = createNoise(3);
+    const result = analyzeImageData(createImage((x, y) => (
+      // Sky slightly brighter towards the horizon, forest below
+      y < HEIGHT * 0.4 ? [165 + y / 2, 168 + y / 2, 172 + y / 2] : forest(noise)
+    )));
+
+    expect(result.smokeDetected).toBe(false);
+    expect(result.fireDetected).toBe(false);
+  });
+
+  it('does not report smoke in a mottled cloudy sky above a forest', () => {
+    const noise = createNoise(7);
+    const result = analyzeImageData(createImage((x, y) => {
+      if (y >= HEIGHT * 0.4) return forest(noise);
+      const grey = 170 + 20 * Math.sin(x / 6) * Math.cos(y / 4);
+      return [grey, grey + 2, grey + 5];
+    }));
+
+    expect(result.smokeDetected).toBe(false);
+  });
+
+  it('reports a billowing smoke plume over a forest', () => {
+    const noise = createNoise(4);
+    const result = analyzeImageData(createImage((x, y) => {
+      const inPlume = Math.hypot(x - 32, y - 36) < 20;
+      if (!inPlume) return forest(noise);
+      const grey = 150 + 50 * Math.sin(x / 4) * Math.cos(y / 5);
+      return [grey, grey, grey + 4];
+    }));
+
+    expect(result.smokeDetected).toBe(true);
+    expect(result.fireDetected).toBe(false);
+    expect(result.boxes[0].type).toBe('smoke');
+  });
+
+  it('reports a frame filled with flames', () => {
+    const noise = createNoise(5);
+    const result = analyzeImageData(createImage(() => [255, 120 + noise() * 80, 20 + noise() * 20]));
+
+    expect(result.fireDetected).toBe(true);
+    expect(result.confidence).toBe(1);
+    expect(result.boxes[0]).toMatchObject({ type: 'fire', x: 0, y: 0, width: 1, height: 1 });
+  });
+
+  it('reports a small fire in a dark scene and locates it', () => {
+    const result = analyzeImageData(createImage((x, y) => (
+      x >= 40 && x < 48 && y >= 20 && y < 30 ? [250, 150, 30] : [20, 25, 20]
+    )));
+
+    expect(result.fireDetected).toBe(true);
+    expect(result.boxes).toHaveLength(1);
+    expect(result.boxes[0]).toEqual({
+      type: 'fire',
+      x: 40 / WIDTH,
+      y: 20 / HEIGHT,
+      width: 8 / WIDTH,
+      height: 10 / HEIGHT,
+      coverage: 80 / (WIDTH * HEIGHT)
+    });
+  });
+
+  it('reports nothing in a plain forest', () => {
+    const result = analyzeImageData(createImage(() => forest(createNoise(6))));
+
+    expect(result).toEqual({ fireDetected: false, smokeDetected: false, confidence: 0, boxes: [] });
+  });
+});
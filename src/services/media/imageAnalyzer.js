@@ -2,36 +2,53 @@
  * Image Analyzer Service
  * 
  * This service provides functionality to analyze images for fire and smoke detection.
- * In a real application, this would use a proper computer vision API,
- * but for demo purposes we're using a simplified mock implementation.
+ * The analysis runs on the device, on the pixels of a downscaled copy of the
+ * image, with colour heuristics rather than a trained model: flame-coloured
+ * pixels are segmented in the YCbCr and HSV colour spaces, smoke is scored as
+ * diffuse low-saturation grey haze, and connected regions of either are
+ * reported as bounding boxes. Results are deterministic for a given image.
+ *
+ * Decoding, analysis and enhancement run in the media worker when the
+ * browser allows it.
  */
 
+import { runMediaTask } from './mediaWorkerClient';
+import { readImageData, readImageSize, enhanceImage } from './imageProcessing';
+import { analyzeImageData } from './fireDetector';
+import { computeDHash, findNearDuplicates } from './perceptualHash';
+import { readExif } from './exifReader';
+
+export { analyzeImageData, findNearDuplicates };
+
+// Longest side of the copy the analysis runs on
+const ANALYSIS_SIZE = 256;
+
+// Longest side of the copy the perceptual hash is computed on
+const HASH_SAMPLE_SIZE = 64;
+
+// Output of the enhancement: detailed enough for verifiers, compressed again on upload
+const ENHANCE_OPTIONS = { maxSize: 2048, quality: 0.9, format: 'image/jpeg' };
+
 /**
  * Analyzes an image for signs of fire or smoke
  * @param {Blob} imageBlob - The image blob to analyze
- * @returns {Promise<Object>} Object containing analysis results
+ * @returns {Promise<Object>} Object containing analysis results:
+ *   { fireDetected, smokeDetected, confidence, processingTimeMs, boxes }.
+ *   Boxes are { type: 'fire'|'smoke', x, y, width, height, coverage }, with
+ *   coordinates as fractions of the image size.
  */
 export const analyzeImage = async (imageBlob) => {
   try {
-    // In a real app, we would send the image to a server or use a local ML model
-    // For demo purposes, we'll simulate processing time and random results
-    await simulateProcessingDelay();
-    
-    // For demo purposes, random detection with higher likelihood for fire-colored images
-    const fireDetected = Math.random() > 0.7; // 30% chance of detecting fire
-    const smokeDetected = Math.random() > 0.6; // 40% chance of detecting smoke
-    
-    // We would return actual analysis data here, including confidence scores, bounding boxes, etc.
+    const start = performance.now();
+    const analysis = await runMediaTask(
+      'analyze',
+      { blob: imageBlob, maxSize: ANALYSIS_SIZE },
+      async () => analyzeImageData(await readImageData(imageBlob, ANALYSIS_SIZE))
+    );
+
     return {
-      fireDetected,
-      smokeDetected,
-      confidence: fireDetected || smokeDetected ? Math.random() * 0.5 + 0.5 : Math.random() * 0.3,
-      processingTimeMs: Math.floor(Math.random() * 300 + 700),
-      // In a real implementation, we would also return:
-      // - Bounding boxes for detected fire/smoke
-      // - Classification confidence
-      // - Size estimation
-      // - Other relevant metadata
+      ...analysis,
+      processingTimeMs: Math.round(performance.now() - start)
     };
   } catch (error) {
     console.error("Error analyzing image:", error);
@@ -40,61 +57,69 @@ export const analyzeImage = async (imageBlob) => {
 };
 
 /**
- * Processes an image to highlight/enhance areas of potential fire or smoke
- * @param {Blob} imageBlob - The image blob to process
- * @returns {Promise<Blob>} Processed image blob with enhanced visibility
+ * Computes the perceptual hash of an image, to spot copies of the same picture
+ * @param {Blob} imageBlob - The image blob to hash
+ * @returns {Promise<string>} 64-bit difference hash as 16 hexadecimal digits
  */
-export const enhanceFireVisibility = async (imageBlob) => {
+export const hashImage = async (imageBlob) => {
   try {
-    // In a real implementation, this would apply image processing techniques
-    // like contrast enhancement or color filtering to help highlight fire/smoke
-    
-    // For demo purposes, just return the original image
-    return imageBlob;
+    return await runMediaTask(
+      'hash',
+      { blob: imageBlob, maxSize: HASH_SAMPLE_SIZE },
+      async () => computeDHash(await readImageData(imageBlob, HASH_SAMPLE_SIZE))
+    );
   } catch (error) {
-    console.error("Error enhancing image:", error);
-    return imageBlob;
+    console.error("Error hashing image:", error);
+    throw new Error("Image hashing failed");
   }
 };
 
 /**
- * Helper function to simulate processing delay
- * @param {number} ms - Milliseconds to delay (default: random between 500-1500ms)
- * @returns {Promise<void>}
+ * Processes an image to highlight/enhance areas of potential fire or smoke:
+ * removes haze, stretches the contrast and boosts red and orange tones
+ * @param {Blob} imageBlob - The image blob to process
+ * @returns {Promise<Blob>} Processed image blob with enhanced visibility
  */
-const simulateProcessingDelay = (ms = Math.random() * 1000 + 500) => {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export const enhanceFireVisibility = async (imageBlob) => {
+  try {
+    return await runMediaTask(
+      'enhance',
+      { blob: imageBlob, options: ENHANCE_OPTIONS },
+      () => enhanceImage(imageBlob, ENHANCE_OPTIONS)
+    );
+  } catch (error) {
+    console.error("Error enhancing image:", error);
+    throw new Error("Image enhancement failed");
+  }
 };
 
 /**
  * Extracts metadata from an image
+ *
+ * For JPEG photos, the EXIF block provides the capture time, GPS position,
+ * orientation and camera. The timestamp falls back to the current time when
+ * the photo does not record when it was taken.
+ *
  * @param {Blob} imageBlob - The image blob to analyze
- * @returns {Promise<Object>} Extracted metadata
+ * @returns {Promise<Object>} Extracted metadata: { width, height, aspectRatio,
+ *   size, timestamp, capturedAt, location, orientation, make, model }
  */
 export const extractImageMetadata = async (imageBlob) => {
-  return new Promise((resolve) => {
-    // Create FileReader to read the blob
-    const reader = new FileReader();
-    
-    reader.onload = (event) => {
-      const img = new Image();
-      
-      img.onload = () => {
-        // Extract basic metadata
-        const metadata = {
-          width: img.width,
-          height: img.height,
-          aspectRatio: img.width / img.height,
-          size: imageBlob.size,
-          timestamp: new Date().toISOString(),
-        };
-        
-        resolve(metadata);
-      };
-      
-      img.src = event.target.result;
-    };
-    
-    reader.readAsDataURL(imageBlob);
-  });
+  const [{ width, height }, exif] = await Promise.all([
+    runMediaTask('size', { blob: imageBlob }, () => readImageSize(imageBlob)),
+    readExif(imageBlob)
+  ]);
+
+  return {
+    width,
+    height,
+    aspectRatio: width / height,
+    size: imageBlob.size,
+    timestamp: (exif && exif.capturedAt) || new Date().toISOString(),
+    capturedAt: exif ? exif.capturedAt : null,
+    location: exif ? exif.location : null,
+    orientation: exif ? exif.orientation : 1,
+    make: exif ? exif.make : null,
+    model: exif ? exif.model : null
+  };
 };
@@ -0,0 +1,223 @@
+/**
+ * Image Enhancer
+ *
+ * Filters making fire and smoke easier to see for verifiers on dusk or
+ * long-distance shots: haze removal (dark channel prior), contrast
+ * stretching and a boost of red and orange tones. Pure functions without DOM
+ * access, so they run both in the media worker and on the main thread.
+ */
+
+// Dehazing: share of the haze removed and lowest transmission kept, so
+// dense smoke is thinned out rather than erased
+const DEHAZE_STRENGTH = 0.8;
+const MIN_TRANSMISSION = 0.35;
+const DARK_CHANNEL_RADIUS = 3;
+// Share of the haziest pixels the atmospheric light is estimated from
+const ATMOSPHERE_SAMPLE = 0.001;
+
+// Contrast stretching: share of pixels clipped at each end (few highlights,
+// so small bright flames are not clipped) and highest gain
+const STRETCH_CLIP_LOW = 0.01;
+const STRETCH_CLIP_HIGH = 0.001;
+const STRETCH_MAX_GAIN = 2.5;
+
+// Warm tone boost, for hues from red to orange
+const WARM_HUE_MIN = -20; // Degrees
+const WARM_HUE_MAX = 50;
+const WARM_SATURATION_BOOST = 1.25;
+const WARM_VALUE_BOOST = 1.1;
+
+/**
+ * Enhances decoded pixels to bring out fire and smoke
+ * @param {ImageData} imageData - Pixels to enhance (modified in place)
+ * @returns {ImageData} The enhanced pixels
+ */
+export const enhanceImageData = (imageData) => {
+  dehaze(imageData);
+  stretchContrast(imageData);
+  boostWarmTones(imageData);
+  return imageData;
+};
+
+/**
+ * Remove haze with the dark channel prior: haze-free pixels almost always
+ * have one dark colour channel, so brightness in the darkest channel is
+ * attributed to haze
+ * @param {ImageData} imageData - Pixels to process (modified in place)
+ */
+const dehaze = ({ data, width, height }) => {
+  const pixelCount = width * height;
+
+  // Dark channel of the image, to locate the haziest pixels
+  const dark = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    dark[i] = Math.min(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+  }
+  const atmosphere = estimateAtmosphere(data, minFilter(dark, width, height, DARK_CHANNEL_RADIUS));
+  if (atmosphere.some(value => value === 0)) return;
+
+  // Dark channel of the image normalised by the atmospheric light
+  for (let i = 0; i < pixelCount; i++) {
+    dark[i] = Math.min(
+      data[i * 4] / atmosphere[0],
+      data[i * 4 + 1] / atmosphere[1],
+      data[i * 4 + 2] / atmosphere[2]
+    );
+  }
+  const normalizedDark = minFilter(dark, width, height, DARK_CHANNEL_RADIUS);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const transmission = Math.max(MIN_TRANSMISSION, 1 - DEHAZE_STRENGTH * normalizedDark[i]);
+    for (let c = 0; c < 3; c++) {
+      const index = i * 4 + c;
+      data[index] = (data[index] - atmosphere[c]) / transmission + atmosphere[c];
+    }
+  }
+};
+
+/**
+ * Estimate the colour of the haze from the pixels with the brightest dark channel
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {Float32Array} dark - Dark channel
+ * @returns {Array<number>} Atmospheric light [r, g, b]
+ */
+const estimateAtmosphere = (data, dark) => {
+  const histogram = new Uint32Array(256);
+  dark.forEach(value => { histogram[Math.round(value)]++; });
+
+  // Lowest dark channel value among the haziest pixels
+  const sampleSize = Math.max(1, Math.round(dark.length * ATMOSPHERE_SAMPLE));
+  let threshold = 255;
+  for (let count = 0; threshold > 0; threshold--) {
+    count += histogram[threshold];
+    if (count >= sampleSize) break;
+  }
+
+  const sum = [0, 0, 0];
+  let samples = 0;
+  for (let i = 0; i < dark.length; i++) {
+    if (dark[i] >= threshold) {
+      sum[0] += data[i * 4];
+      sum[1] += data[i * 4 + 1];
+      sum[2] += data[i * 4 + 2];
+      samples++;
+    }
+  }
+
+  // Kept grey: a coloured estimate (e.g. from a bright flame) would tint the result
+  const light = (sum[0] + sum[1] + sum[2]) / (3 * samples);
+  return [light, light, light];
+};
+
+/**
+ * Minimum over a square window, computed as two 1D passes
+ * @param {Float32Array} values - Values of each pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Window radius in pixels
+ * @returns {Float32Array} Filtered values
+ */
+const minFilter = (values, width, height, radius) => {
+  const rows = new Float32Array(values.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let min = Infinity;
+      for (let dx = Math.max(0, x - radius); dx <= Math.min(width - 1, x + radius); dx++) {
+        min = Math.min(min, values[y * width + dx]);
+      }
+      rows[y * width + x] = min;
+    }
+  }
+
+  const result = new Float32Array(values.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let min = Infinity;
+      for (let dy = Math.max(0, y - radius); dy <= Math.min(height - 1, y + radius); dy++) {
+        min = Math.min(min, rows[dy * width + x]);
+      }
+      result[y * width + x] = min;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Stretch the intensity range to the full scale, using the same bounds for
+ * every channel so colours keep their hue
+ * @param {ImageData} imageData - Pixels to process (modified in place)
+ */
+const stretchContrast = ({ data, width, height }) => {
+  const pixelCount = width * height;
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  for (let i = 0; i < pixelCount; i++) {
+    histograms[0][data[i * 4]]++;
+    histograms[1][data[i * 4 + 1]]++;
+    histograms[2][data[i * 4 + 2]]++;
+  }
+
+  const low = Math.min(...histograms.map(histogram => findPercentile(histogram, pixelCount * STRETCH_CLIP_LOW, 1)));
+  const high = Math.max(...histograms.map(histogram => findPercentile(histogram, pixelCount * STRETCH_CLIP_HIGH, -1)));
+
+  // Limit the gain on flat images, where stretching only amplifies noise
+  const range = Math.max(high - low, 255 / STRETCH_MAX_GAIN);
+  const center = (low + high) / 2;
+  const start = Math.max(0, Math.min(center - range / 2, 255 - range));
+  if (start === 0 && range >= 255) return;
+
+  const lookup = new Uint8ClampedArray(256);
+  for (let value = 0; value < 256; value++) {
+    lookup[value] = ((value - start) * 255) / range;
+  }
+
+  for (let i = 0; i < pixelCount; i++) {
+    data[i * 4] = lookup[data[i * 4]];
+    data[i * 4 + 1] = lookup[data[i * 4 + 1]];
+    data[i * 4 + 2] = lookup[data[i * 4 + 2]];
+  }
+};
+
+/**
+ * Find the value below (or above) which a given number of pixels lie
+ * @param {Uint32Array} histogram - Pixel count by value
+ * @param {number} count - Number of pixels to skip
+ * @param {number} direction - 1 to search from 0 upwards, -1 from 255 downwards
+ * @returns {number} Value
+ */
+const findPercentile = (histogram, count, direction) => {
+  let value = direction > 0 ? 0 : 255;
+  for (let seen = histogram[value]; seen <= count && value + direction >= 0 && value + direction <= 255; seen += histogram[value]) {
+    value += direction;
+  }
+  return value;
+};
+
+/**
+ * Increase the saturation and brightness of red to orange pixels, in
+ * proportion to how saturated they already are
+ * @param {ImageData} imageData - Pixels to process (modified in place)
+ */
+const boostWarmTones = ({ data, width, height }) => {
+  const pixelCount = width * height;
+  for (let i = 0; i < pixelCount; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    const min = Math.min(g, b);
+    if (r <= g || r <= b || r === 0) continue;
+
+    // Hue of pixels whose red channel is the largest, from -60 to 60 degrees
+    const hue = (60 * (g - b)) / (r - min);
+    if (hue < WARM_HUE_MIN || hue > WARM_HUE_MAX) continue;
+
+    const weight = (r - min) / r;
+    const saturationGain = 1 + (WARM_SATURATION_BOOST - 1) * weight;
+    const valueGain = 1 + (WARM_VALUE_BOOST - 1) * weight;
+
+    // Push each channel away from the grey of the same value
+    data[i * 4] = r * valueGain;
+    data[i * 4 + 1] = (r - (r - g) * saturationGain) * valueGain;
+    data[i * 4 + 2] = (r - (r - b) * saturationGain) * valueGain;
+  }
+};
@@ -0,0 +1,92 @@
+import { enhanceImageData } from './imageEnhancer';
+
+const WIDTH = 64;
+const HEIGHT = 64;
+
+// Build ImageData-like pixels from a (x, y) => [r, g, b] function
+const createImage = (pixel) => {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      const [r, g, b] = pixel(x, y);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width: WIDTH, height: HEIGHT };
+};
+
+const getPixel = ({ data }, x, y) => {
+  const i = (y * WIDTH + x) * 4;
+  return [data[i], data[i + 1], data[i + 2]];
+};
+
+// Standard deviation of the luma over the whole image
+const lumaSpread = ({ data }) => {
+  const lumas = [];
+  for (let i = 0; i < data.length; i += 4) {
+    lumas.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+  const mean = lumas.reduce((sum, luma) => sum + luma, 0) / lumas.length;
+  return Math.sqrt(lumas.reduce((sum, luma) => sum + (luma - mean) ** 2, 0) / lumas.length);
+};
+
+// Saturation (0-1) of a pixel
+const saturation = ([r, g, b]) => (Math.max(r, g, b) - Math.min(r, g, b)) / Math.max(r, g, b);
+
+// Forest hillside with a small fire, seen through a grey haze
+const hazyFire = (x, y) => {
+  const fire = x >= 40 && x < 46 && y >= 30 && y < 36;
+  const scene = fire ? [230, 110, 30] : [40 + x, 70 + y / 2, 40];
+  const haze = 0.55;
+  return scene.map(channel => channel * (1 - haze) + 190 * haze);
+};
+
+describe('enhanceImageData', () => {
+  it('modifies the pixels in place and keeps the alpha channel', () => {
+    const image = createImage(hazyFire);
+
+    expect(enhanceImageData(image)).toBe(image);
+    expect(image.data.filter((value, i) => i % 4 === 3).every(alpha => alpha === 255)).toBe(true);
+  });
+
+  it('brings back the contrast of a hazy scene', () => {
+    const before = lumaSpread(createImage(hazyFire));
+    const after = lumaSpread(enhanceImageData(createImage(hazyFire)));
+
+    expect(after).toBeGreaterThan(before * 1.5);
+  });
+
+  it('makes a fire seen through haze more saturated and keeps it red-dominant', () => {
+    const before = getPixel(createImage(hazyFire), 42, 32);
+    const after = getPixel(enhanceImageData(createImage(hazyFire)), 42, 32);
+
+    expect(saturation(after)).toBeGreaterThan(saturation(before));
+    expect(after[0]).toBeGreaterThan(after[1]);
+    expect(after[1]).toBeGreaterThan(after[2]);
+  });
+
+  it('leaves a neutral grey scene grey', () => {
+    const image = enhanceImageData(createImage((x) => [100 + x, 100 + x, 100 + x]));
+
+    for (let x = 0; x < WIDTH; x += 8) {
+      const [r, g, b] = getPixel(image, x, 10);
+      expect(Math.max(r, g, b) - Math.min(r, g, b)).toBeLessThanOrEqual(1);
+    }
+  });
+
+  it('leaves a clear grey image using the full range unchanged', () => {
+    // Black to white steps between black lines: no haze to remove and
+    // nothing to stretch
+    const steps = (x) => {
+      const level = x % 4 === 0 ? 0 : Math.round((x * 255) / (WIDTH - 1));
+      return [level, level, level];
+    };
+    const image = enhanceImageData(createImage(steps));
+
+    expect(Array.from(image.data)).toEqual(Array.from(createImage(steps).data));
+  });
+});
@@ -0,0 +1,368 @@
+/**
+ * Image Processing Helpers
+ *
+ * Decoding, resizing and encoding primitives shared by the media worker and
+ * the main-thread fallback. They use createImageBitmap and OffscreenCanvas
+ * when available, so they run inside a Web Worker, and fall back to
+ * Image and <canvas> elements on older browsers.
+ *
+ * Photos are drawn upright: when the decoder ignores the EXIF orientation of
+ * a JPEG (older browsers), the rotation is applied on the canvas instead.
+ */
+
+import { readJpegOrientation } from './exifReader';
+import { enhanceImageData } from './imageEnhancer';
+
+// Lowest quality tried when encoding to a byte budget
+const MIN_QUALITY = 0.4;
+// Encodings tried by the quality search (precision of about 0.01)
+const QUALITY_SEARCH_STEPS = 6;
+// Longest side below which images are not shrunk to meet a byte budget
+const MIN_DIMENSION = 320;
+// Bounds of each downscale step when the lowest quality is still too large
+const MIN_DOWNSCALE_STEP = 0.5;
+const MAX_DOWNSCALE_STEP = 0.9;
+
+/**
+ * Decode an image blob into something a canvas can draw
+ * @param {Blob} imageBlob - Image to decode
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ */
+export const decodeImage = (imageBlob) => {
+  if (typeof createImageBitmap !== 'undefined') {
+    return createImageBitmap(imageBlob);
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(imageBlob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to load image'));
+    };
+    img.src = url;
+  });
+};
+
+/**
+ * Release the memory held by a decoded image
+ * @param {ImageBitmap|HTMLImageElement} image - Decoded image
+ */
+export const releaseImage = (image) => {
+  if (image.close) {
+    image.close();
+  }
+};
+
+/**
+ * Create a canvas, offscreen when possible
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas
+ */
+export const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Encode the content of a canvas
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} format - Output MIME type
+ * @param {number} quality - Quality from 0 to 1 for lossy formats
+ * @returns {Promise<Blob>} Encoded image
+ */
+export const canvasToBlob = (canvas, format, quality) => {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: format, quality });
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode image'));
+      }
+    }, format, quality);
+  });
+};
+
+/**
+ * Check which image formats the canvas can encode
+ * @param {Array<string>} formats - MIME types to test
+ * @returns {Promise<Array<string>>} Encodable MIME types, in the given order
+ */
+export const detectEncodableFormats = async (formats) => {
+  const canvas = createCanvas(2, 2);
+  canvas.getContext('2d').fillRect(0, 0, 2, 2);
+
+  const supported = [];
+  for (const format of formats) {
+    try {
+      const blob = await canvasToBlob(canvas, format, 0.8);
+      // Unsupported formats silently fall back to PNG
+      if (blob.type === format) {
+        supported.push(format);
+      }
+    } catch (error) {
+      // Not encodable here
+    }
+  }
+  return supported;
+};
+
+/**
+ * Fit dimensions within a bounding box, keeping the aspect ratio
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @param {number} maxWidth - Maximum width
+ * @param {number} maxHeight - Maximum height
+ * @returns {Object} { width, height }
+ */
+export const fitDimensions = (width, height, maxWidth, maxHeight) => {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+/**
+ * Check whether the EXIF orientation of a photo still has to be applied
+ * after decoding
+ * @param {ImageBitmap|HTMLImageElement} image - Decoded image
+ * @param {Object|null} jpeg - Result of readJpegOrientation
+ * @returns {boolean} True if the decoder ignored the orientation
+ */
+const needsOrientationFix = (image, jpeg) => {
+  if (!jpeg || jpeg.orientation < 2 || jpeg.orientation > 8) {
+    return false;
+  }
+
+  // Decoders that honour the orientation swap the sides of rotated photos
+  if (jpeg.orientation >= 5 && jpeg.width && jpeg.width !== jpeg.height) {
+    return image.width === jpeg.width && image.height === jpeg.height;
+  }
+
+  // Mirrored photos keep their size either way; createImageBitmap honours it
+  return typeof createImageBitmap === 'undefined';
+};
+
+/**
+ * Transform a canvas context so an image drawn at the origin appears upright
+ * @param {CanvasRenderingContext2D} ctx - Context to transform
+ * @param {number} orientation - EXIF orientation (2-8)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+const applyOrientation = (ctx, orientation, width, height) => {
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, width, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, width, height); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, height); break;
+    default: break;
+  }
+};
+
+/**
+ * Decode an image and draw it upright on a canvas, downscaled to fit
+ * @param {Blob} imageBlob - Image to draw
+ * @param {number} maxWidth - Maximum width in pixels
+ * @param {number} maxHeight - Maximum height in pixels
+ * @returns {Promise<OffscreenCanvas|HTMLCanvasElement>} Canvas holding the image
+ */
+const drawUpright = async (imageBlob, maxWidth, maxHeight) => {
+  const [image, jpeg] = await Promise.all([
+    decodeImage(imageBlob),
+    readJpegOrientation(imageBlob)
+  ]);
+
+  try {
+    const orientation = needsOrientationFix(image, jpeg) ? jpeg.orientation : 1;
+    const swapSides = orientation >= 5;
+    const { width, height } = fitDimensions(
+      swapSides ? image.height : image.width,
+      swapSides ? image.width : image.height,
+      maxWidth,
+      maxHeight
+    );
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    applyOrientation(ctx, orientation, width, height);
+    ctx.drawImage(image, 0, 0, swapSides ? height : width, swapSides ? width : height);
+    return canvas;
+  } finally {
+    releaseImage(image);
+  }
+};
+
+/**
+ * Draw a canvas onto a smaller one
+ * @param {OffscreenCanvas|HTMLCanvasElement} source - Canvas to scale
+ * @param {number} scale - Scale factor, below 1
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Scaled canvas
+ */
+const scaleCanvas = (source, scale) => {
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+  return canvas;
+};
+
+/**
+ * Encode a canvas in each candidate format and keep the smallest result
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas to encode
+ * @param {Array<string>} formats - Candidate MIME types
+ * @param {number} quality - Quality from 0 to 1 for lossy formats
+ * @returns {Promise<Blob>} Smallest encoding; its type is the format kept
+ */
+const encodeSmallest = async (canvas, formats, quality) => {
+  let smallest = null;
+  for (const format of formats) {
+    const blob = await canvasToBlob(canvas, format, quality);
+    if (!smallest || blob.size < smallest.size) {
+      smallest = blob;
+    }
+  }
+  return smallest;
+};
+
+/**
+ * Binary-search the highest quality whose encoding fits a byte budget
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} format - Output MIME type
+ * @param {number} maxQuality - Highest quality to try
+ * @param {number} targetBytes - Byte budget
+ * @returns {Promise<Object>} { fitted, smallest }: best encoding within the
+ *   budget (null if none fits) and the encoding at the lowest quality
+ */
+const encodeWithinBudget = async (canvas, format, maxQuality, targetBytes) => {
+  const smallest = await canvasToBlob(canvas, format, MIN_QUALITY);
+  if (smallest.size > targetBytes) {
+    return { fitted: null, smallest };
+  }
+
+  let fitted = smallest;
+  let low = MIN_QUALITY;
+  let high = maxQuality;
+  for (let step = 0; step < QUALITY_SEARCH_STEPS; step++) {
+    const quality = (low + high) / 2;
+    const blob = await canvasToBlob(canvas, format, quality);
+    if (blob.size <= targetBytes) {
+      fitted = blob;
+      low = quality;
+    } else {
+      high = quality;
+    }
+  }
+
+  return { fitted, smallest };
+};
+
+/**
+ * Resize and re-encode an image. Only the pixels are kept: the EXIF block
+ * and any other metadata of the original are dropped.
+ *
+ * Given several candidate formats, the image is encoded in each and the
+ * format of the smallest result is kept. With a byte budget, the quality is
+ * then lowered, then the dimensions, until the encoded image fits. Images that cannot fit even at
+ * MIN_DIMENSION are returned at the smallest size reached.
+ * @param {Blob} imageBlob - Original image
+ * @param {Object} options - Resize options
+ * @param {number} options.maxWidth - Maximum width in pixels
+ * @param {number} options.maxHeight - Maximum height in pixels
+ * @param {number} options.quality - Quality from 0 to 1
+ * @param {string} [options.format] - Output MIME type
+ * @param {Array<string>} [options.formats] - Candidate output MIME types,
+ *   used instead of format
+ * @param {number} [options.targetBytes] - Maximum size of the result in bytes
+ * @returns {Promise<Blob>} Resized image; its type is the output format
+ */
+export const resizeImage = async (imageBlob, { maxWidth, maxHeight, quality, format, formats, targetBytes }) => {
+  let canvas = await drawUpright(imageBlob, maxWidth, maxHeight);
+  const blob = await encodeSmallest(canvas, formats && formats.length > 0 ? formats : [format], quality);
+  if (!targetBytes || blob.size <= targetBytes) {
+    return blob;
+  }
+
+  // Search the budget in the format that compressed best
+  const outputFormat = blob.type;
+
+  for (;;) {
+    const { fitted, smallest } = await encodeWithinBudget(canvas, outputFormat, quality, targetBytes);
+    if (fitted) {
+      return fitted;
+    }
+    if (Math.max(canvas.width, canvas.height) <= MIN_DIMENSION) {
+      return smallest;
+    }
+
+    // Encoded size grows roughly with the pixel count
+    const scale = Math.min(
+      MAX_DOWNSCALE_STEP,
+      Math.max(MIN_DOWNSCALE_STEP, Math.sqrt(targetBytes / smallest.size))
+    );
+    // Stop at the minimum dimension rather than below it
+    canvas = scaleCanvas(canvas, Math.max(scale, MIN_DIMENSION / Math.max(canvas.width, canvas.height)));
+  }
+};
+
+/**
+ * Enhance an image to bring out fire and smoke, and re-encode it
+ * @param {Blob} imageBlob - Original image
+ * @param {Object} options - Output options
+ * @param {number} options.maxSize - Longest side of the result in pixels
+ * @param {number} options.quality - Quality from 0 to 1
+ * @param {string} options.format - Output MIME type
+ * @returns {Promise<Blob>} Enhanced image
+ */
+export const enhanceImage = async (imageBlob, { maxSize, quality, format }) => {
+  const canvas = await drawUpright(imageBlob, maxSize, maxSize);
+  const ctx = canvas.getContext('2d');
+  ctx.putImageData(enhanceImageData(ctx.getImageData(0, 0, canvas.width, canvas.height)), 0, 0);
+  return canvasToBlob(canvas, format, quality);
+};
+
+/**
+ * Decode an image and read its pixels, downscaled
+ * @param {Blob} imageBlob - Image to decode
+ * @param {number} maxSize - Longest side of the result in pixels
+ * @returns {Promise<ImageData>} Decoded pixels
+ */
+export const readImageData = async (imageBlob, maxSize) => {
+  const canvas = await drawUpright(imageBlob, maxSize, maxSize);
+  return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Read the dimensions of an image as displayed
+ * @param {Blob} imageBlob - Image to measure
+ * @returns {Promise<Object>} { width, height }
+ */
+export const readImageSize = async (imageBlob) => {
+  const [image, jpeg] = await Promise.all([
+    decodeImage(imageBlob),
+    readJpegOrientation(imageBlob)
+  ]);
+  const swapSides = needsOrientationFix(image, jpeg) && jpeg.orientation >= 5;
+  const { width, height } = image;
+  releaseImage(image);
+  return swapSides ? { width: height, height: width } : { width, height };
+};
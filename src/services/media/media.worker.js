@@ -0,0 +1,46 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Media Worker
+ *
+ * Decodes, resizes, encodes and analyzes images, and analyzes decoded
+ * audio, off the main thread. Receives { id, type, payload } messages and
+ * replies with { id, result } or { id, error }. Started by
+ * mediaWorkerClient.js.
+ */
+
+import {
+  resizeImage,
+  enhanceImage,
+  readImageData,
+  readImageSize,
+  detectEncodableFormats
+} from './imageProcessing';
+import { analyzeImageData } from './fireDetector';
+import { computeDHash } from './perceptualHash';
+import { analyzeSoundSamples } from './soundAnalyzer';
+
+// Task handlers keyed by task type
+const tasks = {
+  resize: ({ blob, options }) => resizeImage(blob, options),
+  enhance: ({ blob, options }) => enhanceImage(blob, options),
+  size: ({ blob }) => readImageSize(blob),
+  formats: ({ formats }) => detectEncodableFormats(formats),
+  analyze: async ({ blob, maxSize }) => analyzeImageData(await readImageData(blob, maxSize)),
+  hash: async ({ blob, maxSize }) => computeDHash(await readImageData(blob, maxSize)),
+  sound: ({ samples, sampleRate }) => analyzeSoundSamples(samples, sampleRate)
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+  const task = tasks[type];
+
+  try {
+    if (!task) {
+      throw new Error(`Unknown media task: ${type}`);
+    }
+    self.postMessage({ id, result: await task(payload) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -4,127 +4,166 @@
  * This service provides utilities for compressing images and other media
  * before uploading to save bandwidth and storage, especially important
  * for areas with limited connectivity.
+ *
+ * Images are decoded and re-encoded in the media worker when the browser
+ * allows it, so large photos do not freeze the page.
+ *
+ * Re-encoding drops every piece of metadata from the original photo (device
+ * serial, owner name, thumbnails...). Only the capture time and GPS position
+ * the user agreed to share are written back, so photos keeping them are
+ * always encoded as JPEG.
+ *
+ * The output format is negotiated per photo: the photo is encoded in every
+ * format the media endpoint accepts that the browser can encode (AVIF, WebP,
+ * JPEG), and the smallest result is kept.
  */
 
+import { runMediaTask } from './mediaWorkerClient';
+import { resizeImage, readImageSize, detectEncodableFormats } from './imageProcessing';
+import { writeExif } from './exifWriter';
+
+// Formats the media endpoint accepts
+export const ACCEPTED_IMAGE_FORMATS = (process.env.REACT_APP_MEDIA_FORMATS || 'image/avif,image/webp,image/jpeg')
+  .split(',')
+  .map(format => format.trim())
+  .filter(Boolean);
+
+// Format every browser can encode, and the only one EXIF is written to
+const FALLBACK_FORMAT = 'image/jpeg';
+
+// Room left in a byte budget for the EXIF block written after encoding
+const EXIF_RESERVE_BYTES = 512;
+
+// Compression settings by network quality (navigator.connection.effectiveType)
+export const NETWORK_PRESETS = {
+  'slow-2g': { maxWidth: 1024, maxHeight: 1024, quality: 0.7, targetBytes: 150 * 1024 },
+  '2g': { maxWidth: 1024, maxHeight: 1024, quality: 0.7, targetBytes: 150 * 1024 },
+  '3g': { maxWidth: 1280, maxHeight: 1280, quality: 0.8, targetBytes: 400 * 1024 },
+  '4g': { maxWidth: 1920, maxHeight: 1920, quality: 0.85, targetBytes: 1024 * 1024 },
+  // Wi-Fi and wired links send full detail
+  unmetered: { maxWidth: 4096, maxHeight: 4096, quality: 0.92 }
+};
+
+/**
+ * Pick compression settings for the current network connection
+ * @returns {Object} Options for compressImage, empty when the browser does
+ *   not report its connection (compressImage defaults apply)
+ */
+export const getNetworkPreset = () => {
+  const connection = typeof navigator !== 'undefined' && navigator.connection;
+  if (!connection) return {};
+
+  // The user asked the browser to save data
+  if (connection.saveData) return NETWORK_PRESETS['2g'];
+
+  if (connection.type === 'wifi' || connection.type === 'ethernet') {
+    return NETWORK_PRESETS.unmetered;
+  }
+
+  return NETWORK_PRESETS[connection.effectiveType] || {};
+};
+
+// Detection result, shared by every compression of the session
+let encodableFormats = null;
+
+/**
+ * Get the accepted image formats the browser can encode, detected once
+ * @returns {Promise<Array<string>>} MIME types, in order of preference
+ */
+export const getEncodableImageFormats = () => {
+  if (!encodableFormats) {
+    encodableFormats = runMediaTask(
+      'formats',
+      { formats: ACCEPTED_IMAGE_FORMATS },
+      () => detectEncodableFormats(ACCEPTED_IMAGE_FORMATS)
+    ).catch((error) => {
+      console.warn('Error detecting image formats:', error);
+      encodableFormats = null;
+      return [];
+    });
+  }
+  return encodableFormats;
+};
+
+/**
+ * Pick the candidate output formats for photos
+ * @returns {Promise<Array<string>>} Accepted formats the browser can encode,
+ *   or JPEG alone if none was detected
+ */
+export const negotiateImageFormats = async () => {
+  const formats = await getEncodableImageFormats();
+  return formats.length > 0 ? formats : [FALLBACK_FORMAT];
+};
+
 /**
  * Compresses an image while maintaining reasonable quality
  * @param {Blob} imageBlob - Original image blob to compress
  * @param {Object} options - Compression options
  * @param {number} options.maxWidth - Maximum width in pixels (default: 1280)
  * @param {number} options.maxHeight - Maximum height in pixels (default: 1280)
- * @param {number} options.quality - JPEG quality from 0 to 1 (default: 0.8)
- * @param {string} options.format - Output format (default: 'image/jpeg')
- * @returns {Promise<Blob>} Compressed image blob
+ * @param {number} options.quality - Quality from 0 to 1 (default: 0.8)
+ * @param {string} options.format - Output format (default: the smallest
+ *   encoding among the formats of negotiateImageFormats). Ignored when
+ *   metadata has to be kept: it can only be written to JPEG.
+ * @param {number} options.targetBytes - Maximum size of the result in bytes;
+ *   quality, then dimensions, are lowered until it fits (default: none)
+ * @param {Object} options.metadata - Metadata to keep: { capturedAt, location }
+ *   (default: none)
+ * @returns {Promise<Blob>} Compressed image blob; its type is the output format
  */
 export const compressImage = async (imageBlob, options = {}) => {
   const {
     maxWidth = 1280,
     maxHeight = 1280,
     quality = 0.8,
-    format = 'image/jpeg'
+    format = null,
+    targetBytes = null,
+    metadata = null
   } = options;
 
-  return new Promise((resolve, reject) => {
-    try {
-      // Create file reader to read the blob
-      const reader = new FileReader();
-      reader.readAsDataURL(imageBlob);
-      
-      reader.onload = (event) => {
-        // Create an image to get the original dimensions
-        const img = new Image();
-        img.src = event.target.result;
-        
-        img.onload = () => {
-          // Calculate new dimensions while maintaining aspect ratio
-          let width = img.width;
-          let height = img.height;
-          
-          if (width > maxWidth) {
-            height = Math.round(height * (maxWidth / width));
-            width = maxWidth;
-          }
-          
-          if (height > maxHeight) {
-            width = Math.round(width * (maxHeight / height));
-            height = maxHeight;
-          }
-          
-          // Create canvas for resizing
-          const canvas = document.createElement('canvas');
-          canvas.width = width;
-          canvas.height = height;
-          
-          // Draw image on canvas with new dimensions
-          const ctx = canvas.getContext('2d');
-          ctx.drawImage(img, 0, 0, width, height);
-          
-          // Convert canvas to blob with compression
-          canvas.toBlob((blob) => {
-            if (blob) {
-              resolve(blob);
-            } else {
-              reject(new Error('Failed to compress image'));
-            }
-          }, format, quality);
-        };
-        
-        img.onerror = () => {
-          reject(new Error('Failed to load image for compression'));
-        };
-      };
-      
-      reader.onerror = () => {
-        reject(new Error('Failed to read image for compression'));
-      };
-    } catch (error) {
-      console.error('Error compressing image:', error);
-      reject(error);
-    }
-  });
+  const keepsMetadata = Boolean(metadata && (metadata.capturedAt || metadata.location));
+
+  try {
+    const resizeOptions = {
+      maxWidth,
+      maxHeight,
+      quality,
+      format: keepsMetadata ? FALLBACK_FORMAT : format,
+      formats: format || keepsMetadata ? null : await negotiateImageFormats(),
+      targetBytes: targetBytes && keepsMetadata ? targetBytes - EXIF_RESERVE_BYTES : targetBytes
+    };
+
+    const compressed = await runMediaTask(
+      'resize',
+      { blob: imageBlob, options: resizeOptions },
+      () => resizeImage(imageBlob, resizeOptions)
+    );
+
+    return keepsMetadata && compressed.type === 'image/jpeg'
+      ? await writeExif(compressed, metadata)
+      : compressed;
+  } catch (error) {
+    console.error('Error compressing image:', error);
+    throw new Error('Failed to compress image');
+  }
 };
 
 /**
- * Estimates the compressed size of an image without actually compressing it
- * @param {Blob} imageBlob - Image blob to estimate
- * @param {Object} options - Compression options
- * @returns {Promise<number>} Estimated size in bytes
+ * Measures the compressed size of an image by compressing it with the same
+ * options, byte budget included
+ * @param {Blob} imageBlob - Image blob to measure
+ * @param {Object} options - Compression options, as for compressImage
+ * @returns {Promise<number>} Size of the compressed image in bytes, or of
+ *   the original when it cannot be compressed
  */
 export const estimateCompressedSize = async (imageBlob, options = {}) => {
   try {
-    // Get the original size
-    const originalSize = imageBlob.size;
-    
-    // For small images, estimate is close to original
-    if (originalSize < 100 * 1024) { // Less than 100KB
-      return Math.round(originalSize * 0.9); // ~10% reduction
-    }
-    
-    // Extract some image metadata to refine the estimate
-    const metadata = await extractImageMetadata(imageBlob);
-    
-    // Base compression ratio on dimensions and format
-    let compressionRatio = 0.5; // Default ~50% reduction
-    
-    // Adjust based on resolution
-    const megapixels = (metadata.width * metadata.height) / 1_000_000;
-    if (megapixels > 12) {
-      compressionRatio = 0.3; // Higher compression for very high-res images
-    } else if (megapixels > 8) {
-      compressionRatio = 0.4;
-    } else if (megapixels < 2) {
-      compressionRatio = 0.7; // Lower compression for smaller images
-    }
-    
-    // Additional adjustment based on quality setting
-    const { quality = 0.8 } = options;
-    compressionRatio = compressionRatio * (1.25 - quality * 0.5);
-    
-    return Math.round(originalSize * compressionRatio);
+    const compressed = await compressImage(imageBlob, options);
+    return compressed.size;
   } catch (error) {
     console.error('Error estimating compressed size:', error);
-    // Fall back to a generic estimate
-    return Math.round(imageBlob.size * 0.5);
+    // Fall back to the size of the original
+    return imageBlob.size;
   }
 };
 
@@ -133,33 +172,19 @@ export const estimateCompressedSize = async (imageBlob, options = {}) => {
  * @param {Blob} imageBlob - The image blob
  * @returns {Promise<Object>} Image metadata
  */
-const extractImageMetadata = (imageBlob) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(imageBlob);
-    
-    reader.onload = (event) => {
-      const img = new Image();
-      img.src = event.target.result;
-      
-      img.onload = () => {
-        resolve({
-          width: img.width,
-          height: img.height,
-          aspectRatio: img.width / img.height,
-          size: imageBlob.size
-        });
-      };
-      
-      img.onerror = () => {
-        reject(new Error('Failed to load image for metadata extraction'));
-      };
-    };
-    
-    reader.onerror = () => {
-      reject(new Error('Failed to read image for metadata extraction'));
-    };
-  });
+const extractImageMetadata = async (imageBlob) => {
+  const { width, height } = await runMediaTask(
+    'size',
+    { blob: imageBlob },
+    () => readImageSize(imageBlob)
+  );
+
+  return {
+    width,
+    height,
+    aspectRatio: width / height,
+    size: imageBlob.size
+  };
 };
 
 /**
@@ -0,0 +1,76 @@
+import { compressImage, getNetworkPreset, NETWORK_PRESETS } from './mediaCompressor';
+import { resizeImage, detectEncodableFormats } from './imageProcessing';
+import { writeExif } from './exifWriter';
+
+// Run media tasks on the main thread
+jest.mock('./mediaWorkerClient', () => ({
+  runMediaTask: (type, payload, fallback) => fallback()
+}));
+
+jest.mock('./imageProcessing', () => ({
+  resizeImage: jest.fn(),
+  readImageSize: jest.fn(),
+  detectEncodableFormats: jest.fn()
+}));
+
+jest.mock('./exifWriter', () => ({
+  writeExif: jest.fn()
+}));
+
+const METADATA = { capturedAt: '2024-05-01T10:00:00.000Z', location: null };
+
+describe('compressImage', () => {
+  beforeEach(() => {
+    // Encode in the requested format, or the first candidate one
+    resizeImage.mockReset().mockImplementation(async (blob, { format, formats }) => (
+      new Blob(['pixels'], { type: format || formats[0] })
+    ));
+    detectEncodableFormats.mockResolvedValue(['image/avif', 'image/webp', 'image/jpeg']);
+    writeExif.mockReset().mockImplementation(async blob => new Blob([blob, 'exif'], { type: blob.type }));
+  });
+
+  it('encodes in the requested format when no metadata is kept', async () => {
+    const compressed = await compressImage(new Blob(['photo']), { format: 'image/webp' });
+
+    expect(compressed.type).toBe('image/webp');
+    expect(writeExif).not.toHaveBeenCalled();
+  });
+
+  it('encodes as JPEG with the consented metadata even when another format is requested', async () => {
+    const compressed = await compressImage(new Blob(['photo']), { format: 'image/webp', metadata: METADATA });
+
+    expect(resizeImage.mock.calls[0][1]).toMatchObject({ format: 'image/jpeg', formats: null });
+    expect(writeExif).toHaveBeenCalledWith(expect.any(Blob), METADATA);
+    expect(compressed.type).toBe('image/jpeg');
+  });
+});
+
+describe('getNetworkPreset', () => {
+  const setConnection = (connection) => {
+    Object.defineProperty(navigator, 'connection', { value: connection, configurable: true });
+  };
+
+  afterEach(() => {
+    delete navigator.connection;
+  });
+
+  it('uses compressImage defaults when the browser does not report its connection', () => {
+    setConnection(undefined);
+
+    expect(getNetworkPreset()).toEqual({});
+  });
+
+  it('follows the effective connection type', () => {
+    setConnection({ effectiveType: '3g' });
+
+    expect(getNetworkPreset()).toBe(NETWORK_PRESETS['3g']);
+  });
+
+  it('sends full detail over Wi-Fi and the smallest photos when saving data', () => {
+    setConnection({ type: 'wifi', effectiveType: '4g' });
+    expect(getNetworkPreset()).toBe(NETWORK_PRESETS.unmetered);
+
+    setConnection({ type: 'wifi', effectiveType: '4g', saveData: true });
+    expect(getNetworkPreset()).toBe(NETWORK_PRESETS['2g']);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Media Worker Client
+ *
+ * Runs image tasks in a dedicated Web Worker so decoding and encoding large
+ * photos does not freeze the page. When the browser cannot run them off the
+ * main thread (no Worker, OffscreenCanvas or createImageBitmap), or the
+ * worker fails to start, tasks run on the main thread instead.
+ */
+
+let worker = null;
+let workerFailed = false;
+let fallbackLogged = false;
+let nextTaskId = 1;
+
+// Tasks waiting for a reply from the worker, keyed by task id
+const pendingTasks = new Map();
+
+/**
+ * Check whether image tasks can run in a worker
+ * @returns {boolean} True if supported
+ */
+const canUseWorker = () => {
+  return !workerFailed &&
+    typeof window !== 'undefined' &&
+    typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined';
+};
+
+/**
+ * Log, once per page, that media tasks run on the main thread
+ * @param {string} reason - Why the worker is not used
+ * @param {Error} [error] - Error that made the worker unusable
+ */
+const logFallback = (reason, error) => {
+  if (fallbackLogged) return;
+  fallbackLogged = true;
+  console.warn(`Media worker unavailable (${reason}), processing on the main thread`, error || '');
+};
+
+/**
+ * Stop using the worker and fail the tasks it was running
+ * @param {Error} error - Reason
+ */
+const abandonWorker = (error) => {
+  workerFailed = true;
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  pendingTasks.forEach(({ reject }) => reject(error));
+  pendingTasks.clear();
+};
+
+/**
+ * Get the shared worker, starting it on first use
+ * @returns {Worker} Media worker
+ */
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./media.worker.js', import.meta.url));
+
+  worker.onmessage = ({ data }) => {
+    const task = pendingTasks.get(data.id);
+    if (!task) return;
+
+    pendingTasks.delete(data.id);
+    if (data.error) {
+      task.reject(new Error(data.error));
+    } else {
+      task.resolve(data.result);
+    }
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    abandonWorker(new Error(event.message || 'Media worker failed'));
+  };
+
+  return worker;
+};
+
+/**
+ * Send a task to the worker
+ * @param {string} type - Task type
+ * @param {Object} payload - Task input
+ * @returns {Promise<*>} Task result
+ */
+const postTask = (type, payload) => {
+  return new Promise((resolve, reject) => {
+    const id = nextTaskId++;
+    pendingTasks.set(id, { resolve, reject });
+    getWorker().postMessage({ id, type, payload });
+  });
+};
+
+/**
+ * Run an image task in the media worker, or on the main thread if the
+ * worker is unavailable
+ * @param {string} type - Task type handled by media.worker.js
+ * @param {Object} payload - Task input
+ * @param {Function} fallback - Runs the task on the main thread: () => Promise
+ * @returns {Promise<*>} Task result
+ */
+export const runMediaTask = async (type, payload, fallback) => {
+  if (!canUseWorker()) {
+    if (!workerFailed) {
+      logFallback('not supported by this browser');
+    }
+    return fallback();
+  }
+
+  try {
+    return await postTask(type, payload);
+  } catch (error) {
+    // The worker itself is broken, not just this image
+    if (workerFailed) {
+      logFallback('failed to start', error);
+      return fallback();
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * Perceptual Hash
+ *
+ * Difference hash (dHash) of decoded pixels: 64 bits recording whether the
+ * brightness increases from left to right on a 9x8 grid of the image.
+ * Resized, recompressed or slightly edited copies of a photo get hashes a
+ * few bits apart, so near-duplicates can be found by Hamming distance. Pure
+ * functions without DOM access, so they run both in the media worker and on
+ * the main thread.
+ */
+
+// Grid the brightness is sampled on: one column more than bits per row
+const HASH_COLUMNS = 9;
+const HASH_ROWS = 8;
+
+// Hashes at most this many bits apart are considered the same picture
+export const DUPLICATE_MAX_DISTANCE = 10;
+
+/**
+ * Compute the difference hash of decoded pixels
+ * @param {ImageData} imageData - Pixels to hash
+ * @returns {string} 64-bit hash as 16 hexadecimal digits
+ */
+export const computeDHash = ({ data, width, height }) => {
+  const grid = sampleBrightness(data, width, height);
+
+  let hash = '';
+  let nibble = 0;
+  for (let y = 0; y < HASH_ROWS; y++) {
+    for (let x = 0; x < HASH_COLUMNS - 1; x++) {
+      const bit = grid[y * HASH_COLUMNS + x] < grid[y * HASH_COLUMNS + x + 1] ? 1 : 0;
+      nibble = (nibble << 1) | bit;
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Count the bits that differ between two hashes
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {number} Hamming distance
+ */
+export const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
+
+/**
+ * Find photos that are near-duplicates of an earlier one
+ * @param {Array<string|null>} hashes - Hash of each photo (null if unknown)
+ * @returns {Array<Object>} { index, duplicateOf, distance } for each
+ *   duplicate, pointing to the first matching photo
+ */
+export const findNearDuplicates = (hashes) => {
+  const duplicates = [];
+
+  hashes.forEach((hash, index) => {
+    if (!hash) return;
+
+    for (let other = 0; other < index; other++) {
+      if (!hashes[other]) continue;
+
+      const distance = hammingDistance(hash, hashes[other]);
+      if (distance <= DUPLICATE_MAX_DISTANCE) {
+        duplicates.push({ index, duplicateOf: other, distance });
+        break;
+      }
+    }
+  });
+
+  return duplicates;
+};
+
+/**
+ * Average the brightness of the image over the hash grid
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Float32Array} Mean luma of each grid cell, row by row
+ */
+const sampleBrightness = (data, width, height) => {
+  const grid = new Float32Array(HASH_COLUMNS * HASH_ROWS);
+
+  for (let row = 0; row < HASH_ROWS; row++) {
+    const top = Math.floor((row * height) / HASH_ROWS);
+    const bottom = Math.max(top + 1, Math.floor(((row + 1) * height) / HASH_ROWS));
+
+    for (let column = 0; column < HASH_COLUMNS; column++) {
+      const left = Math.floor((column * width) / HASH_COLUMNS);
+      const right = Math.max(left + 1, Math.floor(((column + 1) * width) / HASH_COLUMNS));
+
+      let sum = 0;
+      let count = 0;
+      for (let y = top; y < Math.min(bottom, height); y++) {
+        for (let x = left; x < Math.min(right, width); x++) {
+          const i = (y * width + x) * 4;
+          sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          count++;
+        }
+      }
+      grid[row * HASH_COLUMNS + column] = count > 0 ? sum / count : 0;
+    }
+  }
+
+  return grid;
+};
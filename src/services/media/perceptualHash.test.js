@@ -0,0 +1,76 @@
+import { computeDHash, hammingDistance, findNearDuplicates, DUPLICATE_MAX_DISTANCE } from './perceptualHash';
+
+// Build ImageData-like pixels from a (u, v) => [r, g, b] function of the
+// relative position, so the same scene can be rendered at any size
+const createImage = (width, height, pixel) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const [r, g, b] = pixel(x / width, y / height);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+};
+
+// Hillside under a smoke plume
+const scene = (u, v) => {
+  const smoke = Math.max(0, 1 - Math.hypot(u - 0.6, v - 0.3) * 3);
+  const ground = v > 0.5 + 0.1 * Math.sin(u * 9) ? 1 : 0;
+  const base = ground ? [40 + 60 * u, 90 - 30 * v, 30] : [120 + 80 * v, 150 + 60 * v, 200];
+  return base.map(channel => channel + (200 - channel) * smoke);
+};
+
+// Unrelated picture: a diagonal stripe pattern
+const stripes = (u, v) => {
+  const level = Math.sin((u + v) * 20) > 0 ? 220 : 40;
+  return [level, level, level];
+};
+
+describe('computeDHash', () => {
+  it('returns 64 bits as 16 hexadecimal digits', () => {
+    expect(computeDHash(createImage(90, 80, scene))).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('gives resized and recompressed copies nearby hashes', () => {
+    const original = computeDHash(createImage(360, 240, scene));
+    const thumbnail = computeDHash(createImage(90, 60, scene));
+    // Quantise the colours, like a lossy re-encoding would
+    const recompressed = computeDHash(createImage(360, 240, (u, v) => (
+      scene(u, v).map(channel => Math.round(channel / 16) * 16)
+    )));
+
+    expect(hammingDistance(original, thumbnail)).toBeLessThanOrEqual(DUPLICATE_MAX_DISTANCE);
+    expect(hammingDistance(original, recompressed)).toBeLessThanOrEqual(DUPLICATE_MAX_DISTANCE);
+  });
+
+  it('gives different pictures distant hashes', () => {
+    const photo = computeDHash(createImage(360, 240, scene));
+    const other = computeDHash(createImage(360, 240, stripes));
+
+    expect(hammingDistance(photo, other)).toBeGreaterThan(DUPLICATE_MAX_DISTANCE);
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts the differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(hammingDistance('00000000000000f0', '0000000000000031')).toBe(3);
+  });
+});
+
+describe('findNearDuplicates', () => {
+  it('points each duplicate to the first matching photo and skips unknown hashes', () => {
+    const hashes = ['ffff000000000000', null, '0000ffff0000ffff', 'ffff000000000003', 'ffff000000000001'];
+
+    expect(findNearDuplicates(hashes)).toEqual([
+      { index: 3, duplicateOf: 0, distance: 2 },
+      { index: 4, duplicateOf: 0, distance: 1 }
+    ]);
+  });
+});
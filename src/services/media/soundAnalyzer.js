@@ -0,0 +1,389 @@
+/**
+ * Sound Analyzer
+ *
+ * Spectral heuristics flagging chainsaw and gunshot signatures in decoded
+ * mono audio. Pure functions without DOM access, so they run both in the
+ * media worker and on the main thread.
+ *
+ * The audio is cut into short frames. For each frame the band energies,
+ * spectral flatness and periodicity (autocorrelation, computed through the
+ * FFT) are measured. A chainsaw is a loud, sustained, strongly periodic
+ * engine note at a steady pitch with a lot of high-frequency energy, which
+ * sets it apart from speech. A gunshot is a sudden broadband burst that dies
+ * out within a few hundred milliseconds.
+ *
+ * Loudness is judged against absolute levels (dB relative to full scale),
+ * not against the quieter parts of the recording: a note recorded while a
+ * saw runs all along has no quiet part to compare with.
+ */
+
+// Sample rate the audio is analyzed at, in Hz
+export const SOUND_SAMPLE_RATE = 16000;
+
+// Frames of 64 ms every 32 ms, zero-padded to the FFT size
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+const FFT_SIZE = 2048;
+
+// Frequency bands in Hz
+const HIGH_BAND = [1000, 6000];
+const FLATNESS_BAND = [100, 7000];
+
+// Chainsaw: engine pitch range, and how much of the energy sits above 1 kHz.
+// Even a clean sawtooth, whose harmonics fall off as 1/n, keeps about 7% of
+// its energy above 1 kHz at a 120 Hz pitch; voices and hums keep much less.
+const ENGINE_PITCH_MIN = 70; // Hz
+const ENGINE_PITCH_MAX = 250;
+const PITCH_SEARCH_MAX = 2000; // Highest pitch looked for, so tones are not taken for engines
+const OCTAVE_TOLERANCE = 0.9; // Share of the best correlation a shorter period needs
+const CHAINSAW_PERIODICITY_MIN = 0.4;
+const CHAINSAW_HIGH_SHARE_MIN = 0.05;
+const CHAINSAW_PITCH_SPREAD_MAX = 0.15; // Relative standard deviation over a run
+const CHAINSAW_MIN_SECONDS = 1.5;
+const CHAINSAW_FULL_SECONDS = 4; // Run length at which the confidence reaches 1
+const CHAINSAW_MAX_GAP_FRAMES = 2;
+
+// Quietest engine note considered, in dBFS
+const CHAINSAW_LEVEL_MIN_DB = -45;
+
+// Gunshot: loud, rising above the recent background, broadband and fast
+// decay. Backgrounds quieter than the silence level count as that level.
+const GUNSHOT_LEVEL_MIN_DB = -35;
+const SILENCE_DB = -70;
+const GUNSHOT_RISE_MIN_DB = 20;
+const GUNSHOT_FULL_RISE_DB = 40;
+const GUNSHOT_FLATNESS_MIN = 0.25;
+const GUNSHOT_DECAY_DB = 15;
+const GUNSHOT_DECAY_FRAMES = 10; // About 320 ms
+const BACKGROUND_FRAMES = 15; // About 500 ms
+const GUNSHOT_MERGE_SECONDS = 0.3; // Bursts closer than this are one shot and its echoes
+
+/**
+ * Analyzes decoded audio for chainsaw and gunshot signatures
+ * @param {Float32Array} samples - Mono samples at sampleRate
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} { chainsawDetected, gunshotDetected, confidence, events }.
+ *   Events are { type: 'chainsaw'|'gunshot', start, end, confidence }, with
+ *   times in seconds.
+ */
+export const analyzeSoundSamples = (samples, sampleRate) => {
+  const frames = measureFrames(samples, sampleRate);
+  const frameSeconds = HOP_SIZE / sampleRate;
+
+  const events = [
+    ...findChainsawRuns(frames, frameSeconds),
+    ...findGunshots(frames, frameSeconds)
+  ].sort((a, b) => a.start - b.start);
+
+  const chainsawDetected = events.some(event => event.type === 'chainsaw');
+  const gunshotDetected = events.some(event => event.type === 'gunshot');
+
+  return {
+    chainsawDetected,
+    gunshotDetected,
+    confidence: events.reduce((max, event) => Math.max(max, event.confidence), 0),
+    events
+  };
+};
+
+/**
+ * Measure the energy, spectrum shape and periodicity of each frame
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Object>} { energyDb, highShare, flatness, periodicity, pitch } per frame
+ */
+const measureFrames = (samples, sampleRate) => {
+  const hann = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+  }
+
+  const binHz = sampleRate / FFT_SIZE;
+  const toBin = (hz) => Math.min(FFT_SIZE / 2, Math.round(hz / binHz));
+  const minLag = Math.max(1, Math.floor(sampleRate / PITCH_SEARCH_MAX));
+  const maxLag = Math.ceil(sampleRate / ENGINE_PITCH_MIN);
+
+  // The window alone makes the autocorrelation fall off with the lag; divide
+  // that out so long periods are not penalised
+  const windowCorrelation = new Float64Array(maxLag + 1);
+  for (let lag = 0; lag <= maxLag; lag++) {
+    for (let i = 0; i + lag < FRAME_SIZE; i++) {
+      windowCorrelation[lag] += hann[i] * hann[i + lag];
+    }
+  }
+
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  const power = new Float64Array(FFT_SIZE / 2 + 1);
+  const frames = [];
+
+  for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+    re.fill(0);
+    im.fill(0);
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const value = samples[start + i];
+      energy += value * value;
+      re[i] = value * hann[i];
+    }
+
+    fft(re, im, false);
+    for (let k = 0; k <= FFT_SIZE / 2; k++) {
+      power[k] = re[k] * re[k] + im[k] * im[k];
+    }
+
+    const total = sumRange(power, toBin(20), FFT_SIZE / 2);
+    const high = sumRange(power, toBin(HIGH_BAND[0]), toBin(HIGH_BAND[1]));
+
+    // Autocorrelation is the inverse FFT of the power spectrum
+    for (let k = 0; k < FFT_SIZE; k++) {
+      re[k] = power[k <= FFT_SIZE / 2 ? k : FFT_SIZE - k];
+      im[k] = 0;
+    }
+    fft(re, im, true);
+
+    let bestLag = 0;
+    let periodicity = 0;
+    if (re[0] > 0) {
+      const correlationAt = (lag) => (re[lag] / re[0]) * (windowCorrelation[0] / windowCorrelation[lag]);
+
+      // Skip the peak around lag 0, which only says the signal is smooth
+      let lag = minLag;
+      while (lag < maxLag && correlationAt(lag + 1) < correlationAt(lag)) lag++;
+
+      let peak = 0;
+      for (let search = lag; search <= maxLag; search++) {
+        peak = Math.max(peak, correlationAt(search));
+      }
+
+      // Take the first peak close to the highest, as multiples of the
+      // period correlate just as well
+      for (; lag <= maxLag; lag++) {
+        const correlation = correlationAt(lag);
+        if (correlation >= OCTAVE_TOLERANCE * peak && (lag === maxLag || correlation >= correlationAt(lag + 1))) {
+          periodicity = Math.min(1, correlation);
+          bestLag = lag;
+          break;
+        }
+      }
+    }
+
+    frames.push({
+      energyDb: 10 * Math.log10(energy / FRAME_SIZE + 1e-12),
+      highShare: total > 0 ? high / total : 0,
+      flatness: spectralFlatness(power, toBin(FLATNESS_BAND[0]), toBin(FLATNESS_BAND[1])),
+      periodicity,
+      pitch: bestLag > 0 ? sampleRate / bestLag : 0
+    });
+  }
+
+  return frames;
+};
+
+/**
+ * Find sustained runs of engine-like frames
+ * @param {Array<Object>} frames - Frame measurements
+ * @param {number} frameSeconds - Time between frames
+ * @returns {Array<Object>} Chainsaw events
+ */
+const findChainsawRuns = (frames, frameSeconds) => {
+  const isEngineFrame = (frame) => frame.energyDb >= CHAINSAW_LEVEL_MIN_DB &&
+    frame.periodicity >= CHAINSAW_PERIODICITY_MIN &&
+    frame.pitch >= ENGINE_PITCH_MIN &&
+    frame.pitch <= ENGINE_PITCH_MAX &&
+    frame.highShare >= CHAINSAW_HIGH_SHARE_MIN;
+
+  const events = [];
+  let run = [];
+  let gap = 0;
+
+  const closeRun = () => {
+    const seconds = run.length > 0 ? (run[run.length - 1] - run[0] + 1) * frameSeconds : 0;
+    if (seconds >= CHAINSAW_MIN_SECONDS) {
+      const runFrames = run.map(index => frames[index]);
+      const pitches = runFrames.map(frame => frame.pitch);
+      const meanPitch = mean(pitches);
+      const spread = Math.sqrt(mean(pitches.map(pitch => (pitch - meanPitch) ** 2))) / meanPitch;
+
+      // Speech changes pitch all the time; an engine under load holds it
+      if (spread <= CHAINSAW_PITCH_SPREAD_MAX) {
+        const periodicity = mean(runFrames.map(frame => frame.periodicity));
+        events.push({
+          type: 'chainsaw',
+          start: run[0] * frameSeconds,
+          end: (run[run.length - 1] + 1) * frameSeconds,
+          confidence: Math.min(1, seconds / CHAINSAW_FULL_SECONDS) * Math.min(1, periodicity / 0.7)
+        });
+      }
+    }
+    run = [];
+    gap = 0;
+  };
+
+  frames.forEach((frame, index) => {
+    if (isEngineFrame(frame)) {
+      run.push(index);
+      gap = 0;
+    } else if (run.length > 0 && ++gap > CHAINSAW_MAX_GAP_FRAMES) {
+      closeRun();
+    }
+  });
+  closeRun();
+
+  return events;
+};
+
+/**
+ * Find sudden broadband bursts that decay quickly. Bursts following each
+ * other closely (the tail or echo of a shot) make a single event.
+ * @param {Array<Object>} frames - Frame measurements
+ * @param {number} frameSeconds - Time between frames
+ * @returns {Array<Object>} Gunshot events
+ */
+const findGunshots = (frames, frameSeconds) => {
+  const events = [];
+
+  for (let index = 1; index < frames.length; index++) {
+    const history = frames.slice(Math.max(0, index - BACKGROUND_FRAMES), index).map(frame => frame.energyDb);
+    const background = Math.max(SILENCE_DB, percentile(history, 0.5));
+
+    // The burst may peak in the next frame
+    const peakIndex = index + 1 < frames.length && frames[index + 1].energyDb > frames[index].energyDb
+      ? index + 1
+      : index;
+    const peak = frames[peakIndex];
+    const rise = peak.energyDb - background;
+    if (peak.energyDb < GUNSHOT_LEVEL_MIN_DB || rise < GUNSHOT_RISE_MIN_DB ||
+      frames[index].flatness < GUNSHOT_FLATNESS_MIN) continue;
+
+    // It has to fade out quickly, unlike an engine starting
+    let endIndex = -1;
+    for (let next = peakIndex + 1; next <= Math.min(frames.length - 1, peakIndex + GUNSHOT_DECAY_FRAMES); next++) {
+      if (frames[next].energyDb <= peak.energyDb - GUNSHOT_DECAY_DB) {
+        endIndex = next;
+        break;
+      }
+    }
+    if (endIndex < 0) continue;
+
+    const shot = {
+      type: 'gunshot',
+      start: index * frameSeconds,
+      end: endIndex * frameSeconds,
+      confidence: Math.min(1, rise / GUNSHOT_FULL_RISE_DB)
+    };
+    const previous = events[events.length - 1];
+    if (previous && shot.start - previous.end <= GUNSHOT_MERGE_SECONDS) {
+      previous.end = shot.end;
+      previous.confidence = Math.max(previous.confidence, shot.confidence);
+    } else {
+      events.push(shot);
+    }
+
+    // Skip the tail of this shot
+    index = endIndex;
+  }
+
+  return events;
+};
+
+/**
+ * Geometric over arithmetic mean of the power spectrum: close to 1 for
+ * noise-like sounds, close to 0 for tones
+ * @param {Float64Array} power - Power spectrum
+ * @param {number} from - First bin
+ * @param {number} to - Last bin
+ * @returns {number} Flatness from 0 to 1
+ */
+const spectralFlatness = (power, from, to) => {
+  let logSum = 0;
+  let sum = 0;
+  for (let k = from; k <= to; k++) {
+    logSum += Math.log(power[k] + 1e-12);
+    sum += power[k];
+  }
+  const count = to - from + 1;
+  return sum > 0 ? Math.exp(logSum / count) / (sum / count) : 0;
+};
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ * @param {boolean} inverse - Compute the inverse transform (unscaled)
+ */
+const fft = (re, im, inverse) => {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+};
+
+/**
+ * Sum of an array over an inclusive index range
+ * @param {Float64Array} values - Values
+ * @param {number} from - First index
+ * @param {number} to - Last index
+ * @returns {number} Sum
+ */
+const sumRange = (values, from, to) => {
+  let sum = 0;
+  for (let i = from; i <= to; i++) {
+    sum += values[i];
+  }
+  return sum;
+};
+
+/**
+ * Mean of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean, 0 for an empty list
+ */
+const mean = (values) => {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+};
+
+/**
+ * Value below which a share of a list of numbers lies
+ * @param {Array<number>} values - Values
+ * @param {number} share - Share from 0 to 1
+ * @returns {number} Percentile, -Infinity for an empty list
+ */
+const percentile = (values, share) => {
+  if (values.length === 0) return -Infinity;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+};
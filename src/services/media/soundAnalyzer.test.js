@@ -0,0 +1,123 @@
+import { analyzeSoundSamples, SOUND_SAMPLE_RATE } from './soundAnalyzer';
+
+const RATE = SOUND_SAMPLE_RATE;
+
+// Deterministic noise in [-1, 1), so the recordings are the same on every run
+const createNoise = (seed = 1) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return (state / 4294967296) * 2 - 1;
+  };
+};
+
+// Build a recording from segments of (sampleIndex, time) => value
+const createRecording = (...segments) => {
+  const total = segments.reduce((sum, [seconds]) => sum + Math.round(seconds * RATE), 0);
+  const samples = new Float32Array(total);
+  let offset = 0;
+  segments.forEach(([seconds, sample]) => {
+    const length = Math.round(seconds * RATE);
+    for (let i = 0; i < length; i++) {
+      samples[offset + i] = sample(i, i / RATE);
+    }
+    offset += length;
+  });
+  return samples;
+};
+
+const quiet = (noise) => () => 0.001 * noise();
+
+const sawtooth = (pitch, amplitude) => (i, t) => amplitude * (2 * ((t * pitch) % 1) - 1);
+
+// Two-stroke engine: a buzzing sawtooth with a wobbling pitch and exhaust noise
+const engine = (noise) => {
+  let phase = 0;
+  return (i, t) => {
+    phase += (115 + 3 * Math.sin(2 * Math.PI * 0.5 * t)) / RATE;
+    return 0.3 * (2 * (phase % 1) - 1) + 0.05 * noise();
+  };
+};
+
+// A shot: a broadband burst dying out within a few hundred ms, over faint noise
+const shot = (noise, decaySeconds = 0.06) => (i, t) => (
+  0.8 * Math.exp(-t / decaySeconds) * noise() + 0.001 * noise()
+);
+
+describe('analyzeSoundSamples', () => {
+  it.each([0, 0.5, 1, 1.5])('flags a chainsaw running through the note after %s s of quiet', (leadIn) => {
+    const noise = createNoise(1);
+    const samples = createRecording([leadIn, quiet(noise)], [6, engine(noise)]);
+
+    const result = analyzeSoundSamples(samples, RATE);
+
+    expect(result.chainsawDetected).toBe(true);
+    expect(result.gunshotDetected).toBe(false);
+    expect(result.confidence).toBeGreaterThan(0.8);
+  });
+
+  it('flags a clean 120 Hz sawtooth', () => {
+    const result = analyzeSoundSamples(createRecording([3, sawtooth(120, 0.3)]), RATE);
+
+    expect(result.chainsawDetected).toBe(true);
+  });
+
+  it('ignores an engine too faint to be heard', () => {
+    const noise = createNoise(2);
+    const samples = createRecording([4, (i, t) => 0.002 * sawtooth(120, 1)(i, t) + 0.0005 * noise()]);
+
+    expect(analyzeSoundSamples(samples, RATE).chainsawDetected).toBe(false);
+  });
+
+  it.each([0.03, 0.06])('reports a single shot decaying in %s s as one event', (decaySeconds) => {
+    const noise = createNoise(3);
+    const samples = createRecording([1, quiet(noise)], [1.5, shot(noise, decaySeconds)]);
+
+    const result = analyzeSoundSamples(samples, RATE);
+
+    expect(result.gunshotDetected).toBe(true);
+    expect(result.chainsawDetected).toBe(false);
+    expect(result.events).toHaveLength(1);
+    expect(result.events[0].start).toBeCloseTo(1, 0);
+  });
+
+  it('reports shots a second apart as separate events', () => {
+    const noise = createNoise(4);
+    const samples = createRecording(
+      [1, quiet(noise)],
+      [1, shot(noise)],
+      [1, shot(noise)]
+    );
+
+    const result = analyzeSoundSamples(samples, RATE);
+
+    expect(result.events.map(event => event.type)).toEqual(['gunshot', 'gunshot']);
+  });
+
+  it('does not flag speech-like sounds changing pitch', () => {
+    const noise = createNoise(5);
+    let phase = 0;
+    const samples = createRecording([4, (i, t) => {
+      // Syllables of 200 ms with a gliding pitch
+      const voiced = Math.floor(t / 0.2) % 2 === 0;
+      phase += (110 + 80 * Math.abs(Math.sin(2 * Math.PI * 0.7 * t))) / RATE;
+      const glottal = Math.sin(2 * Math.PI * phase) + 0.5 * Math.sin(4 * Math.PI * phase);
+      return voiced ? 0.2 * glottal + 0.005 * noise() : 0.002 * noise();
+    }]);
+
+    const result = analyzeSoundSamples(samples, RATE);
+
+    expect(result.chainsawDetected).toBe(false);
+    expect(result.gunshotDetected).toBe(false);
+  });
+
+  it.each([
+    ['a pure tone', () => (i, t) => 0.3 * Math.sin(2 * Math.PI * 440 * t)],
+    ['a low hum', () => (i, t) => 0.3 * Math.sin(2 * Math.PI * 100 * t) + 0.1 * Math.sin(2 * Math.PI * 200 * t)],
+    ['steady noise', () => { const noise = createNoise(6); return () => 0.2 * noise(); }]
+  ])('does not flag %s', (name, createSample) => {
+    const result = analyzeSoundSamples(createRecording([3, createSample()]), RATE);
+
+    expect(result).toEqual({ chainsawDetected: false, gunshotDetected: false, confidence: 0, events: [] });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Stream Recorder
+ *
+ * Thin wrapper around MediaRecorder shared by video clips and voice notes:
+ * picks a supported format, caps the bitrate, reports the elapsed time and
+ * stops by itself at a maximum length.
+ */
+
+/**
+ * Check whether the browser can record media streams
+ * @returns {boolean} True if MediaRecorder is available
+ */
+export const isRecordingSupported = () => {
+  return typeof MediaRecorder !== 'undefined';
+};
+
+/**
+ * Pick the first format the browser can record
+ * @param {Array<string>} mimeTypes - Formats in order of preference
+ * @returns {string} MIME type, or an empty string to let the browser choose
+ */
+const pickMimeType = (mimeTypes) => {
+  if (!MediaRecorder.isTypeSupported) return '';
+  return mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+/**
+ * Start recording a media stream
+ * @param {MediaStream} stream - Stream to record
+ * @param {Object} options - Recording options
+ * @param {Array<string>} options.mimeTypes - Formats in order of preference
+ * @param {number} options.maxSeconds - Length after which recording stops
+ * @param {number} [options.videoBitsPerSecond] - Video bitrate cap
+ * @param {number} [options.audioBitsPerSecond] - Audio bitrate cap
+ * @param {Function} [options.onTick] - Called with the elapsed whole seconds
+ * @returns {Object} { stop, result }: stop() ends the recording, result
+ *   resolves to { blob, mimeType, durationMs } once it has ended
+ */
+export const recordStream = (stream, options) => {
+  const { mimeTypes, maxSeconds, videoBitsPerSecond, audioBitsPerSecond, onTick } = options;
+  const mimeType = pickMimeType(mimeTypes);
+
+  const recorder = new MediaRecorder(stream, {
+    ...(mimeType ? { mimeType } : {}),
+    ...(videoBitsPerSecond ? { videoBitsPerSecond } : {}),
+    ...(audioBitsPerSecond ? { audioBitsPerSecond } : {})
+  });
+
+  const chunks = [];
+  const startedAt = Date.now();
+  let ticker = null;
+  let limit = null;
+
+  const stop = () => {
+    if (recorder.state !== 'inactive') {
+      recorder.stop();
+    }
+  };
+
+  const result = new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearInterval(ticker);
+      clearTimeout(limit);
+    };
+
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+
+    recorder.onstop = () => {
+      cleanup();
+      // Codec parameters are not needed to store or upload the recording
+      const type = (recorder.mimeType || mimeType || mimeTypes[mimeTypes.length - 1]).split(';')[0];
+      resolve({
+        blob: new Blob(chunks, { type }),
+        mimeType: type,
+        durationMs: Date.now() - startedAt
+      });
+    };
+
+    recorder.onerror = (event) => {
+      cleanup();
+      reject(event.error || new Error('Recording failed'));
+    };
+  });
+
+  if (onTick) {
+    ticker = setInterval(() => onTick(Math.floor((Date.now() - startedAt) / 1000)), 250);
+  }
+  limit = setTimeout(stop, maxSeconds * 1000);
+
+  // Collect data every second, so a crash loses at most the last second
+  recorder.start(1000);
+
+  return { stop, result };
+};
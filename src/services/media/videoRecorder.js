@@ -0,0 +1,79 @@
+/**
+ * Video Recorder
+ *
+ * Records short evidence clips (smoke moving, a chainsaw running) from a
+ * camera stream with MediaRecorder. The bitrate is capped so a full-length
+ * clip stays around 2 MB and can be sent over mobile data.
+ */
+
+import { isRecordingSupported, recordStream } from './streamRecorder';
+
+// Clip length bounds in seconds
+export const CLIP_MIN_SECONDS = 5;
+export const CLIP_MAX_SECONDS = 15;
+
+// Bitrate caps: about 1.8 MB for a 15 second clip
+const VIDEO_BITS_PER_SECOND = 900000;
+const AUDIO_BITS_PER_SECOND = 64000;
+
+// Formats tried in order; the first one the browser can record is used
+const CLIP_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+  'video/mp4'
+];
+
+// Longest side of the poster frame in pixels
+const POSTER_MAX_SIZE = 1280;
+
+/**
+ * Check whether the browser can record clips
+ * @returns {boolean} True if MediaRecorder is available
+ */
+export const isVideoRecordingSupported = isRecordingSupported;
+
+/**
+ * Start recording a clip from a camera stream. Recording stops by itself
+ * after maxSeconds.
+ * @param {MediaStream} stream - Camera (and microphone) stream
+ * @param {Object} [options] - Recording options
+ * @param {number} [options.maxSeconds] - Longest clip length (default: CLIP_MAX_SECONDS)
+ * @param {Function} [options.onTick] - Called with the elapsed whole seconds
+ * @returns {Object} { stop, result }: stop() ends the recording, result
+ *   resolves to { blob, mimeType, durationMs } once it has ended
+ */
+export const startClipRecording = (stream, options = {}) => {
+  const { maxSeconds = CLIP_MAX_SECONDS, onTick } = options;
+
+  return recordStream(stream, {
+    mimeTypes: CLIP_MIME_TYPES,
+    maxSeconds,
+    videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+    audioBitsPerSecond: AUDIO_BITS_PER_SECOND,
+    onTick
+  });
+};
+
+/**
+ * Grab the current frame of a playing video as a poster image
+ * @param {HTMLVideoElement} video - Video element showing the camera
+ * @returns {Promise<Blob>} JPEG frame
+ */
+export const captureVideoFrame = (video) => {
+  const scale = Math.min(1, POSTER_MAX_SIZE / Math.max(video.videoWidth, video.videoHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to capture video frame'));
+      }
+    }, 'image/jpeg', 0.8);
+  });
+};
@@ -0,0 +1,114 @@
+/**
+ * Voice Recorder
+ *
+ * Records short voice notes from the microphone and checks them for
+ * chainsaw and gunshot sounds. The audio is decoded and resampled with the
+ * Web Audio API on the main thread; the spectral analysis itself runs in the
+ * media worker when the browser allows it.
+ */
+
+import { isRecordingSupported, recordStream } from './streamRecorder';
+import { runMediaTask } from './mediaWorkerClient';
+import { analyzeSoundSamples, SOUND_SAMPLE_RATE } from './soundAnalyzer';
+
+// Longest voice note in seconds
+export const VOICE_NOTE_MAX_SECONDS = 30;
+
+// Speech-quality bitrate: about 120 KB for a full-length note
+const AUDIO_BITS_PER_SECOND = 32000;
+
+// Formats tried in order; the first one the browser can record is used
+const VOICE_MIME_TYPES = [
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'audio/mp4',
+  'audio/ogg'
+];
+
+/**
+ * Check whether the browser can record voice notes
+ * @returns {boolean} True if MediaRecorder and microphone access are available
+ */
+export const isVoiceRecordingSupported = () => {
+  return isRecordingSupported() &&
+    typeof navigator !== 'undefined' &&
+    !!navigator.mediaDevices &&
+    !!navigator.mediaDevices.getUserMedia;
+};
+
+/**
+ * Start recording a voice note from a microphone stream. Recording stops by
+ * itself after VOICE_NOTE_MAX_SECONDS.
+ * @param {MediaStream} stream - Microphone stream
+ * @param {Object} [options] - Recording options
+ * @param {Function} [options.onTick] - Called with the elapsed whole seconds
+ * @returns {Object} { stop, result }: stop() ends the recording, result
+ *   resolves to { blob, mimeType, durationMs } once it has ended
+ */
+export const startVoiceRecording = (stream, options = {}) => {
+  return recordStream(stream, {
+    mimeTypes: VOICE_MIME_TYPES,
+    maxSeconds: VOICE_NOTE_MAX_SECONDS,
+    audioBitsPerSecond: AUDIO_BITS_PER_SECOND,
+    onTick: options.onTick
+  });
+};
+
+/**
+ * Analyzes a recording for chainsaw and gunshot sounds
+ * @param {Blob} audioBlob - Recorded audio
+ * @returns {Promise<Object>} { chainsawDetected, gunshotDetected, confidence,
+ *   events, processingTimeMs }. Events are { type: 'chainsaw'|'gunshot',
+ *   start, end, confidence }, with times in seconds.
+ */
+export const analyzeSound = async (audioBlob) => {
+  try {
+    const start = performance.now();
+    const samples = await decodeAudio(audioBlob);
+    const analysis = await runMediaTask(
+      'sound',
+      { samples, sampleRate: SOUND_SAMPLE_RATE },
+      async () => analyzeSoundSamples(samples, SOUND_SAMPLE_RATE)
+    );
+
+    return {
+      ...analysis,
+      processingTimeMs: Math.round(performance.now() - start)
+    };
+  } catch (error) {
+    console.error("Error analyzing sound:", error);
+    throw new Error("Sound analysis failed");
+  }
+};
+
+/**
+ * Decode audio to mono samples at the analysis sample rate
+ * @param {Blob} audioBlob - Encoded audio
+ * @returns {Promise<Float32Array>} Mono samples at SOUND_SAMPLE_RATE
+ */
+const decodeAudio = async (audioBlob) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error('Audio decoding is not supported');
+  }
+
+  // Decoding through a context at the analysis rate resamples the audio
+  const context = new OfflineContext(1, 1, SOUND_SAMPLE_RATE);
+  const buffer = await new Promise((resolve, reject) => {
+    audioBlob.arrayBuffer().then(data => {
+      const decoding = context.decodeAudioData(data, resolve, reject);
+      // Older implementations only take the callbacks
+      if (decoding && decoding.catch) decoding.catch(reject);
+    }, reject);
+  });
+
+  const samples = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] += data[i] / buffer.numberOfChannels;
+    }
+  }
+
+  return samples;
+};
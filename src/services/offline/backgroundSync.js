@@ -0,0 +1,87 @@
+/**
+ * Background Sync Service
+ *
+ * Asks the service worker to replay the offline queue, even after the app
+ * has been closed. Uses one-off Background Sync when the browser supports
+ * it and Periodic Background Sync as a fallback.
+ */
+
+// Tags shared with the service worker
+export const QUEUE_SYNC_TAG = 'gs-offline-queue';
+export const QUEUE_PERIODIC_SYNC_TAG = 'gs-offline-queue-periodic';
+
+// Message posted by the service worker after it processed the queue
+export const QUEUE_UPDATED_MESSAGE = 'GS_QUEUE_UPDATED';
+
+// Minimum interval between periodic syncs (the browser may wait longer)
+const PERIODIC_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Get the active service worker registration, if any
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null
+ */
+const getRegistration = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    return registration && registration.active ? registration : null;
+  } catch (error) {
+    console.error('Error getting service worker registration:', error);
+    return null;
+  }
+};
+
+/**
+ * Ask the service worker to replay the queue once connectivity is available
+ * @returns {Promise<boolean>} Whether a one-off sync was registered
+ */
+export const requestQueueSync = async () => {
+  const registration = await getRegistration();
+  if (!registration || !('sync' in registration)) {
+    return false;
+  }
+
+  try {
+    await registration.sync.register(QUEUE_SYNC_TAG);
+    return true;
+  } catch (error) {
+    // Sync can be disabled by the user or by browser policy
+    console.warn('Background sync registration failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Register a periodic sync that replays the queue from time to time
+ *
+ * Browsers only grant periodic sync to installed apps, and may drop one-off
+ * syncs after a few failed attempts; this covers both cases.
+ *
+ * @param {ServiceWorkerRegistration} registration - Service worker registration
+ * @returns {Promise<boolean>} Whether the periodic sync was registered
+ */
+export const registerPeriodicQueueSync = async (registration) => {
+  if (!registration || !('periodicSync' in registration)) {
+    return false;
+  }
+
+  try {
+    if (navigator.permissions) {
+      const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (status.state !== 'granted') {
+        return false;
+      }
+    }
+
+    await registration.periodicSync.register(QUEUE_PERIODIC_SYNC_TAG, {
+      minInterval: PERIODIC_SYNC_INTERVAL_MS
+    });
+    return true;
+  } catch (error) {
+    console.warn('Periodic background sync registration failed:', error);
+    return false;
+  }
+};
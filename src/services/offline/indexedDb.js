@@ -0,0 +1,145 @@
+/**
+ * IndexedDB Helper
+ *
+ * Small promise-based wrapper around IndexedDB shared by the offline services.
+ * Unlike localStorage, IndexedDB stores Blobs natively, is not limited to a
+ * few megabytes and does not block the main thread.
+ */
+
+const DB_NAME = 'greensentinel';
+const DB_VERSION = 4;
+
+// Object stores created in the database, with their key paths
+const STORES = {
+  queue: { keyPath: 'id' },
+  credentials: { keyPath: 'key' },
+  mapRegions: { keyPath: 'id' },
+  drafts: { keyPath: 'id' }
+};
+
+// Shared connection, opened lazily
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the GreenSentinel database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, options]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, options);
+        }
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let other tabs upgrade the database when a new version ships
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+  }).catch((error) => {
+    // Allow a later call to try again
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a callback inside a transaction on a single store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} callback - Receives the object store, may return a request
+ * @returns {Promise<*>} Result of the returned request once the transaction completes
+ */
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
+    const request = callback(store);
+    let result;
+
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+/**
+ * Get all records of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} All records
+ */
+export const getAllItems = (storeName) => {
+  return withStore(storeName, 'readonly', store => store.getAll());
+};
+
+/**
+ * Get a single record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<*>} The record, or undefined if missing
+ */
+export const getItem = (storeName, key) => {
+  return withStore(storeName, 'readonly', store => store.get(key));
+};
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record to store (must contain the store key)
+ * @returns {Promise<*>} Key of the stored record
+ */
+export const putItem = (storeName, value) => {
+  return withStore(storeName, 'readwrite', store => store.put(value));
+};
+
+/**
+ * Insert or replace several records in a single transaction
+ * @param {string} storeName - Object store name
+ * @param {Array<Object>} values - Records to store
+ * @returns {Promise<void>}
+ */
+export const putItems = (storeName, values) => {
+  return withStore(storeName, 'readwrite', (store) => {
+    values.forEach(value => store.put(value));
+  });
+};
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<void>}
+ */
+export const deleteItem = (storeName, key) => {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+};
@@ -0,0 +1,58 @@
+/**
+ * Operation Registry
+ *
+ * Services declare here the operations they may queue while offline. Each
+ * registration tells the queue manager how to replay the operation, how
+ * persistently to retry it and how to store its data. Only registered
+ * operations can be queued, so everything in the queue can be replayed.
+ */
+
+// Registered operations keyed by "resource/operation"
+const operations = new Map();
+
+/**
+ * Build the registry key of an operation
+ * @param {string} resource - API resource (e.g., 'reports', 'events')
+ * @param {string} operation - Operation type (e.g., 'create', 'register')
+ * @returns {string} Registry key
+ */
+const getOperationKey = (resource, operation) => `${resource}/${operation}`;
+
+/**
+ * Register an operation that can be queued for offline processing
+ * @param {string} resource - API resource (e.g., 'reports', 'events')
+ * @param {string} operation - Operation type (e.g., 'create', 'register')
+ * @param {Object} definition - Operation definition
+ * @param {Function} definition.handler - Performs the operation online: (data, item) => Promise.
+ *   Must throw on failure and must not queue the operation again itself. Should
+ *   send item.idempotencyKey so replays are not applied twice.
+ * @param {Object} [definition.retryPolicy] - Overrides of the default retry policy
+ * @param {number} [definition.retryPolicy.maxAttempts] - Attempts before giving up
+ * @param {number} [definition.retryPolicy.baseDelayMs] - Delay after the first failure
+ * @param {number} [definition.retryPolicy.maxDelayMs] - Upper bound of the delay
+ * @param {Function} [definition.retryPolicy.isRetryable] - Decides whether an error is transient
+ * @param {Function} [definition.serialize] - Converts data into what is stored in the queue
+ * @param {Function} [definition.deserialize] - Converts stored data back for the handler
+ */
+export const registerQueueableOperation = (resource, operation, definition) => {
+  if (!definition || typeof definition.handler !== 'function') {
+    throw new Error(`Queueable operation ${getOperationKey(resource, operation)} needs a handler`);
+  }
+
+  operations.set(getOperationKey(resource, operation), {
+    resource,
+    operation,
+    retryPolicy: {},
+    ...definition
+  });
+};
+
+/**
+ * Get the definition of a registered operation
+ * @param {string} resource - API resource
+ * @param {string} operation - Operation type
+ * @returns {Object|null} Operation definition, or null if not registered
+ */
+export const getQueueableOperation = (resource, operation) => {
+  return operations.get(getOperationKey(resource, operation)) || null;
+};
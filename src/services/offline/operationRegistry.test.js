@@ -0,0 +1,44 @@
+import { registerQueueableOperation, getQueueableOperation } from './operationRegistry';
+
+describe('operation registry', () => {
+  it('returns the registered definition with an empty retry policy by default', () => {
+    const handler = jest.fn();
+    registerQueueableOperation('trees', 'plant', { handler });
+
+    expect(getQueueableOperation('trees', 'plant')).toEqual({
+      resource: 'trees',
+      operation: 'plant',
+      retryPolicy: {},
+      handler
+    });
+  });
+
+  it('keeps the retry policy and storage hooks of a registration', () => {
+    const definition = {
+      handler: jest.fn(),
+      retryPolicy: { maxAttempts: 3 },
+      serialize: jest.fn(),
+      deserialize: jest.fn()
+    };
+    registerQueueableOperation('trees', 'water', definition);
+
+    expect(getQueueableOperation('trees', 'water')).toMatchObject(definition);
+  });
+
+  it('replaces an earlier registration of the same operation', () => {
+    const handler = jest.fn();
+    registerQueueableOperation('trees', 'prune', { handler: jest.fn() });
+    registerQueueableOperation('trees', 'prune', { handler });
+
+    expect(getQueueableOperation('trees', 'prune').handler).toBe(handler);
+  });
+
+  it('returns null for operations nobody registered', () => {
+    expect(getQueueableOperation('trees', 'fell')).toBeNull();
+  });
+
+  it('refuses registrations without a handler', () => {
+    expect(() => registerQueueableOperation('trees', 'count', {})).toThrow('trees/count needs a handler');
+    expect(getQueueableOperation('trees', 'count')).toBeNull();
+  });
+});
@@ -4,49 +4,93 @@
  * This service manages a queue of operations to be performed when the device
  * is offline. When connectivity is restored, queued operations are executed
  * in the order they were queued.
+ * 
+ * The queue lives in IndexedDB so that binary payloads such as photo Blobs
+ * are stored alongside their queue item and survive until they are sent.
+ * The service worker also runs processQueue to replay the queue in the
+ * background, so processing must not rely on window or localStorage.
  */
 
-import { isAuthenticated } from '../api/apiClient';
+import { getAuthToken, isAuthError, isRetryableError, generateIdempotencyKey } from '../api/apiClient';
+import { getAllItems, getItem, putItem, putItems, deleteItem } from './indexedDb';
+import { getQueueableOperation } from './operationRegistry';
+import { requestQueueSync, QUEUE_UPDATED_MESSAGE } from './backgroundSync';
+
+// IndexedDB object store holding the operation queue
+const QUEUE_STORE = 'queue';
+
+// Legacy localStorage key, migrated to IndexedDB on first access
+const LEGACY_QUEUE_STORAGE_KEY = 'gs_operation_queue';
+
+// Default retry scheduling: exponential backoff between attempts, capped at
+// an hour. With these defaults an item keeps being retried for several hours.
+// Operations can override any of these in their registration.
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 15,
+  baseDelayMs: 5000,
+  maxDelayMs: 60 * 60 * 1000,
+  isRetryable: isRetryableError
+};
+
+// Web Lock shared by the app and the service worker so only one replays the queue
+const QUEUE_LOCK_NAME = 'gs-offline-queue';
 
-// Storage key for the operation queue
-const QUEUE_STORAGE_KEY = 'gs_operation_queue';
+// How often the queue is checked for items due for a retry while the app is open
+const RETRY_CHECK_INTERVAL_MS = 30000;
 
 // Queue processing status
 let isProcessing = false;
 let networkListenerActive = false;
+let retryTimerId = null;
+
+// Listeners notified whenever the queue changes
+const queueListeners = new Set();
+let legacyQueueMigrated = false;
 
 /**
  * Add an operation to the queue
+ * 
+ * The operation must have been declared with registerQueueableOperation so
+ * that it can be replayed later.
+ * 
  * @param {string} resource - API resource (e.g., 'reports', 'events')
  * @param {string} operation - Operation type (e.g., 'create', 'update', 'delete')
  * @param {Object} data - Operation data
+ * @param {Object} [options] - Queueing options
+ * @param {string} [options.idempotencyKey] - Key already used for this operation
+ *   while online; a new one is generated if missing. It is passed to the
+ *   handler on every replay.
  * @returns {Promise<Object>} Created queue item with timestamp and ID
  */
-export const queueOperation = async (resource, operation, data) => {
+export const queueOperation = async (resource, operation, data, options = {}) => {
+  const definition = getQueueableOperation(resource, operation);
+  if (!definition) {
+    throw new Error(`Operation ${resource}/${operation} is not registered as queueable`);
+  }
+  
   try {
-    // Get the current queue
-    const queue = getQueue();
-    
     // Create a new queue item
     const queueItem = {
       id: generateId(),
       resource,
       operation,
-      data,
+      data: definition.serialize ? definition.serialize(data) : data,
+      idempotencyKey: options.idempotencyKey || generateIdempotencyKey(),
       timestamp: Date.now(),
       attempts: 0,
+      nextAttemptAt: Date.now(),
       status: 'pending'
     };
     
     // Add to queue
-    queue.push(queueItem);
-    
-    // Save the updated queue
-    saveQueue(queue);
+    await saveQueueItem(queueItem);
     
     // Setup network listener if not already active
     setupNetworkListener();
     
+    // Let the service worker send it even if the app gets closed
+    requestQueueSync();
+    
     console.log(`Operation queued for offline processing: ${resource}/${operation}`);
     
     // Return a "fake" response with the queue item
@@ -66,12 +110,13 @@ export const queueOperation = async (resource, operation, data) => {
 
 /**
  * Retrieve the current operation queue
- * @returns {Array} Array of queued operations
+ * @returns {Promise<Array>} Array of queued operations, oldest first
  */
-export const getQueue = () => {
+export const getQueue = async () => {
   try {
-    const queueJson = localStorage.getItem(QUEUE_STORAGE_KEY);
-    return queueJson ? JSON.parse(queueJson) : [];
+    await migrateLegacyQueue();
+    const queue = await getAllItems(QUEUE_STORE);
+    return queue.sort((a, b) => a.timestamp - b.timestamp);
   } catch (error) {
     console.error('Error retrieving queue:', error);
     return [];
@@ -79,14 +124,147 @@ export const getQueue = () => {
 };
 
 /**
- * Save the operation queue to storage
- * @param {Array} queue - The queue to save
+ * Save a single queue item to storage
+ * @param {Object} item - The queue item to save
+ * @returns {Promise<void>}
+ */
+const saveQueueItem = async (item) => {
+  await migrateLegacyQueue();
+  await putItem(QUEUE_STORE, item);
+  notifyQueueListeners();
+};
+
+/**
+ * Subscribe to queue changes (items added, processed, edited or removed)
+ * @param {Function} listener - Called without arguments after each change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToQueue = (listener) => {
+  queueListeners.add(listener);
+  return () => {
+    queueListeners.delete(listener);
+  };
+};
+
+/**
+ * Notify queue listeners of a change
+ */
+const notifyQueueListeners = () => {
+  queueListeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Error in queue listener:', error);
+    }
+  });
+};
+
+/**
+ * Retry a queued operation immediately, including a failed one
+ * @param {string} id - Queue item ID
+ * @returns {Promise<Object>} Processing results
+ */
+export const retryQueueItem = async (id) => {
+  const item = await getItem(QUEUE_STORE, id);
+  if (!item || item.status === 'completed') {
+    return { processed: 0, message: 'Nothing to retry' };
+  }
+  
+  // A manual retry starts a fresh series of attempts
+  if (item.status === 'failed') {
+    item.attempts = 0;
+  }
+  item.status = 'pending';
+  item.nextAttemptAt = Date.now();
+  await saveQueueItem(item);
+  
+  return processQueue();
+};
+
+/**
+ * Replace the data of a queued operation before it is sent
+ * 
+ * Waits for a queue run in progress to finish, so the edit is neither sent
+ * half-way nor overwritten when the run saves the item. The merged data goes
+ * through the operation's serialize function, like newly queued data.
+ * 
+ * @param {string} id - Queue item ID
+ * @param {Object} data - New operation data (merged into the current data)
+ * @returns {Promise<Object>} Updated queue item
+ */
+export const updateQueueItem = async (id, data) => {
+  await loadOperationModules();
+  
+  return withQueueLock(async () => {
+    const item = await getItem(QUEUE_STORE, id);
+    if (!item || item.status === 'completed') {
+      throw new Error('This operation has already been sent');
+    }
+    
+    const definition = getQueueableOperation(item.resource, item.operation);
+    const merged = { ...item.data, ...data };
+    
+    // Edited data deserves a fresh series of attempts
+    item.data = definition && definition.serialize ? definition.serialize(merged) : merged;
+    item.status = 'pending';
+    item.attempts = 0;
+    item.nextAttemptAt = Date.now();
+    item.lastError = null;
+    await saveQueueItem(item);
+    
+    return item;
+  });
+};
+
+/**
+ * Remove an operation from the queue without sending it
+ * 
+ * Waits for a queue run in progress to finish, so the run does not save the
+ * item back.
+ * 
+ * @param {string} id - Queue item ID
+ * @returns {Promise<void>}
+ */
+export const discardQueueItem = async (id) => {
+  await withQueueLock(() => deleteItem(QUEUE_STORE, id));
+  notifyQueueListeners();
+};
+
+/**
+ * Run a change to the queue while holding the queue lock, waiting for the
+ * app or the service worker to finish processing the queue first
+ * @param {Function} callback - Change to make: () => Promise
+ * @returns {Promise<*>} Result of the callback
+ */
+const withQueueLock = (callback) => {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(QUEUE_LOCK_NAME, () => callback());
+  }
+  return callback();
+};
+
+/**
+ * Move a queue persisted by an older version in localStorage into IndexedDB
+ * @returns {Promise<void>}
  */
-const saveQueue = (queue) => {
+const migrateLegacyQueue = async () => {
+  if (legacyQueueMigrated) return;
+  legacyQueueMigrated = true;
+  
+  // Only the page can read the legacy queue
+  if (typeof localStorage === 'undefined') return;
+
   try {
-    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    const queueJson = localStorage.getItem(LEGACY_QUEUE_STORAGE_KEY);
+    if (!queueJson) return;
+
+    const legacyQueue = JSON.parse(queueJson);
+    if (Array.isArray(legacyQueue) && legacyQueue.length > 0) {
+      await putItems(QUEUE_STORE, legacyQueue);
+    }
+    localStorage.removeItem(LEGACY_QUEUE_STORAGE_KEY);
   } catch (error) {
-    console.error('Error saving queue:', error);
+    console.error('Error migrating legacy queue:', error);
   }
 };
 
@@ -96,126 +274,200 @@ const saveQueue = (queue) => {
  */
 export const processQueue = async () => {
   // Skip if already processing or no authentication
-  if (isProcessing || !isAuthenticated()) {
+  if (isProcessing || !(await getAuthToken())) {
+    return { processed: 0, skipped: true };
+  }
+  
+  // Skip if the app or the service worker is already processing the queue
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(QUEUE_LOCK_NAME, { ifAvailable: true }, (lock) => {
+      return lock ? processQueueUnlocked() : { processed: 0, skipped: true };
+    });
+  }
+  
+  return processQueueUnlocked();
+};
+
+/**
+ * Process all due operations, assuming nobody else is processing the queue
+ * @returns {Promise<Object>} Processing results
+ */
+const processQueueUnlocked = async () => {
+  if (isProcessing) {
     return { processed: 0, skipped: true };
   }
   
   isProcessing = true;
+  notifyQueueListeners();
   
   try {
-    const queue = getQueue();
+    const queue = await getQueue();
     
     if (queue.length === 0) {
       isProcessing = false;
       return { processed: 0, message: 'Queue is empty' };
     }
     
-    console.log(`Processing ${queue.length} queued operations...`);
+    // Only pending items whose backoff delay has elapsed are due
+    const now = Date.now();
+    const dueItems = queue.filter(item => {
+      return item.status === 'pending' && (!item.nextAttemptAt || item.nextAttemptAt <= now);
+    });
+    const waitingCount = queue.filter(item => item.status === 'pending').length - dueItems.length;
+    
+    if (dueItems.length === 0) {
+      return { processed: 0, deferred: waitingCount, message: 'No operations due' };
+    }
+    
+    console.log(`Processing ${dueItems.length} queued operations...`);
+    
+    // Make sure every service has registered its operations
+    await loadOperationModules();
     
     let successCount = 0;
     let failureCount = 0;
+    let deferredCount = waitingCount;
     
-    // Process each item in the queue
-    for (let i = 0; i < queue.length; i++) {
-      const item = queue[i];
+    // Process each due item in the queue
+    for (const dueItem of dueItems) {
+      // Take the stored version: the item may have been edited or discarded
+      // since the queue was read
+      const item = await getItem(QUEUE_STORE, dueItem.id);
+      if (!item || item.status !== 'pending') continue;
+      
+      const definition = getQueueableOperation(item.resource, item.operation);
+      const retryPolicy = { ...DEFAULT_RETRY_POLICY, ...(definition && definition.retryPolicy) };
       
-      // Skip already processed items
-      if (item.status === 'completed') {
+      // Items nobody knows how to replay can never succeed
+      if (!definition) {
+        item.status = 'failed';
+        item.lastError = `Unknown operation: ${item.resource}/${item.operation}`;
+        failureCount++;
+        await saveQueueItem(item);
         continue;
       }
       
       try {
         // Attempt to process the item
-        await processQueueItem(item);
+        await processQueueItem(item, definition);
         
-        // Mark as completed
+        // Mark as completed and drop the payload, which may hold large Blobs
         item.status = 'completed';
+        item.data = null;
         successCount++;
       } catch (error) {
+        // The session ended: keep the item as is until the user logs in again,
+        // processQueue does not run without credentials
+        if (isAuthError(error)) {
+          item.lastError = error.message;
+          deferredCount++;
+          await saveQueueItem(item);
+          Object.assign(dueItem, item);
+          continue;
+        }
+        
         // Increment attempt count
         item.attempts++;
         item.lastError = error.message;
+        item.lastAttemptAt = Date.now();
         
-        // Mark as failed if too many attempts
-        if (item.attempts >= 3) {
+        // Give up on errors that will not go away by retrying (e.g. validation
+        // errors) or after too many attempts, otherwise schedule a retry
+        if (!retryPolicy.isRetryable(error) || item.attempts >= retryPolicy.maxAttempts) {
           item.status = 'failed';
           failureCount++;
+        } else {
+          item.nextAttemptAt = getNextAttemptTime(item.attempts, retryPolicy);
+          deferredCount++;
         }
       }
+      
+      // Persist the item as soon as it is processed
+      await saveQueueItem(item);
+      // Keep the snapshot in step for the summary below
+      Object.assign(dueItem, item);
     }
     
-    // Filter out completed items after a day
+    // Remove completed items after a day
     const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    const filteredQueue = queue.filter(item => {
-      return item.status !== 'completed' || item.timestamp > oneDayAgo;
+    const expiredItems = queue.filter(item => {
+      return item.status === 'completed' && item.timestamp <= oneDayAgo;
     });
-    
-    // Save the updated queue
-    saveQueue(filteredQueue);
+    await Promise.all(expiredItems.map(item => deleteItem(QUEUE_STORE, item.id)));
+    if (expiredItems.length > 0) {
+      notifyQueueListeners();
+    }
     
     // Return results
     return {
       processed: successCount,
       failed: failureCount,
-      remaining: filteredQueue.filter(item => item.status === 'pending').length
+      deferred: deferredCount,
+      remaining: queue.filter(item => item.status === 'pending').length
     };
   } catch (error) {
     console.error('Error processing queue:', error);
     return { error: error.message };
   } finally {
     isProcessing = false;
+    notifyQueueListeners();
   }
 };
 
+/**
+ * Compute when a failed item should be attempted again
+ * 
+ * Uses exponential backoff with "equal jitter": half of the delay is fixed
+ * and half is random, so items that failed together do not all retry at
+ * the same moment.
+ * 
+ * @param {number} attempts - Number of attempts made so far
+ * @param {Object} retryPolicy - Retry policy of the operation
+ * @returns {number} Timestamp (ms) of the next attempt
+ */
+const getNextAttemptTime = (attempts, retryPolicy) => {
+  const exponentialDelay = Math.min(
+    retryPolicy.baseDelayMs * Math.pow(2, attempts - 1),
+    retryPolicy.maxDelayMs
+  );
+  const delay = exponentialDelay / 2 + Math.random() * (exponentialDelay / 2);
+  return Date.now() + Math.round(delay);
+};
+
+/**
+ * Load the services that register queueable operations
+ * 
+ * Queued items may be replayed before anything else in the app imported
+ * the service that queued them, so their registrations are loaded here.
+ * 
+ * @returns {Promise<void>}
+ */
+const loadOperationModules = async () => {
+  await Promise.all([
+    import('../api/reportOperations'),
+    import('../api/eventService'),
+    import('../api/environmentService')
+  ]);
+};
+
 /**
  * Process a single queue item
  * @param {Object} item - Queue item to process
+ * @param {Object} definition - Registered definition of the item's operation
  * @returns {Promise<void>}
  */
-const processQueueItem = async (item) => {
-  // In a full implementation, this would dynamically import API services
-  // and call the appropriate method based on the resource and operation
-  // For simplicity, we'll use a switch statement for now
+const processQueueItem = async (item, definition) => {
+  const { resource, operation } = item;
   
-  const { resource, operation, data } = item;
+  // Items queued by older versions have no idempotency key yet; the one
+  // assigned here is saved with the item and reused on later attempts
+  if (!item.idempotencyKey) {
+    item.idempotencyKey = generateIdempotencyKey();
+  }
   
-  // Import the necessary API module dynamically
   try {
-    // Determine which API module to use
-    let apiModule;
-    switch (resource) {
-      case 'reports':
-        apiModule = await import('../api/reportService');
-        break;
-      case 'events':
-        apiModule = await import('../api/eventService');
-        break;
-      case 'users':
-        apiModule = await import('../api/userService');
-        break;
-      default:
-        throw new Error(`Unknown resource: ${resource}`);
-    }
-    
-    // Determine which operation to call
-    let apiMethod;
-    switch (`${resource}/${operation}`) {
-      case 'reports/create':
-        apiMethod = apiModule.submitReport;
-        break;
-      case 'reports/update':
-        apiMethod = (data) => apiModule.updateReport(data.id, data);
-        break;
-      case 'events/register':
-        apiMethod = () => apiModule.registerForEvent(data.eventId);
-        break;
-      // Add more mappings as needed
-      default:
-        throw new Error(`Unknown operation: ${resource}/${operation}`);
-    }
-    
-    // Call the API method with the data
-    await apiMethod(data);
+    const data = definition.deserialize ? definition.deserialize(item.data) : item.data;
+    await definition.handler(data, item);
     
     console.log(`Successfully processed queued operation: ${resource}/${operation}`);
   } catch (error) {
@@ -236,7 +488,31 @@ const setupNetworkListener = () => {
     await processQueue();
   });
   
+  // Refresh listeners when the service worker processed the queue
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === QUEUE_UPDATED_MESSAGE) {
+        notifyQueueListeners();
+      }
+    });
+  }
+  
   networkListenerActive = true;
+  
+  startRetryTimer();
+};
+
+/**
+ * Periodically process items whose backoff delay has elapsed
+ */
+const startRetryTimer = () => {
+  if (retryTimerId) return;
+  
+  retryTimerId = setInterval(() => {
+    if (navigator.onLine) {
+      processQueue();
+    }
+  }, RETRY_CHECK_INTERVAL_MS);
 };
 
 /**
@@ -249,10 +525,10 @@ const generateId = () => {
 
 /**
  * Get the status of all queued operations
- * @returns {Object} Queue status
+ * @returns {Promise<Object>} Queue status
  */
-export const getQueueStatus = () => {
-  const queue = getQueue();
+export const getQueueStatus = async () => {
+  const queue = await getQueue();
   
   const pending = queue.filter(item => item.status === 'pending').length;
   const completed = queue.filter(item => item.status === 'completed').length;
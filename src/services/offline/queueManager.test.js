@@ -0,0 +1,253 @@
+// In-memory replacement for the IndexedDB stores
+jest.mock('./indexedDb', () => {
+  const stores = new Map();
+  const getStore = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  return {
+    getAllItems: async (name) => Array.from(getStore(name).values()),
+    getItem: async (name, key) => getStore(name).get(key),
+    putItem: async (name, value) => { getStore(name).set(value.id, value); },
+    putItems: async (name, values) => { values.forEach(value => getStore(name).set(value.id, value)); },
+    deleteItem: async (name, key) => { getStore(name).delete(key); },
+    clearStores: () => stores.clear()
+  };
+});
+
+jest.mock('./backgroundSync', () => ({
+  requestQueueSync: jest.fn(),
+  QUEUE_UPDATED_MESSAGE: 'GS_QUEUE_UPDATED'
+}));
+
+const LEGACY_QUEUE_STORAGE_KEY = 'gs_operation_queue';
+const NOW = new Date('2024-05-01T10:00:00Z').getTime();
+
+let queueManager;
+let registry;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  // Fresh module state (migration flag, registrations) for every test
+  jest.resetModules();
+  require('./indexedDb').clearStores();
+  localStorage.clear();
+  localStorage.setItem('gs_auth_token', 'token');
+  queueManager = require('./queueManager');
+  registry = require('./operationRegistry');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('legacy queue migration', () => {
+  it('moves the localStorage queue into IndexedDB on first access', async () => {
+    const legacyItems = [
+      { id: 'queue_b', resource: 'reports', operation: 'create', data: {}, timestamp: NOW - 1000, attempts: 0, status: 'pending' },
+      { id: 'queue_a', resource: 'events', operation: 'register', data: {}, timestamp: NOW - 2000, attempts: 1, status: 'failed' }
+    ];
+    localStorage.setItem(LEGACY_QUEUE_STORAGE_KEY, JSON.stringify(legacyItems));
+
+    const queue = await queueManager.getQueue();
+
+    expect(queue.map(item => item.id)).toEqual(['queue_a', 'queue_b']);
+    expect(localStorage.getItem(LEGACY_QUEUE_STORAGE_KEY)).toBeNull();
+    expect(await require('./indexedDb').getAllItems('queue')).toHaveLength(2);
+  });
+
+  it('keeps the legacy queue when it cannot be read', async () => {
+    localStorage.setItem(LEGACY_QUEUE_STORAGE_KEY, '{not json');
+
+    expect(await queueManager.getQueue()).toEqual([]);
+    expect(localStorage.getItem(LEGACY_QUEUE_STORAGE_KEY)).toBe('{not json');
+  });
+
+  it('stores queued Blobs as they are', async () => {
+    registry.registerQueueableOperation('reports', 'create', { handler: jest.fn() });
+    const photo = new Blob(['jpeg'], { type: 'image/jpeg' });
+
+    await queueManager.queueOperation('reports', 'create', { photos: [{ blob: photo }] });
+
+    const [item] = await queueManager.getQueue();
+    expect(item.data.photos[0].blob).toBe(photo);
+    expect(item).toMatchObject({ status: 'pending', attempts: 0, nextAttemptAt: NOW });
+  });
+});
+
+describe('retry scheduling', () => {
+  const BASE_DELAY = 1000;
+
+  // Queue an operation whose handler fails with the given errors in turn
+  const queueFailingOperation = async (...errors) => {
+    const handler = jest.fn();
+    errors.forEach(error => handler.mockRejectedValueOnce(error));
+    handler.mockResolvedValue({});
+    registry.registerQueueableOperation('test', 'send', {
+      handler,
+      retryPolicy: { baseDelayMs: BASE_DELAY, maxDelayMs: 4 * BASE_DELAY, maxAttempts: 5 }
+    });
+    const { id } = await queueManager.queueOperation('test', 'send', {});
+    return { id, handler };
+  };
+
+  const getStoredItem = (id) => require('./indexedDb').getItem('queue', id);
+
+  it.each([
+    [0, BASE_DELAY / 2],
+    [0.5, BASE_DELAY * 0.75],
+    [1, BASE_DELAY]
+  ])('waits half the delay plus jitter after a transient failure (random %s)', async (random, delay) => {
+    jest.spyOn(Math, 'random').mockReturnValue(random);
+    const { id } = await queueFailingOperation({ status: 503 });
+
+    const result = await queueManager.processQueue();
+
+    expect(result).toMatchObject({ processed: 0, failed: 0, deferred: 1 });
+    expect(await getStoredItem(id)).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      lastAttemptAt: NOW,
+      nextAttemptAt: NOW + delay
+    });
+  });
+
+  it('doubles the delay after each failure up to the maximum', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const serverError = { status: 500 };
+    const { id } = await queueFailingOperation(serverError, serverError, serverError, serverError);
+
+    const delays = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const before = Date.now();
+      await queueManager.processQueue();
+      const item = await getStoredItem(id);
+      delays.push(item.nextAttemptAt - before);
+      jest.setSystemTime(item.nextAttemptAt);
+    }
+
+    expect(delays).toEqual([BASE_DELAY, 2 * BASE_DELAY, 4 * BASE_DELAY, 4 * BASE_DELAY]);
+  });
+
+  it('does not attempt items before their delay has elapsed', async () => {
+    const { id, handler } = await queueFailingOperation({ status: 429 });
+    await queueManager.processQueue();
+
+    jest.setSystemTime(NOW + BASE_DELAY / 4);
+    const result = await queueManager.processQueue();
+
+    expect(result).toMatchObject({ processed: 0, deferred: 1 });
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime((await getStoredItem(id)).nextAttemptAt);
+    expect(await queueManager.processQueue()).toMatchObject({ processed: 1 });
+    expect(await getStoredItem(id)).toMatchObject({ status: 'completed', data: null });
+  });
+
+  it('gives up on permanent errors at once', async () => {
+    const { id } = await queueFailingOperation({ status: 422, message: 'Description is required' });
+
+    const result = await queueManager.processQueue();
+
+    expect(result).toMatchObject({ failed: 1, deferred: 0 });
+    expect(await getStoredItem(id)).toMatchObject({ status: 'failed', attempts: 1, lastError: 'Description is required' });
+  });
+
+  it('gives up after the maximum number of attempts', async () => {
+    const timeout = Object.assign(new Error('Request timeout after 30 seconds'), { code: 'TIMEOUT' });
+    const { id } = await queueFailingOperation(timeout, timeout, timeout, timeout, timeout);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await queueManager.processQueue();
+      jest.setSystemTime(Date.now() + 4 * BASE_DELAY);
+    }
+
+    expect(await getStoredItem(id)).toMatchObject({ status: 'failed', attempts: 5 });
+  });
+
+  it('keeps items without counting an attempt when the session has expired', async () => {
+    const expired = Object.assign(new Error('Authentication expired. Please log in again.'), { code: 'AUTH_EXPIRED' });
+    const { id } = await queueFailingOperation(expired);
+
+    const result = await queueManager.processQueue();
+
+    expect(result).toMatchObject({ failed: 0, deferred: 1 });
+    expect(await getStoredItem(id)).toMatchObject({ status: 'pending', attempts: 0, lastError: expired.message });
+  });
+
+  it('does not process the queue without credentials', async () => {
+    const { handler } = await queueFailingOperation();
+    localStorage.removeItem('gs_auth_token');
+
+    expect(await queueManager.processQueue()).toEqual({ processed: 0, skipped: true });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('starts a fresh series of attempts when a failed item is retried', async () => {
+    const { id, handler } = await queueFailingOperation({ status: 400 });
+    await queueManager.processQueue();
+
+    await queueManager.retryQueueItem(id);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(await getStoredItem(id)).toMatchObject({ status: 'completed' });
+  });
+});
+
+describe('registered operations', () => {
+  it('refuses to queue operations nobody registered', async () => {
+    await expect(queueManager.queueOperation('trees', 'plant', {}))
+      .rejects.toThrow('Operation trees/plant is not registered as queueable');
+    expect(await queueManager.getQueue()).toEqual([]);
+  });
+
+  it('stores serialized data and replays it through the handler with the idempotency key', async () => {
+    const handler = jest.fn().mockResolvedValue({});
+    registry.registerQueueableOperation('trees', 'plant', {
+      handler,
+      serialize: data => ({ ...data, count: String(data.count) }),
+      deserialize: data => ({ ...data, count: Number(data.count) })
+    });
+
+    const { queuedOperation } = await queueManager.queueOperation('trees', 'plant', { count: 12 }, { idempotencyKey: 'key-1' });
+    expect(queuedOperation.data).toEqual({ count: '12' });
+
+    expect(await queueManager.processQueue()).toMatchObject({ processed: 1 });
+    expect(handler).toHaveBeenCalledWith({ count: 12 }, expect.objectContaining({ idempotencyKey: 'key-1' }));
+  });
+
+  it('serializes edited data like newly queued data', async () => {
+    registry.registerQueueableOperation('trees', 'plant', {
+      handler: jest.fn(),
+      serialize: data => ({ ...data, count: String(data.count) })
+    });
+    const { id } = await queueManager.queueOperation('trees', 'plant', { count: 12, species: 'cedar' });
+
+    const item = await queueManager.updateQueueItem(id, { count: 20 });
+
+    expect(item.data).toEqual({ count: '20', species: 'cedar' });
+  });
+
+  it('fails items whose operation is no longer registered', async () => {
+    await require('./indexedDb').putItem('queue', {
+      id: 'queue_old',
+      resource: 'trees',
+      operation: 'fell',
+      data: {},
+      timestamp: NOW,
+      attempts: 0,
+      status: 'pending'
+    });
+
+    expect(await queueManager.processQueue()).toMatchObject({ failed: 1 });
+    expect(await require('./indexedDb').getItem('queue', 'queue_old')).toMatchObject({
+      status: 'failed',
+      lastError: 'Unknown operation: trees/fell'
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Report Drafts Service
+ *
+ * Keeps unfinished reports on the device, so a report survives the tab being
+ * killed halfway through (a permission dialog, a phone call) and can be
+ * resumed later. Drafts live in IndexedDB together with their photo, clip and
+ * voice note Blobs. Object URLs only live as long as the page, so they are
+ * dropped when saving and created again when a draft is loaded.
+ */
+
+import { getAllItems, getItem, putItem, deleteItem } from './indexedDb';
+
+const DRAFTS_STORE = 'drafts';
+
+// Drafts untouched for this long are discarded
+const DRAFT_EXPIRY_DAYS = 30;
+
+// Photo properties holding an attached version with its own Blob
+const ATTACHED_MEDIA = ['enhanced', 'poster'];
+
+/**
+ * Save a draft, replacing the previous version with the same ID
+ * @param {Object} draft - Draft ({ id, step, reportType, photos, location,
+ *   incidentDetails, voiceNote, createdAt }). The ID is the report's
+ *   idempotency key.
+ * @returns {Promise<Object>} The stored draft
+ */
+export const saveDraft = async (draft) => {
+  const stored = {
+    ...draft,
+    photos: (draft.photos || []).map(stripMediaUrls),
+    voiceNote: draft.voiceNote ? stripMediaUrls(draft.voiceNote) : null,
+    // Store plain coordinates rather than a map library LatLng instance
+    location: draft.location
+      ? { lat: draft.location.lat, lng: draft.location.lng }
+      : null,
+    createdAt: draft.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  await putItem(DRAFTS_STORE, stored);
+  return stored;
+};
+
+/**
+ * Get the saved drafts, most recently updated first. Expired drafts are
+ * deleted on the way.
+ * @returns {Promise<Array<Object>>} Drafts, without object URLs
+ */
+export const getDrafts = async () => {
+  try {
+    const drafts = await getAllItems(DRAFTS_STORE);
+    const expiry = Date.now() - DRAFT_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+    const expired = drafts.filter(draft => new Date(draft.updatedAt).getTime() < expiry);
+    await Promise.all(expired.map(draft => deleteItem(DRAFTS_STORE, draft.id)));
+
+    return drafts
+      .filter(draft => !expired.includes(draft))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  } catch (error) {
+    console.error('Error loading report drafts:', error);
+    return [];
+  }
+};
+
+/**
+ * Load a draft to resume it
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<Object|null>} Draft with fresh object URLs for its media,
+ *   or null if it no longer exists
+ */
+export const loadDraft = async (draftId) => {
+  const draft = await getItem(DRAFTS_STORE, draftId);
+  if (!draft) return null;
+
+  return {
+    ...draft,
+    photos: draft.photos.map(restoreMediaUrls),
+    voiceNote: draft.voiceNote ? restoreMediaUrls(draft.voiceNote) : null
+  };
+};
+
+/**
+ * Delete a draft, once it has been submitted or discarded
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (draftId) => {
+  try {
+    await deleteItem(DRAFTS_STORE, draftId);
+  } catch (error) {
+    console.error('Error deleting report draft:', error);
+  }
+};
+
+/**
+ * Remove the object URLs of a media item and its attached versions
+ * @param {Object} media - Photo, clip or voice note
+ * @returns {Object} Copy without URLs
+ */
+const stripMediaUrls = (media) => {
+  const { url, ...stored } = media;
+  ATTACHED_MEDIA.forEach((key) => {
+    if (stored[key]) {
+      const { url: attachedUrl, ...attached } = stored[key];
+      stored[key] = attached;
+    }
+  });
+  return stored;
+};
+
+/**
+ * Create object URLs for a media item and its attached versions
+ * @param {Object} media - Stored photo, clip or voice note
+ * @returns {Object} Copy with URLs
+ */
+const restoreMediaUrls = (media) => {
+  const restored = { ...media, url: URL.createObjectURL(media.blob) };
+  ATTACHED_MEDIA.forEach((key) => {
+    if (restored[key] && restored[key].blob) {
+      restored[key] = { ...restored[key], url: URL.createObjectURL(restored[key].blob) };
+    }
+  });
+  return restored;
+};
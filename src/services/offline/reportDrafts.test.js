@@ -0,0 +1,87 @@
+import { saveDraft, getDrafts, loadDraft } from './reportDrafts';
+import { getAllItems } from './indexedDb';
+
+// In-memory replacement for the IndexedDB stores
+jest.mock('./indexedDb', () => {
+  const stores = new Map();
+  const getStore = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  return {
+    getAllItems: async (name) => Array.from(getStore(name).values()),
+    getItem: async (name, key) => getStore(name).get(key),
+    putItem: async (name, value) => { getStore(name).set(value.id, value); },
+    deleteItem: async (name, key) => { getStore(name).delete(key); },
+    clearStores: () => stores.clear()
+  };
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-05-01T10:00:00Z').getTime();
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  require('./indexedDb').clearStores();
+  URL.createObjectURL = jest.fn(() => 'blob:restored');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete URL.createObjectURL;
+});
+
+// Save a draft as if it was last edited the given number of days ago
+const saveDraftAgo = async (id, days) => {
+  jest.setSystemTime(NOW - days * DAY);
+  await saveDraft({ id, step: 1, photos: [] });
+  jest.setSystemTime(NOW);
+};
+
+describe('getDrafts', () => {
+  it('returns the drafts most recently updated first', async () => {
+    await saveDraftAgo('older', 3);
+    await saveDraftAgo('newer', 1);
+
+    expect((await getDrafts()).map(draft => draft.id)).toEqual(['newer', 'older']);
+  });
+
+  it('deletes drafts untouched for more than 30 days', async () => {
+    await saveDraftAgo('expired', 31);
+    await saveDraftAgo('kept', 29);
+
+    expect((await getDrafts()).map(draft => draft.id)).toEqual(['kept']);
+    expect((await getAllItems('drafts')).map(draft => draft.id)).toEqual(['kept']);
+  });
+
+  it('keeps a draft alive when it is saved again', async () => {
+    await saveDraftAgo('resumed', 31);
+    const [stored] = await getAllItems('drafts');
+    await saveDraft(stored);
+
+    const [draft] = await getDrafts();
+
+    expect(draft).toMatchObject({ id: 'resumed', createdAt: new Date(NOW - 31 * DAY).toISOString() });
+    expect(draft.updatedAt).toBe(new Date(NOW).toISOString());
+  });
+});
+
+describe('saveDraft and loadDraft', () => {
+  it('stores media without object URLs and creates fresh ones on load', async () => {
+    const blob = new Blob(['jpeg'], { type: 'image/jpeg' });
+    await saveDraft({
+      id: 'draft-1',
+      photos: [{ blob, url: 'blob:stale', enhanced: { blob, url: 'blob:stale-enhanced' } }],
+      location: { lat: 33.5, lng: -7.6, alt: 0, equals: () => false }
+    });
+
+    const [stored] = await getAllItems('drafts');
+    expect(stored.photos[0]).toEqual({ blob, enhanced: { blob } });
+    expect(stored.location).toEqual({ lat: 33.5, lng: -7.6 });
+
+    const draft = await loadDraft('draft-1');
+    expect(draft.photos[0]).toMatchObject({ url: 'blob:restored', enhanced: { url: 'blob:restored' } });
+    expect(await loadDraft('missing')).toBeNull();
+  });
+});